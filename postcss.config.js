@@ -0,0 +1,5 @@
+export default {
+  plugins: {
+    tailwindcss: {}
+  }
+};
@@ -1,27 +1,49 @@
-import React, { useState, useMemo, useRef } from 'react';
-import { Download, LayoutTemplate, FileCode2, Eye, Activity, DollarSign, LayoutDashboard, UploadCloud, Loader2 } from 'lucide-react';
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { Download, LayoutTemplate, FileCode2, Eye, Activity, DollarSign, LayoutDashboard, UploadCloud, Loader2, Layers, AlertTriangle, CheckCircle2, WifiOff, FileText, SlidersHorizontal, GitCompare, Plus, Trash2, ArrowUp, ArrowDown, Palette, ImagePlus, Library, Copy, Pencil, Search, FilePlus2, X, Check, FileJson, FileUp, Lock, LogOut } from 'lucide-react';
 import * as XLSX from 'xlsx';
+import JSZip from 'jszip';
+import {
+  NUMERIC_FIELDS,
+  OPTIONAL_NUMERIC_FIELDS,
+  PRIOR_PERIOD_FIELDS,
+  TEXT_FIELDS,
+  FIELD_LABELS,
+  MAX_WIDGETS,
+  PAGE_TYPE_PRESETS,
+  PAGE_STATUSES,
+  MAX_PAGES,
+  isPageField,
+  nextCustomPageId,
+  getPageRevenue,
+  mergeReportData,
+  widgetField,
+  parseWidgetField,
+  getFieldLabel,
+  toSafeNumber,
+  sanitizeText,
+  DEFAULT_NORMALIZED_DATA,
+  normalizeIncomingData,
+  normalizeReportData
+} from './src/reportData.js';
+import { buildReportHTML, buildComparisonReportHTML, REPORT_TEMPLATES, DEFAULT_TEMPLATE_ID } from './src/templates/index.js';
+import { DEFAULT_NARRATIVE_THRESHOLDS, NARRATIVE_THRESHOLD_LABELS } from './src/narrative.js';
+import { REPORT_LANGUAGES, DEFAULT_REPORT_LANGUAGE, createTranslator } from './src/translations/index.js';
+import { DEFAULT_BRANDING, BRAND_FONTS, MAX_LOGO_BYTES, normalizeBranding } from './src/branding.js';
+import {
+  listReports,
+  saveReport,
+  deleteReport,
+  renameReport,
+  duplicateReport,
+  createReportId,
+  getReportTitle,
+  filterReports
+} from './src/reportLibrary.js';
+import { buildProjectFile, parseProjectFile } from './src/projectFile.js';
+import { validateReportData, getFieldIssues } from './src/validation.js';
+import { readSheetRows } from './src/spreadsheet.js';
+import { DEFAULT_FORMAT_SETTINGS, CURRENCY_OPTIONS, LOCALE_OPTIONS, getCurrencySymbol, createReportFormatter } from './src/formatting.js';
 
-const NUMERIC_FIELDS = new Set([
-  'totalRevenue',
-  'revenueCoverage',
-  'funnelCoverage',
-  'widgetUtilization',
-  'productRev',
-  'postPurchaseRev',
-  'checkoutRev',
-  'thankYouRev',
-  'cartRev',
-  'otherRev',
-  'widget1Rev',
-  'widget2Rev',
-  'widget3Rev',
-  'projectedCurrent',
-  'projectedOptimized'
-]);
-
-const SCORE_FIELDS = new Set(['revenueCoverage', 'funnelCoverage', 'widgetUtilization']);
-const TEXT_FIELDS = new Set(['storeName', 'optimizationPercent', 'widget1Name', 'widget2Name', 'widget3Name']);
 const MAX_UPLOAD_FILE_BYTES = 8 * 1024 * 1024;
 const EXCEL_ACCEPT_TYPES = '.xlsx,.xls,.csv,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel';
 
@@ -36,16 +58,16 @@ const EXCEL_HEADER_ALIASES = {
   postPurchaseRev: ['post purchase rev', 'post purchase', 'post-purchase', 'post purchase revenue'],
   checkoutRev: ['checkout rev', 'checkout', 'checkout revenue'],
   thankYouRev: ['thank you rev', 'thank you', 'thankyou', 'thank you revenue'],
-  cartRev: ['cart rev', 'cart', 'cart revenue'],
+  cartRev: ['cart rev', 'cart', 'cart revenue', 'cart page', 'cart page revenue'],
+  cartDrawerRev: ['cart drawer rev', 'cart drawer', 'cart drawer revenue', 'side cart', 'mini cart', 'slide cart'],
+  collectionRev: ['collection rev', 'collection', 'collections', 'collection page', 'collection pages', 'collection revenue', 'category page'],
   otherRev: ['other rev', 'other', 'others', 'other revenue'],
-  widget1Name: ['widget 1 name', 'top widget 1 name', 'first widget name'],
-  widget1Rev: ['widget 1 rev', 'widget 1 revenue', 'top widget 1 revenue', 'first widget revenue'],
-  widget2Name: ['widget 2 name', 'top widget 2 name', 'second widget name'],
-  widget2Rev: ['widget 2 rev', 'widget 2 revenue', 'top widget 2 revenue', 'second widget revenue'],
-  widget3Name: ['widget 3 name', 'top widget 3 name', 'third widget name'],
-  widget3Rev: ['widget 3 rev', 'widget 3 revenue', 'top widget 3 revenue', 'third widget revenue'],
   projectedCurrent: ['projected current', 'current monthly', 'current projection'],
-  projectedOptimized: ['projected optimized', 'with optimization', 'optimized projection']
+  projectedOptimized: ['projected optimized', 'with optimization', 'optimized projection'],
+  priorTotalRevenue: ['prior total revenue', 'previous total revenue', 'prior revenue', 'previous revenue', 'last period revenue'],
+  priorRevenueCoverage: ['prior revenue coverage', 'previous revenue coverage', 'last period revenue coverage'],
+  priorCheckoutRev: ['prior checkout rev', 'prior checkout revenue', 'previous checkout revenue', 'prior avg order value', 'prior aov'],
+  priorWidgetUtilization: ['prior widget utilization', 'previous widget utilization', 'last period widget utilization']
 };
 
 const normalizeHeaderKey = value =>
@@ -66,132 +88,376 @@ const EXCEL_FIELD_LOOKUP = (() => {
   return lookup;
 })();
 
-const toSafeNumber = (value, fallback = 0) => {
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    if (!trimmed) return fallback;
+// Widget columns are numbered rather than listed: "Widget 7 Revenue", "Top Widget 4 Name", "Fifth Widget Rev"...
+const WIDGET_ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+const WIDGET_HEADER_PATTERN = new RegExp(`^(?:top)?(?:widget(\\d+)|(${WIDGET_ORDINALS.join('|')})widget)(name|rev|revenue)$`);
+// How many widget slots the column-mapping dropdown offers before a sheet asks for more.
+const WIDGET_MAPPING_SLOTS = 10;
 
-    let normalized = trimmed
-      .replace(/\$/g, '')
-      .replace(/,/g, '')
-      .replace(/%/g, '')
-      .replace(/\s+/g, '');
+// Besides the fixed aliases, a column named after one of the report's page types ("Lookbook",
+// "Lookbook Revenue") maps to that page, so custom pages can be imported too.
+const lookupHeaderField = (key, pages = []) => {
+  if (EXCEL_FIELD_LOOKUP.has(key)) return EXCEL_FIELD_LOOKUP.get(key);
 
-    if (/^\(.*\)$/.test(normalized)) {
-      normalized = `-${normalized.slice(1, -1)}`;
+  const page = pages.find(item =>
+    [item.label, `${item.label} revenue`, `${item.label} rev`].some(label => normalizeHeaderKey(label) === key)
+  );
+  if (page) return page.id;
+
+  const match = WIDGET_HEADER_PATTERN.exec(key);
+  if (!match) return null;
+  const index = match[1] ? Number(match[1]) - 1 : WIDGET_ORDINALS.indexOf(match[2]);
+  return index >= 0 && index < MAX_WIDGETS ? widgetField(index, match[3] === 'name' ? 'Name' : 'Rev') : null;
+};
+
+// Mappings are keyed by normalized header; an empty string means the column was skipped on purpose.
+const resolveHeaderField = (header, mapping = {}) => {
+  const key = normalizeHeaderKey(header);
+  if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+    return mapping[key] || null;
+  }
+  return lookupHeaderField(key);
+};
+
+const mapExcelRow = (row, mapping = {}) => {
+  const rowMatch = {};
+
+  for (const [header, value] of Object.entries(row)) {
+    const field = resolveHeaderField(header, mapping);
+    if (field && value !== '') {
+      rowMatch[field] = value;
     }
+  }
 
-    const stringParsed = Number(normalized);
-    if (Number.isFinite(stringParsed)) return stringParsed;
+  return rowMatch;
+};
+
+const extractExcelData = (worksheet, mapping = {}) => {
+  const mappedData = {};
 
-    const matchedNumber = normalized.match(/-?\d+(\.\d+)?/);
-    if (matchedNumber) {
-      const extracted = Number(matchedNumber[0]);
-      return Number.isFinite(extracted) ? extracted : fallback;
+  const rowObjects = readSheetRows(worksheet);
+  for (const row of rowObjects) {
+    const rowMatch = mapExcelRow(row, mapping);
+
+    if (Object.keys(rowMatch).length > 0) {
+      Object.assign(mappedData, rowMatch);
+      break;
     }
+  }
 
-    return fallback;
+  const matrixRows = readSheetRows(worksheet, { header: 1 });
+  for (const row of matrixRows) {
+    if (!Array.isArray(row) || row.length < 2) continue;
+
+    const field = resolveHeaderField(row[0], mapping);
+    const value = row[1];
+    if (field && value !== '' && !Object.prototype.hasOwnProperty.call(mappedData, field)) {
+      mappedData[field] = value;
+    }
+
+    // Key/value sheets may carry the prior period in a third column next to the current value.
+    const priorField = field && PRIOR_PERIOD_FIELDS[field];
+    if (priorField && row[2] !== undefined && row[2] !== '' && !Object.prototype.hasOwnProperty.call(mappedData, priorField)) {
+      mappedData[priorField] = row[2];
+    }
   }
 
-  const parsed = Number(value);
-  return Number.isFinite(parsed) ? parsed : fallback;
+  return mappedData;
 };
 
-const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+// Lists the labels a sheet uses for its fields: the header row for table layouts,
+// or the first column for key/value layouts, whichever matches more known aliases.
+const detectSheetHeaders = (worksheet, pages = []) => {
+  const matrixRows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', raw: false })
+    .filter(row => Array.isArray(row));
+  const tableHeaders = (matrixRows[0] || []).map(cell => String(cell).trim()).filter(Boolean);
+  const keyValueLabels = matrixRows
+    .filter(row => row.length >= 2 && String(row[0]).trim() && row[1] !== '')
+    .map(row => String(row[0]).trim());
+
+  const countKnown = labels => labels.filter(label => lookupHeaderField(normalizeHeaderKey(label), pages)).length;
+  const tableMatches = countKnown(tableHeaders);
+  const keyValueMatches = countKnown(keyValueLabels);
+  const isKeyValue = keyValueMatches > tableMatches || (keyValueMatches === 0 && tableMatches === 0 && tableHeaders.length <= 2);
+
+  const seen = new Set();
+  return (isKeyValue ? keyValueLabels : tableHeaders).filter(label => {
+    const key = normalizeHeaderKey(label);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
 
-const sanitizeText = (value, fallback = '') => {
-  const text = String(value ?? '')
-    .replace(/[\u0000-\u001F\u007F]/g, '')
-    .replace(/[<>&]/g, '')
-    .trim();
-  return text || fallback;
+const buildColumnMapping = (headers, profileMapping = {}, pages = []) => {
+  const mapping = {};
+  for (const header of headers) {
+    const key = normalizeHeaderKey(header);
+    mapping[key] = Object.prototype.hasOwnProperty.call(profileMapping, key)
+      ? profileMapping[key]
+      : lookupHeaderField(key, pages) || '';
+  }
+  return mapping;
 };
 
-const DEFAULT_NORMALIZED_DATA = {
-  storeName: 'Unknown',
-  optimizationPercent: '',
-  totalRevenue: 0,
-  revenueCoverage: 0,
-  funnelCoverage: 0,
-  widgetUtilization: 0,
-  productRev: 0,
-  postPurchaseRev: 0,
-  checkoutRev: 0,
-  thankYouRev: 0,
-  cartRev: 0,
-  otherRev: 0,
-  widget1Name: '',
-  widget1Rev: 0,
-  widget2Name: '',
-  widget2Rev: 0,
-  widget3Name: '',
-  widget3Rev: 0,
-  projectedCurrent: 0,
-  projectedOptimized: 0
+const MAPPING_PROFILES_STORAGE_KEY = 'wiser-report:mapping-profiles';
+const BRANDING_PROFILES_STORAGE_KEY = 'wiser-report:branding-profiles';
+const LAST_REPORT_STORAGE_KEY = 'wiser-report:last-report-id';
+const REQUIRE_VALIDATION_ACK_STORAGE_KEY = 'wiser-report:require-validation-ack';
+const ACCESS_TOKEN_STORAGE_KEY = 'wiser-report:access-token';
+// The `code` server/accessControl.js sends with a 401 for a missing or wrong access code.
+const ACCESS_DENIED_CODE = 'access_denied';
+
+// Errors the analyze endpoint will keep returning however often the request is retried.
+const NON_RETRYABLE_STATUSES = new Set([400, 401, 403, 404, 405, 413, 422]);
+// Longer waits (e.g. an exhausted daily budget) are reported instead of sat out.
+const MAX_RETRY_AFTER_SECONDS = 60;
+
+// Asks the server whether the analyze API needs an access code. Only a 401 or a status saying a
+// code is required locks the editor; without a reachable API (static hosting, offline) or on
+// other errors there is nothing to protect, so the editor stays open and `error` explains why.
+const fetchAccessStatus = async token => {
+  let response;
+  try {
+    response = await fetch('/api/auth', { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+  } catch {
+    return { required: false, authenticated: true };
+  }
+
+  let result = {};
+  try {
+    result = await response.json();
+  } catch {
+    result = {};
+  }
+
+  if (response.ok) {
+    return { required: Boolean(result?.required), authenticated: result?.authenticated !== false };
+  }
+  const error = typeof result?.error === 'string' ? result.error : `HTTP error ${response.status}`;
+  return response.status === 401
+    ? { required: true, authenticated: false, error }
+    : { required: Boolean(result?.required), authenticated: result?.authenticated !== false, error };
+};
+
+// Edits are written to the report library once typing pauses for this long.
+const AUTOSAVE_DELAY_MS = 600;
+
+const DEFAULT_REPORT_SETTINGS = {
+  templateId: DEFAULT_TEMPLATE_ID,
+  narrativeThresholds: DEFAULT_NARRATIVE_THRESHOLDS,
+  ...DEFAULT_FORMAT_SETTINGS,
+  language: DEFAULT_REPORT_LANGUAGE,
+  branding: DEFAULT_BRANDING
 };
 
-const normalizeIncomingData = (input = {}) => {
-  if (!input || typeof input !== 'object' || Array.isArray(input)) {
-    return {};
+const DEFAULT_COMPARISON_STATE = {
+  enabled: false,
+  activeSlot: 'primary',
+  labels: { primary: '', comparison: '' }
+};
+
+const readStoredJson = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
   }
+};
 
-  const normalized = {};
+const writeStoredJson = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage can be full or disabled (private mode); profiles then only last for the session.
+  }
+};
 
-  for (const field of TEXT_FIELDS) {
-    if (Object.prototype.hasOwnProperty.call(input, field)) {
-      normalized[field] = sanitizeText(input[field], field === 'storeName' ? 'Unknown' : '');
+// Multi-source merging: keeps every source's value per field so the UI can show provenance and conflicts.
+const collectFieldSources = sources => {
+  const fieldSources = {};
+
+  for (const { label, data } of sources) {
+    for (const [field, value] of Object.entries(data)) {
+      if (!fieldSources[field]) fieldSources[field] = [];
+      fieldSources[field].push({ source: label, value });
     }
   }
 
-  for (const field of NUMERIC_FIELDS) {
-    if (Object.prototype.hasOwnProperty.call(input, field)) {
-      const value = toSafeNumber(input[field], 0);
-      normalized[field] = SCORE_FIELDS.has(field) ? clamp(value, 0, 100) : value;
+  return fieldSources;
+};
+
+const hasFieldConflict = candidates => new Set(candidates.map(candidate => JSON.stringify(candidate.value))).size > 1;
+
+const resolveFieldSources = (fieldSources, policy = 'first', choices = {}) => {
+  const data = {};
+  const sourceByField = {};
+
+  for (const [field, candidates] of Object.entries(fieldSources)) {
+    let picked = policy === 'last' ? candidates[candidates.length - 1] : candidates[0];
+    if (choices[field] && hasFieldConflict(candidates)) {
+      picked = candidates.find(candidate => candidate.source === choices[field]) || picked;
     }
+
+    data[field] = picked.value;
+    sourceByField[field] = picked.source;
   }
 
-  return normalized;
+  return { data, sourceByField };
 };
 
-const normalizeReportData = (input = {}) => {
+// AI extraction review: the model marks values it inferred rather than read, and nothing is applied
+// until the user accepts it field by field. Only values read straight off a screenshot start accepted.
+const MAX_SCREENSHOTS = 10;
+const EXTRACTION_STATUS_LABELS = {
+  read: 'Read',
+  estimated: 'Guessed',
+  missing: 'Not found'
+};
+
+const isMissingExtractedValue = value =>
+  value === null ||
+  value === undefined ||
+  (typeof value === 'string' && !value.trim()) ||
+  (Array.isArray(value) && value.length === 0);
+
+const buildExtractionReview = (extractedData, fields, locale) => {
+  const { fieldConfidence, ...values } = extractedData;
+
+  return fields.map(field => {
+    const value = isMissingExtractedValue(values[field])
+      ? undefined
+      : normalizeIncomingData({ [field]: values[field] }, { locale })[field];
+    if (isMissingExtractedValue(value)) {
+      return { field, status: 'missing', value: null };
+    }
+
+    return { field, status: fieldConfidence?.[field] === 'estimated' ? 'estimated' : 'read', value };
+  });
+};
+
+// Screenshots are told apart by file name; repeated names get a counter so sources stay distinct.
+const getUniqueSourceLabels = names =>
+  names.map((name, index) => {
+    const earlier = names.slice(0, index).filter(other => other === name).length;
+    return earlier > 0 ? `${name} (${earlier + 1})` : name;
+  });
+
+// `sources` are [{ label, data, statuses }] per screenshot, holding only the fields it showed.
+const createExtractionReview = (sources, fields, slot) => {
+  const fieldSources = collectFieldSources(sources);
+  const statuses = Object.fromEntries(sources.map(source => [source.label, source.statuses]));
+  const { sourceByField } = resolveFieldSources(fieldSources);
+
   return {
-    ...DEFAULT_NORMALIZED_DATA,
-    ...normalizeIncomingData(input)
+    slot,
+    fields,
+    sourceLabels: sources.map(source => source.label),
+    fieldSources,
+    statuses,
+    choices: {},
+    accepted: Object.fromEntries(
+      Object.entries(sourceByField).map(([field, source]) => [field, statuses[source][field] === 'read'])
+    )
   };
 };
 
-const extractExcelData = worksheet => {
-  const mappedData = {};
+const getExtractionRows = review => {
+  const { data, sourceByField } = resolveFieldSources(review.fieldSources, 'first', review.choices);
 
-  const rowObjects = XLSX.utils.sheet_to_json(worksheet, { defval: '', raw: false });
-  for (const row of rowObjects) {
-    const rowMatch = {};
-
-    for (const [header, value] of Object.entries(row)) {
-      const field = EXCEL_FIELD_LOOKUP.get(normalizeHeaderKey(header));
-      if (field && value !== '') {
-        rowMatch[field] = value;
-      }
+  return review.fields.map(field => {
+    if (!Object.prototype.hasOwnProperty.call(data, field)) {
+      return { field, status: 'missing', value: null, accepted: false, candidates: [] };
     }
 
-    if (Object.keys(rowMatch).length > 0) {
-      Object.assign(mappedData, rowMatch);
-      break;
-    }
+    const source = sourceByField[field];
+    return {
+      field,
+      source,
+      status: review.statuses[source][field],
+      value: data[field],
+      accepted: Boolean(review.accepted[field]),
+      candidates: review.fieldSources[field]
+    };
+  });
+};
+
+const readFileAsDataUrl = file =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(typeof reader.result === 'string' ? reader.result : '');
+    reader.onerror = () => reject(new Error('Unable to read the uploaded image. Please try another file.'));
+    reader.readAsDataURL(file);
+  });
+
+const getReviewCurrentValue = (data, field) => (isPageField(field) ? getPageRevenue(data, field) : data[field]);
+
+// Batch mode: every table row that maps to at least one field becomes its own report.
+const getBatchRowIssues = (rawRow, normalized, locale) => {
+  const issues = [];
+
+  if (Object.keys(normalized).length === 0) {
+    issues.push('No report fields could be read from this row.');
+    return issues;
   }
 
-  const matrixRows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', raw: false });
-  for (const row of matrixRows) {
-    if (!Array.isArray(row) || row.length < 2) continue;
+  if (!sanitizeText(rawRow.storeName)) {
+    issues.push('Missing store name.');
+  }
 
-    const field = EXCEL_FIELD_LOOKUP.get(normalizeHeaderKey(row[0]));
-    const value = row[1];
-    if (field && value !== '' && !Object.prototype.hasOwnProperty.call(mappedData, field)) {
-      mappedData[field] = value;
+  const revenueFields = Object.keys(rawRow).filter(field => isPageField(field) || parseWidgetField(field)?.part === 'Rev');
+  for (const field of [...NUMERIC_FIELDS, ...OPTIONAL_NUMERIC_FIELDS, ...revenueFields]) {
+    if (Object.prototype.hasOwnProperty.call(rawRow, field) && Number.isNaN(toSafeNumber(rawRow[field], NaN, locale))) {
+      issues.push(`"${rawRow[field]}" is not a number (${field}).`);
     }
   }
 
-  return mappedData;
+  return issues;
+};
+
+const extractExcelBatch = (worksheet, mapping = {}, locale) => {
+  const rowObjects = readSheetRows(worksheet);
+  const batchRows = [];
+
+  rowObjects.forEach((row, index) => {
+    const rawRow = mapExcelRow(row, mapping);
+    if (Object.keys(rawRow).length === 0) return;
+
+    const normalized = normalizeIncomingData(rawRow, { locale });
+    batchRows.push({
+      // +2: sheet_to_json skips the header row and spreadsheet rows are 1-based.
+      rowNumber: index + 2,
+      storeName: sanitizeText(rawRow.storeName, `Row ${index + 2}`),
+      data: normalized,
+      issues: getBatchRowIssues(rawRow, normalized, locale)
+    });
+  });
+
+  return batchRows;
+};
+
+const formatPreviewValue = (value, format) =>
+  Array.isArray(value)
+    ? value.map(item => `${item.name || item.label || 'Unnamed'} (${item.revenue === null || item.revenue === undefined ? '—' : format.currency(item.revenue)})`).join(', ')
+    : String(value);
+
+// Keeps letters and digits in any script ("Café Müller" stays readable); everything else,
+// including characters file systems reject, becomes an underscore.
+const toSafeFileName = (value, fallback = 'Store') =>
+  sanitizeText(value, fallback)
+    .normalize('NFC')
+    .replace(/[^\p{L}\p{M}\p{N}_-]+/gu, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_+|_+$/g, '') || fallback;
+
+const triggerDownload = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
 };
 
 const ReportGenerator = () => {
@@ -207,670 +473,1059 @@ const ReportGenerator = () => {
     widgetUtilization: 50,
     
     // Revenue by Page
-    productRev: 24498.91,
-    postPurchaseRev: 5145.00,
-    checkoutRev: 862.85,
-    thankYouRev: 450.00,
-    cartRev: 149.00, 
-    otherRev: 265.24,
+    pages: [
+      { id: 'productRev', label: 'Product Page', revenue: 24498.91, status: 'auto' },
+      { id: 'postPurchaseRev', label: 'Post-Purchase', revenue: 5145.00, status: 'auto' },
+      { id: 'checkoutRev', label: 'Checkout Page', revenue: 862.85, status: 'auto' },
+      { id: 'thankYouRev', label: 'Thank You Page', revenue: 450.00, status: 'auto' },
+      { id: 'cartRev', label: 'Cart Page', revenue: 149.00, status: 'auto' },
+      { id: 'cartDrawerRev', label: 'Cart Drawer', revenue: 0, status: 'not-live' },
+      { id: 'collectionRev', label: 'Collection Pages', revenue: 0, status: 'not-live' },
+      { id: 'otherRev', label: 'Other Pages', revenue: 265.24, status: 'auto' }
+    ],
     
     // Top Widgets
-    widget1Name: 'Related Products',
-    widget1Rev: 20163.21,
-    widget2Name: 'Inspired by Your Views',
-    widget2Rev: 3311.90,
-    widget3Name: 'Top Selling Products',
-    widget3Rev: 1438.00,
+    widgets: [
+      { name: 'Related Products', revenue: 20163.21 },
+      { name: 'Inspired by Your Views', revenue: 3311.90 },
+      { name: 'Top Selling Products', revenue: 1438.00 }
+    ],
     
     // Projections
     projectedCurrent: 15685,
-    projectedOptimized: 23685
+    projectedOptimized: 23685,
+
+    // Prior period (blank hides the trend badges)
+    priorTotalRevenue: null,
+    priorRevenueCoverage: null,
+    priorCheckoutRev: null,
+    priorWidgetUtilization: null
   });
 
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [analysisProgress, setAnalysisProgress] = useState(null);
   const [isParsingSpreadsheet, setIsParsingSpreadsheet] = useState(false);
   const [errorMsg, setErrorMsg] = useState("");
+  const [accessToken, setAccessToken] = useState(() => readStoredJson(ACCESS_TOKEN_STORAGE_KEY, ''));
+  const [access, setAccess] = useState({ status: 'checking', required: false });
+  const [accessCodeInput, setAccessCodeInput] = useState('');
+  const [accessError, setAccessError] = useState('');
+  const [isCheckingAccessCode, setIsCheckingAccessCode] = useState(false);
   const fileInputRef = useRef(null);
   const spreadsheetInputRef = useRef(null);
+  const batchInputRef = useRef(null);
+  const logoInputRef = useRef(null);
+  const projectInputRef = useRef(null);
+  const [sheetPicker, setSheetPicker] = useState(null);
+  const [extractionReview, setExtractionReview] = useState(null);
+  const [mappingProfiles, setMappingProfiles] = useState(() => readStoredJson(MAPPING_PROFILES_STORAGE_KEY, []));
+  const [activeMappingProfileName, setActiveMappingProfileName] = useState('');
+  const [mappingProfileName, setMappingProfileName] = useState('');
+  const activeMappingProfile = mappingProfiles.find(profile => profile.name === activeMappingProfileName) || null;
+  const [brandingProfiles, setBrandingProfiles] = useState(() => readStoredJson(BRANDING_PROFILES_STORAGE_KEY, []));
+  const [activeBrandingProfileName, setActiveBrandingProfileName] = useState('');
+  const [brandingProfileName, setBrandingProfileName] = useState('');
+  const [batchRows, setBatchRows] = useState([]);
+  // Row number -> the warnings signature that was acknowledged for that row.
+  const [acknowledgedBatchRows, setAcknowledgedBatchRows] = useState({});
+  const [batchFileName, setBatchFileName] = useState('');
+  const [isParsingBatch, setIsParsingBatch] = useState(false);
+  const [isZippingBatch, setIsZippingBatch] = useState(false);
+  const [isOfflineExport, setIsOfflineExport] = useState(false);
+  const [offlineAssets, setOfflineAssets] = useState(null);
+  const [isLoadingOfflineAssets, setIsLoadingOfflineAssets] = useState(false);
+  const [isExportingPdf, setIsExportingPdf] = useState(false);
+  const [reportSettings, setReportSettings] = useState(DEFAULT_REPORT_SETTINGS);
+  // Comparison mode keeps a second dataset; uploads and the form fill whichever slot is active.
+  const [comparison, setComparison] = useState(DEFAULT_COMPARISON_STATE);
+  const [comparisonData, setComparisonData] = useState(null);
+
+  // --- Report library: every report is autosaved to IndexedDB and restored on reload ---
+  const [libraryReports, setLibraryReports] = useState([]);
+  const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+  const [isLibraryReady, setIsLibraryReady] = useState(false);
+  const [librarySearch, setLibrarySearch] = useState('');
+  const [renamingReport, setRenamingReport] = useState(null);
+  const [currentReport, setCurrentReport] = useState(() => ({ id: createReportId(), name: '', createdAt: null }));
+  const lastSavedSnapshotRef = useRef('');
+  const snapshot = useMemo(
+    () => ({ data, comparisonData, comparison, reportSettings }),
+    [data, comparisonData, comparison, reportSettings]
+  );
+
+  const currencySymbol = getCurrencySymbol(reportSettings);
+  const reportFormat = useMemo(
+    () => createReportFormatter(reportSettings),
+    [reportSettings.currency, reportSettings.locale]
+  );
+
+  const isEditingComparison = comparison.enabled && comparison.activeSlot === 'comparison';
+  const activeData = isEditingComparison ? comparisonData : data;
+  const setActiveData = isEditingComparison ? setComparisonData : setData;
+
+  // Cross-field validation is derived from the data, so it reruns after every edit, upload and AI fill.
+  const [requireValidationAck, setRequireValidationAck] = useState(() => readStoredJson(REQUIRE_VALIDATION_ACK_STORAGE_KEY, false));
+  const [acknowledgedValidation, setAcknowledgedValidation] = useState('');
+  const validationIssues = useMemo(() => {
+    const datasets = comparison.enabled && comparisonData
+      ? [{ slot: 'primary', title: 'Dataset A', dataset: data }, { slot: 'comparison', title: 'Dataset B', dataset: comparisonData }]
+      : [{ slot: 'primary', title: '', dataset: data }];
+    return datasets.flatMap(({ slot, title, dataset }) =>
+      validateReportData(dataset, reportFormat).map(issue => ({ ...issue, slot, title }))
+    );
+  }, [data, comparisonData, comparison.enabled, reportFormat]);
+  const activeValidationIssues = validationIssues.filter(issue => issue.slot === (isEditingComparison ? 'comparison' : 'primary'));
+  // Acknowledging covers the current set of warnings only; any new or changed warning needs a fresh look.
+  const validationSignature = validationIssues.map(issue => `${issue.slot}:${issue.message}`).join('\n');
+  const isDownloadBlocked = requireValidationAck && validationIssues.length > 0 && acknowledgedValidation !== validationSignature;
+
+  const toggleRequireValidationAck = (enabled) => {
+    setRequireValidationAck(enabled);
+    writeStoredJson(REQUIRE_VALIDATION_ACK_STORAGE_KEY, enabled);
+  };
+
+  const lockAccess = (message = '') => {
+    setAccessToken('');
+    writeStoredJson(ACCESS_TOKEN_STORAGE_KEY, '');
+    setAccess(prev => ({ ...prev, status: 'locked' }));
+    setAccessError(message);
+  };
+
+  const handleAccessCodeSubmit = async (e) => {
+    e.preventDefault();
+    const token = accessCodeInput.trim();
+    if (!token) return;
+
+    setIsCheckingAccessCode(true);
+    const result = await fetchAccessStatus(token);
+    setIsCheckingAccessCode(false);
+
+    if (result.authenticated && !result.error) {
+      setAccessToken(token);
+      writeStoredJson(ACCESS_TOKEN_STORAGE_KEY, token);
+      setAccess({ status: 'open', required: result.required });
+      setAccessCodeInput('');
+      setAccessError('');
+    } else {
+      setAccessError(result.error || 'That access code was not accepted.');
+    }
+  };
+
+  // Posts one screenshot to the analysis endpoint, retrying with backoff, and resolves with
+  // `{ extractedData, cached }`. The server owns the prompt; currency and locale only tell it how
+  // the dashboard formats amounts, and the page list which page revenues to look for. `force`
+  // bypasses the server's extraction cache.
+  const analyzeScreenshot = async (file, { force = false } = {}) => {
+    const fileData = await readFileAsDataUrl(file);
+    const base64Data = fileData.includes(',') ? fileData.split(',')[1] : '';
+    if (!base64Data) {
+      throw new Error('Unable to read the uploaded image. Please try another file.');
+    }
+
+    // Route through a backend endpoint to keep API keys off the client.
+    const payload = {
+      mimeType: file.type || 'image/png',
+      imageBase64: base64Data,
+      currency: reportSettings.currency,
+      locale: reportSettings.locale,
+      pages: activeData.pages.map(({ id, label }) => ({ id, label })),
+      force
+    };
+    const delays = [1000, 2000, 4000, 8000, 16000];
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await fetch('/api/analyze-dashboard', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {})
+          },
+          body: JSON.stringify(payload)
+        });
+        let result = {};
+        try {
+          result = await response.json();
+        } catch {
+          result = {};
+        }
+
+        if (!response.ok) {
+          const apiError = new Error(typeof result?.error === 'string' ? result.error : `HTTP error ${response.status}`);
+          const retryAfterSeconds = Number(response.headers.get('Retry-After')) || 0;
+          apiError.retryable = !NON_RETRYABLE_STATUSES.has(response.status) && retryAfterSeconds <= MAX_RETRY_AFTER_SECONDS;
+          apiError.retryAfterMs = retryAfterSeconds * 1000;
+          // Only our own access check locks the editor; other 401s are plain errors.
+          if (response.status === 401 && result?.code === ACCESS_DENIED_CODE) lockAccess(apiError.message);
+          throw apiError;
+        }
+
+        const extractedData = result?.extractedData;
+
+        if (!extractedData || typeof extractedData !== 'object' || Array.isArray(extractedData)) {
+          throw new Error('Invalid analysis response');
+        }
+        return { extractedData, cached: result?.cached === true };
+      } catch (err) {
+        if (attempt >= delays.length || err?.retryable === false) throw err;
+        await new Promise(resolve => setTimeout(resolve, Math.max(delays[attempt], err?.retryAfterMs || 0)));
+      }
+    }
+  };
+
+  // Each screenshot is analyzed on its own; fields seen on several are merged with per-source tracking.
+  const analyzeImages = async (files, reviewSlot, { force = false } = {}) => {
+    setIsAnalyzing(true);
+    setErrorMsg("");
+    setExtractionReview(null);
+
+    const labels = getUniqueSourceLabels(files.map(file => file.name));
+    const sources = [];
+    const failures = [];
+    const cachedSources = [];
+    // The server answers with every field it extracts, in report order, null when not found.
+    let extractionFields = [];
+
+    try {
+      for (const [index, file] of files.entries()) {
+        setAnalysisProgress({ current: index + 1, total: files.length });
+        try {
+          const { extractedData, cached } = await analyzeScreenshot(file, { force });
+          extractionFields = [
+            ...extractionFields,
+            ...Object.keys(extractedData).filter(field => field !== 'fieldConfidence' && !extractionFields.includes(field))
+          ];
+          const found = buildExtractionReview(extractedData, extractionFields, reportSettings.locale)
+            .filter(row => row.status !== 'missing');
+          if (found.length === 0) {
+            throw new Error('No report values could be read from this image.');
+          }
+
+          if (cached) cachedSources.push(labels[index]);
+          sources.push({
+            label: labels[index],
+            data: Object.fromEntries(found.map(row => [row.field, row.value])),
+            statuses: Object.fromEntries(found.map(row => [row.field, row.status]))
+          });
+        } catch (err) {
+          failures.push({
+            label: labels[index],
+            message: err instanceof Error && err.message
+              ? err.message
+              : "Failed to analyze image. Please try again or fill the fields manually."
+          });
+        }
+      }
+
+      if (sources.length > 0) {
+        setExtractionReview({ ...createExtractionReview(sources, extractionFields, reviewSlot), files, cachedSources });
+      }
+      if (failures.length === 1 && files.length === 1) {
+        setErrorMsg(failures[0].message);
+      } else if (failures.length > 0) {
+        setErrorMsg(`Could not analyze ${failures.map(failure => `${failure.label} (${failure.message})`).join(', ')}.`);
+      }
+    } finally {
+      setIsAnalyzing(false);
+      setAnalysisProgress(null);
+    }
+  };
+
+  const handleImageUpload = async (e) => {
+    const files = Array.from(e.target.files || []);
+    if (fileInputRef.current) fileInputRef.current.value = "";
+    if (files.length === 0) return;
+
+    if (files.length > MAX_SCREENSHOTS) {
+      setErrorMsg(`Please select up to ${MAX_SCREENSHOTS} screenshots at a time.`);
+      return;
+    }
+
+    const oversized = files.find(file => file.size > MAX_UPLOAD_FILE_BYTES);
+    if (oversized) {
+      setErrorMsg(
+        `${oversized.name} is too large (${(oversized.size / (1024 * 1024)).toFixed(1)} MB). Please use images under 8 MB.`
+      );
+      return;
+    }
+
+    await analyzeImages(files, isEditingComparison ? 'comparison' : 'primary');
+  };
+
+  // Cached results are whatever the model said last time; this asks it again for the same screenshots.
+  const reanalyzeImages = () => {
+    if (!extractionReview?.files) return;
+    analyzeImages(extractionReview.files, extractionReview.slot, { force: true });
+  };
+
+  const handleSpreadsheetUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    if (file.size > MAX_UPLOAD_FILE_BYTES) {
+      setErrorMsg(
+        `Spreadsheet is too large (${(file.size / (1024 * 1024)).toFixed(1)} MB). Please use a file under 8 MB.`
+      );
+      if (spreadsheetInputRef.current) spreadsheetInputRef.current.value = "";
+      return;
+    }
+
+    setIsParsingSpreadsheet(true);
+    setErrorMsg("");
+
+    try {
+      const arrayBuffer = await file.arrayBuffer();
+      const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+      const firstSheetName = workbook.SheetNames?.[0];
+      if (!firstSheetName) {
+        throw new Error('The spreadsheet has no sheets.');
+      }
+
+      const sheets = workbook.SheetNames.map(name => ({
+        name,
+        worksheet: workbook.Sheets[name],
+        headers: detectSheetHeaders(workbook.Sheets[name], activeData.pages)
+      }));
+      const headers = [...new Map(
+        sheets.flatMap(sheet => sheet.headers).map(header => [normalizeHeaderKey(header), header])
+      ).values()];
+      if (headers.length === 0) {
+        throw new Error('Could not find any column headers in the spreadsheet.');
+      }
+
+      const mapping = buildColumnMapping(headers, activeMappingProfile?.mapping, activeData.pages);
+      const mappedSheets = sheets.filter(
+        sheet => Object.keys(normalizeIncomingData(extractExcelData(sheet.worksheet, mapping), { locale: reportSettings.locale })).length > 0
+      );
+
+      setSheetPicker({
+        fileName: file.name,
+        sheets,
+        headers,
+        mapping,
+        selected: (mappedSheets.length > 0 ? mappedSheets : sheets.slice(0, 1)).map(sheet => sheet.name),
+        policy: 'first',
+        choices: {}
+      });
+    } catch (err) {
+      setErrorMsg(
+        err instanceof Error && err.message
+          ? err.message
+          : "Failed to read spreadsheet. Please check the file format."
+      );
+    } finally {
+      setIsParsingSpreadsheet(false);
+      if (spreadsheetInputRef.current) spreadsheetInputRef.current.value = "";
+    }
+  };
+
+  const sheetMerge = useMemo(() => {
+    if (!sheetPicker) return null;
+
+    const sheetData = new Map(
+      sheetPicker.sheets.map(sheet => [
+        sheet.name,
+        normalizeIncomingData(extractExcelData(sheet.worksheet, sheetPicker.mapping), { locale: reportSettings.locale })
+      ])
+    );
+    const sources = sheetPicker.sheets
+      .filter(sheet => sheetPicker.selected.includes(sheet.name))
+      .map(sheet => ({ label: sheet.name, data: sheetData.get(sheet.name) }));
+    const fieldSources = collectFieldSources(sources);
+    return {
+      sheetData,
+      fieldSources,
+      ...resolveFieldSources(fieldSources, sheetPicker.policy, sheetPicker.choices)
+    };
+  }, [sheetPicker, reportSettings.locale]);
+
+  // Widget slots are numbered, so the dropdown offers enough of them for whatever the sheet already maps.
+  const mappingFieldOptions = useMemo(() => {
+    const mappedWidgetSlots = Object.values(sheetPicker?.mapping || {})
+      .map(field => (parseWidgetField(field)?.index ?? -1) + 1);
+    const widgetSlotCount = Math.min(MAX_WIDGETS, Math.max(WIDGET_MAPPING_SLOTS, ...mappedWidgetSlots));
+    const widgetOptions = Array.from({ length: widgetSlotCount }, (_, index) => [widgetField(index, 'Name'), widgetField(index, 'Rev')])
+      .flat()
+      .map(field => [field, getFieldLabel(field)]);
+
+    return [
+      ...Object.entries(FIELD_LABELS).filter(([field]) => field !== 'widgets' && field !== 'pages' && !isPageField(field)),
+      ...activeData.pages.map(page => [page.id, getFieldLabel(page.id, activeData.pages)]),
+      ...widgetOptions
+    ];
+  }, [sheetPicker?.mapping, activeData.pages]);
+
+  const updateColumnMapping = (headerKey, field) => {
+    setSheetPicker(prev => ({ ...prev, mapping: { ...prev.mapping, [headerKey]: field }, choices: {} }));
+  };
+
+  const saveMappingProfile = () => {
+    const name = sanitizeText(mappingProfileName);
+    if (!name || !sheetPicker) return;
+
+    const existing = mappingProfiles.find(profile => profile.name === name);
+    const profile = { name, mapping: { ...existing?.mapping, ...sheetPicker.mapping } };
+    const nextProfiles = [...mappingProfiles.filter(item => item.name !== name), profile]
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    setMappingProfiles(nextProfiles);
+    writeStoredJson(MAPPING_PROFILES_STORAGE_KEY, nextProfiles);
+    setActiveMappingProfileName(name);
+    setMappingProfileName('');
+  };
+
+  const deleteMappingProfile = (name) => {
+    const nextProfiles = mappingProfiles.filter(profile => profile.name !== name);
+    setMappingProfiles(nextProfiles);
+    writeStoredJson(MAPPING_PROFILES_STORAGE_KEY, nextProfiles);
+    if (activeMappingProfileName === name) setActiveMappingProfileName('');
+  };
+
+  const selectMappingProfile = (name) => {
+    setActiveMappingProfileName(name);
+    const profile = mappingProfiles.find(item => item.name === name);
+    setSheetPicker(prev => prev && ({
+      ...prev,
+      mapping: buildColumnMapping(prev.headers, profile?.mapping, activeData.pages),
+      choices: {}
+    }));
+  };
+
+  const updateBranding = (field, value) => {
+    setReportSettings(prev => ({ ...prev, branding: { ...prev.branding, [field]: value } }));
+  };
+
+  const handleLogoUpload = (e) => {
+    const file = e.target.files?.[0];
+    if (logoInputRef.current) logoInputRef.current.value = "";
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      setErrorMsg("The logo must be an image file (PNG, JPEG, GIF, WebP or SVG).");
+      return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      setErrorMsg(`Logo is too large (${Math.round(file.size / 1024)} KB). Please use an image under ${MAX_LOGO_BYTES / 1024} KB.`);
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onloadend = () => {
+      const logo = normalizeBranding({ logo: typeof reader.result === 'string' ? reader.result : '' }).logo;
+      if (!logo) {
+        setErrorMsg("Could not read the logo. Please use a PNG, JPEG, GIF, WebP or SVG image.");
+        return;
+      }
+      setErrorMsg("");
+      updateBranding('logo', logo);
+    };
+    reader.onerror = () => setErrorMsg("Could not read the logo file.");
+    reader.readAsDataURL(file);
+  };
+
+  const saveBrandingProfile = () => {
+    const name = sanitizeText(brandingProfileName);
+    if (!name) return;
+
+    const profile = { name, branding: normalizeBranding(reportSettings.branding) };
+    const nextProfiles = [...brandingProfiles.filter(item => item.name !== name), profile]
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    setBrandingProfiles(nextProfiles);
+    writeStoredJson(BRANDING_PROFILES_STORAGE_KEY, nextProfiles);
+    setActiveBrandingProfileName(name);
+    setBrandingProfileName('');
+  };
+
+  const deleteBrandingProfile = (name) => {
+    const nextProfiles = brandingProfiles.filter(profile => profile.name !== name);
+    setBrandingProfiles(nextProfiles);
+    writeStoredJson(BRANDING_PROFILES_STORAGE_KEY, nextProfiles);
+    if (activeBrandingProfileName === name) setActiveBrandingProfileName('');
+  };
+
+  const selectBrandingProfile = (name) => {
+    setActiveBrandingProfileName(name);
+    const profile = brandingProfiles.find(item => item.name === name);
+    setReportSettings(prev => ({ ...prev, branding: profile ? normalizeBranding(profile.branding) : DEFAULT_BRANDING }));
+  };
+
+  const toggleSheetSelection = (name) => {
+    setSheetPicker(prev => ({
+      ...prev,
+      selected: prev.selected.includes(name)
+        ? prev.selected.filter(selectedName => selectedName !== name)
+        : prev.sheets.map(sheet => sheet.name).filter(sheetName => sheetName === name || prev.selected.includes(sheetName))
+    }));
+  };
+
+  const extractionRows = useMemo(() => (extractionReview ? getExtractionRows(extractionReview) : []), [extractionReview]);
+
+  const toggleExtractionField = (field) => {
+    setExtractionReview(prev => prev && ({
+      ...prev,
+      accepted: { ...prev.accepted, [field]: !prev.accepted[field] }
+    }));
+  };
+
+  // Picking a screenshot for a conflicting field re-evaluates whether it starts accepted.
+  const chooseExtractionSource = (field, source) => {
+    setExtractionReview(prev => prev && ({
+      ...prev,
+      choices: { ...prev.choices, [field]: source },
+      accepted: { ...prev.accepted, [field]: prev.statuses[source][field] === 'read' }
+    }));
+  };
+
+  // Applies to the dataset the screenshots were uploaded for, even if the editor switched since.
+  const applyExtractionReview = () => {
+    if (!extractionReview) return;
+    const accepted = Object.fromEntries(
+      extractionRows.filter(row => row.accepted).map(row => [row.field, row.value])
+    );
+    if (Object.keys(accepted).length > 0) {
+      const setSlotData = extractionReview.slot === 'comparison' ? setComparisonData : setData;
+      setSlotData(prev => mergeReportData(prev, accepted));
+    }
+    setExtractionReview(null);
+  };
+
+  const extractionReviewData = extractionReview?.slot === 'comparison' ? comparisonData : data;
+
+  const applySheetMerge = () => {
+    if (!sheetMerge || Object.keys(sheetMerge.data).length === 0) return;
+    setActiveData(prev => mergeReportData(prev, sheetMerge.data));
+    setSheetPicker(null);
+  };
+
+  const handleBatchUpload = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    if (file.size > MAX_UPLOAD_FILE_BYTES) {
+      setErrorMsg(
+        `Spreadsheet is too large (${(file.size / (1024 * 1024)).toFixed(1)} MB). Please use a file under 8 MB.`
+      );
+      if (batchInputRef.current) batchInputRef.current.value = "";
+      return;
+    }
+
+    setIsParsingBatch(true);
+    setErrorMsg("");
+
+    try {
+      const arrayBuffer = await file.arrayBuffer();
+      const workbook = XLSX.read(arrayBuffer, { type: 'array' });
+      const firstSheetName = workbook.SheetNames?.[0];
+      if (!firstSheetName) {
+        throw new Error('The spreadsheet has no sheets.');
+      }
+
+      const worksheet = workbook.Sheets[firstSheetName];
+      const mapping = buildColumnMapping(detectSheetHeaders(worksheet, data.pages), activeMappingProfile?.mapping, data.pages);
+      const rows = extractExcelBatch(worksheet, mapping, reportSettings.locale);
+      if (rows.length === 0) {
+        throw new Error('No rows could be mapped to report fields.');
+      }
+
+      setBatchRows(rows);
+      setAcknowledgedBatchRows({});
+      setBatchFileName(file.name.replace(/\.[^.]+$/, ''));
+    } catch (err) {
+      setErrorMsg(
+        err instanceof Error && err.message
+          ? err.message
+          : "Failed to read spreadsheet. Please check the file format."
+      );
+    } finally {
+      setIsParsingBatch(false);
+      if (batchInputRef.current) batchInputRef.current.value = "";
+    }
+  };
+
+  const reportLibraryError = (err, fallback) =>
+    setErrorMsg(err instanceof Error && err.message ? `Report library: ${err.message}` : fallback);
+
+  // Switching reports inside the autosave delay would otherwise drop the last edits.
+  const flushPendingSave = () => {
+    if (!isLibraryReady || JSON.stringify(snapshot) === lastSavedSnapshotRef.current) return;
+    saveReport({ ...currentReport, snapshot })
+      .then(saved => setLibraryReports(prev => [saved, ...prev.filter(report => report.id !== saved.id)]))
+      .catch(err => reportLibraryError(err, "Could not save the report to the library."));
+  };
+
+  const loadReportSnapshot = (report, nextSnapshot) => {
+    flushPendingSave();
+    const restored = {
+      data: nextSnapshot.data,
+      comparisonData: nextSnapshot.comparisonData ?? null,
+      comparison: { ...DEFAULT_COMPARISON_STATE, ...nextSnapshot.comparison },
+      // Reports saved before a setting existed pick up its default.
+      reportSettings: { ...DEFAULT_REPORT_SETTINGS, ...nextSnapshot.reportSettings }
+    };
+    setData(restored.data);
+    setComparisonData(restored.comparisonData);
+    setComparison(restored.comparison);
+    setReportSettings(restored.reportSettings);
+    setCurrentReport({ id: report.id, name: report.name || '', createdAt: report.createdAt ?? null });
+    setSheetPicker(null);
+    setExtractionReview(null);
+    setErrorMsg("");
+    lastSavedSnapshotRef.current = report.createdAt ? JSON.stringify(restored) : '';
+    writeStoredJson(LAST_REPORT_STORAGE_KEY, report.id);
+  };
+
+  const openReport = (report) => loadReportSnapshot(report, report.snapshot);
+
+  // New reports start blank but keep the current template, language and branding settings.
+  const startNewReport = () => {
+    loadReportSnapshot(
+      { id: createReportId(), name: '', createdAt: null },
+      { data: { ...DEFAULT_NORMALIZED_DATA, storeName: '' }, reportSettings }
+    );
+  };
+
+  const handleDuplicateReport = async (id) => {
+    try {
+      const copy = await duplicateReport(id);
+      setLibraryReports(prev => [copy, ...prev]);
+    } catch (err) {
+      reportLibraryError(err, "Could not duplicate the report.");
+    }
+  };
+
+  const handleRenameReport = async () => {
+    if (!renamingReport) return;
+    const name = sanitizeText(renamingReport.name);
+    try {
+      const renamed = await renameReport(renamingReport.id, name);
+      setLibraryReports(prev => [renamed, ...prev.filter(report => report.id !== renamed.id)]);
+      if (renamed.id === currentReport.id) setCurrentReport(prev => ({ ...prev, name }));
+      setRenamingReport(null);
+    } catch (err) {
+      reportLibraryError(err, "Could not rename the report.");
+    }
+  };
+
+  const handleDeleteReport = async (report) => {
+    if (!window.confirm(`Delete "${getReportTitle(report)}"? This cannot be undone.`)) return;
+    try {
+      await deleteReport(report.id);
+      const remaining = libraryReports.filter(item => item.id !== report.id);
+      setLibraryReports(remaining);
+      if (report.id === currentReport.id) {
+        // Nothing left to flush for a report that no longer exists.
+        lastSavedSnapshotRef.current = JSON.stringify(snapshot);
+        if (remaining.length > 0) openReport(remaining[0]);
+        else startNewReport();
+      }
+    } catch (err) {
+      reportLibraryError(err, "Could not delete the report.");
+    }
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchAccessStatus(accessToken).then(result => {
+      if (cancelled) return;
+      if (result.required && !result.authenticated) {
+        lockAccess(accessToken ? 'Your access code is no longer valid.' : '');
+        return;
+      }
+      setAccess({ status: 'open', required: result.required });
+      if (result.error) setErrorMsg(`Could not check image analysis access: ${result.error}`);
+    });
+    return () => {
+      cancelled = true;
+    };
+    // Checks the stored code once on mount; later failures lock the editor from analyzeScreenshot.
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const restoreLibrary = async () => {
+      try {
+        const reports = await listReports();
+        if (cancelled) return;
+        setLibraryReports(reports);
+        const lastReportId = readStoredJson(LAST_REPORT_STORAGE_KEY, null);
+        const lastReport = reports.find(report => report.id === lastReportId) || reports[0];
+        if (lastReport) openReport(lastReport);
+        setIsLibraryReady(true);
+      } catch (err) {
+        // Without storage the editor still works; edits just are not kept across reloads.
+        if (!cancelled) reportLibraryError(err, "The report library is unavailable, so edits will not be saved.");
+      }
+    };
+    restoreLibrary();
+    return () => {
+      cancelled = true;
+    };
+    // Runs once on mount; openReport only sets state.
+  }, []);
+
+  useEffect(() => {
+    if (!isLibraryReady) return undefined;
+    const serialized = JSON.stringify(snapshot);
+    if (serialized === lastSavedSnapshotRef.current) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const saved = await saveReport({ ...currentReport, snapshot });
+        lastSavedSnapshotRef.current = serialized;
+        writeStoredJson(LAST_REPORT_STORAGE_KEY, saved.id);
+        setCurrentReport(prev => (prev.id === saved.id && prev.createdAt === null ? { ...prev, createdAt: saved.createdAt } : prev));
+        setLibraryReports(prev => [saved, ...prev.filter(report => report.id !== saved.id)]);
+      } catch (err) {
+        reportLibraryError(err, "Could not save the report to the library.");
+      }
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [snapshot, currentReport, isLibraryReady]);
+
+  const visibleLibraryReports = useMemo(
+    () => filterReports(libraryReports, librarySearch),
+    [libraryReports, librarySearch]
+  );
+
+  const toggleComparison = (enabled) => {
+    // The second dataset starts as a copy of the first so only the differences need editing.
+    if (enabled && !comparisonData) setComparisonData({ ...data });
+    setComparison(prev => ({ ...prev, enabled, activeSlot: enabled ? prev.activeSlot : 'primary' }));
+  };
+
+  const handleComparisonLabelChange = (e) => {
+    const { name, value } = e.target;
+    setComparison(prev => ({ ...prev, labels: { ...prev.labels, [name]: value } }));
+  };
+
+  const handleThresholdChange = (e) => {
+    const { name, value } = e.target;
+    const parsed = Number(value);
+    setReportSettings(prev => ({
+      ...prev,
+      narrativeThresholds: {
+        ...prev.narrativeThresholds,
+        [name]: value === '' ? '' : Number.isFinite(parsed) ? parsed : prev.narrativeThresholds[name]
+      }
+    }));
+  };
+
+  const updateWidget = (index, key, value) => {
+    setActiveData(prev => ({
+      ...prev,
+      widgets: prev.widgets.map((widget, widgetIndex) => {
+        if (widgetIndex !== index) return widget;
+        // Names are sanitized when the report is normalized; trimming here would swallow typed spaces.
+        if (key === 'name') return { ...widget, name: value };
+        const parsed = Number(value);
+        return { ...widget, revenue: value === '' ? '' : Number.isFinite(parsed) ? parsed : widget.revenue };
+      })
+    }));
+  };
+
+  const addWidget = () => {
+    setActiveData(prev => (
+      prev.widgets.length >= MAX_WIDGETS ? prev : { ...prev, widgets: [...prev.widgets, { name: '', revenue: 0 }] }
+    ));
+  };
+
+  // Shared by the widget and page lists in the editor.
+  const removeListItem = (listKey, index) => {
+    setActiveData(prev => ({ ...prev, [listKey]: prev[listKey].filter((_, itemIndex) => itemIndex !== index) }));
+  };
+
+  const moveListItem = (listKey, index, offset) => {
+    setActiveData(prev => {
+      const target = index + offset;
+      if (target < 0 || target >= prev[listKey].length) return prev;
+      const items = [...prev[listKey]];
+      [items[index], items[target]] = [items[target], items[index]];
+      return { ...prev, [listKey]: items };
+    });
+  };
+
+  const updatePage = (index, key, value) => {
+    setActiveData(prev => ({
+      ...prev,
+      pages: prev.pages.map((page, pageIndex) => {
+        if (pageIndex !== index) return page;
+        if (key === 'revenue') {
+          const parsed = Number(value);
+          return { ...page, revenue: value === '' ? '' : Number.isFinite(parsed) ? parsed : page.revenue };
+        }
+        return { ...page, [key]: value };
+      })
+    }));
+  };
+
+  // Picks a preset page type by id, or adds a custom page when no preset is given.
+  const addPage = (presetId) => {
+    setActiveData(prev => {
+      if (prev.pages.length >= MAX_PAGES) return prev;
+      const preset = PAGE_TYPE_PRESETS.find(page => page.id === presetId);
+      const page = preset
+        ? { ...preset, revenue: 0, status: 'auto' }
+        : { id: nextCustomPageId(prev.pages), label: 'Custom Page', revenue: 0, status: 'auto' };
+      return { ...prev, pages: [...prev.pages, page] };
+    });
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setActiveData(prev => {
+      if (NUMERIC_FIELDS.has(name)) {
+        if (value === '') return { ...prev, [name]: '' };
+        const parsed = Number(value);
+        return { ...prev, [name]: Number.isFinite(parsed) ? parsed : prev[name] };
+      }
+
+      // Prior-period values stay null when cleared so the report hides their trend badges.
+      if (OPTIONAL_NUMERIC_FIELDS.has(name)) {
+        if (value === '') return { ...prev, [name]: null };
+        const parsed = Number(value);
+        return { ...prev, [name]: Number.isFinite(parsed) ? parsed : prev[name] };
+      }
+
+      if (TEXT_FIELDS.has(name)) {
+        return { ...prev, [name]: sanitizeText(value) };
+      }
+
+      return { ...prev, [name]: value };
+    });
+  };
+
+  const loadOfflineAssets = async () => {
+    if (offlineAssets) return offlineAssets;
+
+    setIsLoadingOfflineAssets(true);
+    try {
+      const { OFFLINE_REPORT_ASSETS } = await import('./src/offlineAssets.js');
+      setOfflineAssets(OFFLINE_REPORT_ASSETS);
+      return OFFLINE_REPORT_ASSETS;
+    } finally {
+      setIsLoadingOfflineAssets(false);
+    }
+  };
 
-  const handleImageUpload = async (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
+  const toggleOfflineExport = async (enabled) => {
+    setIsOfflineExport(enabled);
+    if (!enabled) return;
 
-    if (file.size > MAX_UPLOAD_FILE_BYTES) {
-      setErrorMsg(
-        `Image is too large (${(file.size / (1024 * 1024)).toFixed(1)} MB). Please use an image under 8 MB.`
-      );
-      if (fileInputRef.current) fileInputRef.current.value = "";
-      return;
+    try {
+      await loadOfflineAssets();
+    } catch {
+      setIsOfflineExport(false);
+      setErrorMsg("Failed to load offline report assets. Please try again.");
     }
+  };
 
-    setIsAnalyzing(true);
-    setErrorMsg("");
+  const reportAssets = isOfflineExport ? offlineAssets : null;
+  const isExportReady = !isOfflineExport || Boolean(offlineAssets);
+
+  const buildCurrentReportHTML = assets =>
+    comparison.enabled
+      ? buildComparisonReportHTML(data, comparisonData, {
+        labels: comparison.labels,
+        currency: reportSettings.currency,
+        locale: reportSettings.locale,
+        language: reportSettings.language,
+        branding: reportSettings.branding,
+        offlineAssets: assets
+      })
+      : buildReportHTML(data, { ...reportSettings, offlineAssets: assets });
+
+  const generateHTML = useMemo(
+    () => buildCurrentReportHTML(reportAssets),
+    [data, comparisonData, comparison, reportSettings, reportAssets]
+  );
 
-    const reader = new FileReader();
-    reader.onloadend = async () => {
-      try {
-        const fileData = typeof reader.result === 'string' ? reader.result : '';
-        const base64Data = fileData.includes(',') ? fileData.split(',')[1] : '';
-        if (!base64Data) {
-          throw new Error('Invalid image data');
-        }
+  const downloadFile = () => {
+    if (isDownloadBlocked) return;
+    const blob = new Blob([generateHTML], { type: 'text/html' });
+    triggerDownload(blob, `Wiser_Report_${toSafeFileName(data.storeName)}.html`);
+  };
 
-        const mimeType = file.type || 'image/png';
-        const prompt = `Analyze this analytics dashboard screenshot. Extract the data and return a JSON object.
-Use EXACTLY these keys:
-- storeName (string)
-- optimizationPercent (string, e.g. "60-65")
-- totalRevenue (number)
-- revenueCoverage (number 0-100)
-- funnelCoverage (number 0-100)
-- widgetUtilization (number 0-100)
-- productRev (number)
-- postPurchaseRev (number)
-- checkoutRev (number)
-- thankYouRev (number)
-- cartRev (number)
-- otherRev (number)
-- widget1Name (string)
-- widget1Rev (number)
-- widget2Name (string)
-- widget2Rev (number)
-- widget3Name (string)
-- widget3Rev (number)
-- projectedCurrent (number)
-- projectedOptimized (number)
-
-IMPORTANT:
-1. If a specific value is missing from the image, make your best reasonable guess based on the visible data, or default to 0 for numbers and "Unknown" for strings.`;
-
-        // Route through a backend endpoint to keep API keys off the client.
-        const payload = { prompt, mimeType, imageBase64: base64Data };
-        const delays = [1000, 2000, 4000, 8000, 16000];
-        const maxAttempts = delays.length + 1;
-
-        for (let attempt = 0; attempt < maxAttempts; attempt++) {
-          try {
-            const response = await fetch('/api/analyze-dashboard', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify(payload)
-            });
-            let result = {};
-            try {
-              result = await response.json();
-            } catch {
-              result = {};
-            }
-
-            if (!response.ok) {
-              const apiError = typeof result?.error === 'string' ? result.error : `HTTP error ${response.status}`;
-              throw new Error(apiError);
-            }
-
-            const extractedData =
-              result?.extractedData ??
-              result?.data ??
-              (result?.candidates?.[0]?.content?.parts?.[0]?.text
-                ? JSON.parse(result.candidates[0].content.parts[0].text)
-                : result);
-
-            const normalizedExtractedData = normalizeIncomingData(extractedData);
-            if (Object.keys(normalizedExtractedData).length === 0) {
-              throw new Error('Invalid analysis response');
-            }
-
-            setData(prev => ({ ...prev, ...normalizedExtractedData }));
-            return;
-          } catch (err) {
-            const isLastAttempt = attempt === maxAttempts - 1;
-            if (isLastAttempt) {
-              setErrorMsg(
-                err instanceof Error && err.message
-                  ? err.message
-                  : "Failed to analyze image. Please try again or fill the fields manually."
-              );
-            } else {
-              await new Promise(resolve => setTimeout(resolve, delays[attempt]));
-            }
-          }
-        }
-      } catch (err) {
-        setErrorMsg("Unable to read the uploaded image. Please try another file.");
-      } finally {
-        setIsAnalyzing(false);
-        if (fileInputRef.current) fileInputRef.current.value = "";
-      }
-    };
-    reader.onerror = () => {
-      setErrorMsg("Unable to read the uploaded image. Please try another file.");
-      setIsAnalyzing(false);
-      if (fileInputRef.current) fileInputRef.current.value = "";
-    };
-    reader.readAsDataURL(file);
+  const exportProjectData = () => {
+    const project = buildProjectFile({ data, comparison, comparisonData, reportSettings });
+    const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+    triggerDownload(blob, `Wiser_Report_${toSafeFileName(data.storeName)}.json`);
   };
 
-  const handleSpreadsheetUpload = async (e) => {
+  // Imported projects open as a new library report so the current one is never overwritten.
+  const handleProjectImport = async (e) => {
     const file = e.target.files?.[0];
+    if (projectInputRef.current) projectInputRef.current.value = "";
     if (!file) return;
 
     if (file.size > MAX_UPLOAD_FILE_BYTES) {
+      setErrorMsg(`Project file is too large (${(file.size / (1024 * 1024)).toFixed(1)} MB). Please use a file under 8 MB.`);
+      return;
+    }
+
+    try {
+      const project = parseProjectFile(await file.text());
+      loadReportSnapshot({ id: createReportId(), name: '', createdAt: null }, project);
+    } catch (err) {
       setErrorMsg(
-        `Spreadsheet is too large (${(file.size / (1024 * 1024)).toFixed(1)} MB). Please use a file under 8 MB.`
+        err instanceof Error && err.message
+          ? `Could not import project: ${err.message}.`
+          : "Could not import the project file."
       );
-      if (spreadsheetInputRef.current) spreadsheetInputRef.current.value = "";
-      return;
     }
+  };
 
-    setIsParsingSpreadsheet(true);
+  // PDFs are always rendered from the offline build so charts and fonts never wait on a CDN.
+  const downloadPdf = async () => {
+    if (isDownloadBlocked) return;
+    setIsExportingPdf(true);
     setErrorMsg("");
 
     try {
-      const arrayBuffer = await file.arrayBuffer();
-      const workbook = XLSX.read(arrayBuffer, { type: 'array' });
-      const firstSheetName = workbook.SheetNames?.[0];
-      if (!firstSheetName) {
-        throw new Error('The spreadsheet has no sheets.');
-      }
-
-      const worksheet = workbook.Sheets[firstSheetName];
-      const extractedData = extractExcelData(worksheet);
-      const normalizedData = normalizeIncomingData(extractedData);
-      if (Object.keys(normalizedData).length === 0) {
-        throw new Error('Could not map spreadsheet columns to report fields.');
-      }
-
-      setData(prev => ({ ...prev, ...normalizedData }));
+      const assets = await loadOfflineAssets();
+      const { exportReportPdf } = await import('./src/pdfExport.js');
+      const blob = await exportReportPdf(buildCurrentReportHTML(assets), {
+        storeName: normalizeReportData(data).storeName,
+        t: createTranslator(reportSettings.language)
+      });
+      triggerDownload(blob, `Wiser_Report_${toSafeFileName(data.storeName)}.pdf`);
     } catch (err) {
       setErrorMsg(
         err instanceof Error && err.message
           ? err.message
-          : "Failed to read spreadsheet. Please check the file format."
+          : "Failed to export the PDF report."
       );
     } finally {
-      setIsParsingSpreadsheet(false);
-      if (spreadsheetInputRef.current) spreadsheetInputRef.current.value = "";
+      setIsExportingPdf(false);
     }
   };
 
-  const handleInputChange = (e) => {
-    const { name, value } = e.target;
-    setData(prev => {
-      if (NUMERIC_FIELDS.has(name)) {
-        if (value === '') return { ...prev, [name]: '' };
-        const parsed = Number(value);
-        return { ...prev, [name]: Number.isFinite(parsed) ? parsed : prev[name] };
-      }
-
-      if (TEXT_FIELDS.has(name)) {
-        return { ...prev, [name]: sanitizeText(value) };
-      }
+  // Every store gets the editor's page types; its own revenue fills them in.
+  const getBatchReportData = row => ({ pages: data.pages.map(page => ({ ...page, revenue: 0 })), ...row.data });
 
-      return { ...prev, [name]: value };
-    });
+  // Batch rows get the same cross-field checks as the editor. With acknowledgement required, rows
+  // with warnings are left out of the archive until each one's warnings are acknowledged; a row
+  // can be loaded as its own report to review it first.
+  const batchWarnings = useMemo(
+    () => new Map(batchRows.map(row => [row.rowNumber, validateReportData(getBatchReportData(row), reportFormat)])),
+    [batchRows, data.pages, reportFormat]
+  );
+  const getBatchWarningSignature = row => (batchWarnings.get(row.rowNumber) || []).map(issue => issue.message).join('\n');
+  const isBatchRowAcknowledged = row => acknowledgedBatchRows[row.rowNumber] === getBatchWarningSignature(row);
+  const isBatchRowExportable = row =>
+    row.issues.length === 0 &&
+    !(requireValidationAck && batchWarnings.get(row.rowNumber)?.length > 0 && !isBatchRowAcknowledged(row));
+  const exportableBatchRows = batchRows.filter(isBatchRowExportable);
+
+  const acknowledgeBatchRow = row =>
+    setAcknowledgedBatchRows(prev => ({ ...prev, [row.rowNumber]: getBatchWarningSignature(row) }));
+
+  // Opens the row as a new library report, so the report that is open keeps its own data.
+  const loadBatchRow = row => {
+    loadReportSnapshot(
+      { id: createReportId(), name: '', createdAt: null },
+      { data: normalizeReportData(getBatchReportData(row)), reportSettings }
+    );
   };
 
-  // --- HTML Template Builder ---
-  const generateHTML = useMemo(() => {
-    const safeData = normalizeReportData(data);
-
-    // Calculate Percentages
-    const revenueBase = safeData.totalRevenue > 0 ? safeData.totalRevenue : 0;
-    const w1Pct = (revenueBase > 0 ? clamp((safeData.widget1Rev / revenueBase) * 100, 0, 100) : 0).toFixed(1);
-    const w2Pct = (revenueBase > 0 ? clamp((safeData.widget2Rev / revenueBase) * 100, 0, 100) : 0).toFixed(1);
-    const w3Pct = (revenueBase > 0 ? clamp((safeData.widget3Rev / revenueBase) * 100, 0, 100) : 0).toFixed(1);
-    const optimizationNumber = toSafeNumber(String(safeData.optimizationPercent).split('-')[0], safeData.revenueCoverage);
-    const revenueTrend = `+${Math.max(4, Math.round(optimizationNumber / 6))}%`;
-    const coverageTrend = `+${Math.max(0.2, safeData.funnelCoverage / 180).toFixed(1)}%`;
-    const checkoutDelta = safeData.checkoutRev - safeData.thankYouRev;
-    const aovTrend = `${checkoutDelta >= 0 ? '+' : '-'}${Math.max(0.3, Math.abs(checkoutDelta) / 300).toFixed(1)}%`;
-    const stockBadge = safeData.widgetUtilization >= 60
-      ? 'Stable'
-      : safeData.widgetUtilization >= 45
-        ? 'Watchlist'
-        : 'Risk';
-    const stockBadgeClass = safeData.widgetUtilization >= 60
-      ? 'bg-emerald-100 text-emerald-700'
-      : safeData.widgetUtilization >= 45
-        ? 'bg-amber-100 text-amber-700'
-        : 'bg-red-100 text-red-700';
-    const revenueDataLiteral = [
-      safeData.productRev,
-      safeData.postPurchaseRev,
-      safeData.checkoutRev,
-      safeData.thankYouRev,
-      safeData.cartRev,
-      safeData.otherRev
-    ].join(', ');
-    const widgetDataLiteral = [safeData.widget1Rev, safeData.widget2Rev, safeData.widget3Rev].join(', ');
-    const widgetLabelLiteral = [safeData.widget1Name, safeData.widget2Name, safeData.widget3Name]
-      .map(label => JSON.stringify(label))
-      .join(', ');
-
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Wiser Performance Review: ${safeData.storeName}</title>
-    <link rel="preconnect" href="https://fonts.googleapis.com">
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    <link href="https://fonts.googleapis.com/css2?family=Manrope:wght@400;500;600;700;800&display=swap" rel="stylesheet">
-    <!-- Tailwind CSS -->
-    <script src="https://cdn.tailwindcss.com"></script>
-    <!-- Chart.js -->
-    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
-    
-    <script>
-        tailwind.config = {
-            theme: {
-                extend: {
-                    colors: {
-                        'wiser-red': '#F9423A',
-                        'wiser-navy': '#1F2937',
-                        'wiser-dark': '#111827',
-                        'wiser-gray': '#F6F6F7',
-                        'wiser-border': '#E1E3E5',
-                        'wiser-green': '#008060',
-                        'wiser-yellow': '#FFC453',
-                    },
-                    fontFamily: {
-                        sans: ['Inter', '-apple-system', 'BlinkMacSystemFont', 'San Francisco', 'Segoe UI', 'Roboto', 'Helvetica Neue', 'sans-serif'],
-                    },
-                    boxShadow: {
-                        'card': '0 2px 5px rgba(0,0,0,0.05)',
-                        'hover': '0 5px 15px rgba(0,0,0,0.08)',
-                    }
-                }
-            }
-        }
-    </script>
-    <style>
-        body { background: linear-gradient(180deg, #f3f4f6 0%, #eef2f7 100%); color: #1F2937; font-family: 'Manrope', sans-serif; }
-        .chart-container { position: relative; width: 100%; max-width: 600px; margin-left: auto; margin-right: auto; height: 300px; max-height: 400px; }
-        @media (min-width: 768px) { .chart-container { height: 350px; } }
-        .metric-card { background: white; border: 1px solid #E1E3E5; border-radius: 8px; transition: all 0.2s ease; }
-        .metric-card:hover { border-color: #F9423A; box-shadow: 0 4px 12px rgba(0,0,0,0.05); }
-        .tab-content { display: none; animation: fadeIn 0.3s ease-out; }
-        .tab-content.active { display: block; }
-        .tab-btn { position: relative; color: #475569; font-weight: 700; padding: 9px 16px; border-radius: 999px; transition: all 0.2s; }
-        .tab-btn:hover { background: #e2e8f0; color: #0f172a; }
-        .tab-btn.active { color: #fff; font-weight: 700; background: #0f172a; box-shadow: 0 6px 16px rgba(15, 23, 42, 0.18); }
-        @keyframes fadeIn { from { opacity: 0; transform: translateY(5px); } to { opacity: 1; transform: translateY(0); } }
-        .progress-bg { background-color: #F1F2F3; border-radius: 4px; height: 8px; width: 100%; overflow: hidden; }
-        .progress-fill { height: 100%; border-radius: 4px; transition: width 1s ease-in-out; }
-    </style>
-</head>
-<body class="font-sans antialiased pb-20 flex flex-col min-h-screen">
-    <header class="bg-white border-b border-wiser-border sticky top-0 z-50 backdrop-blur">
-        <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-            <div class="flex flex-col md:flex-row justify-between items-center py-4">
-                <div class="flex items-center space-x-3">
-                    <div class="h-12 w-12 bg-gradient-to-br from-red-500 to-orange-400 rounded-xl flex items-center justify-center text-white font-bold text-xl shadow-sm">${safeData.storeName.charAt(0) || '?'}</div>
-                    <div>
-                        <h1 class="text-3xl font-extrabold text-wiser-navy leading-tight">${safeData.storeName} Intelligence</h1>
-                        <p class="text-xs text-gray-500">Q4 Store Review <span class="mx-2">-</span> <span class="bg-emerald-100 px-2 py-1 rounded-full text-emerald-700 font-semibold">${optimizationNumber}% Optimized</span></p>
-                    </div>
-                </div>
-                <div class="mt-4 md:mt-0 flex items-center space-x-3">
-                    <button onclick="window.print()" class="px-4 py-2 bg-white border border-slate-300 text-slate-700 text-sm font-semibold rounded-xl hover:bg-slate-50">Export PDF</button>
-                    <button class="px-4 py-2 bg-slate-900 text-white text-sm font-semibold rounded-xl hover:bg-slate-700">Scan New Image</button>
-                </div>
-            </div>
-            <div class="flex space-x-3 mt-4 overflow-x-auto no-scrollbar border-t border-gray-100 pt-2">
-                <button onclick="switchTab('overview')" class="tab-btn active text-sm">Overview</button>
-                <button onclick="switchTab('wins')" class="tab-btn text-sm">Performance Wins</button>
-                <button onclick="switchTab('improvements')" class="tab-btn text-sm">Live Improvements</button>
-                <button onclick="switchTab('opportunities')" class="tab-btn text-sm">Growth Gaps</button>
-                <button onclick="switchTab('action')" class="tab-btn text-sm">Action Roadmap</button>
-            </div>
-        </div>
-    </header>
-
-    <main class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 mt-8 flex-grow">
-        <!-- TAB 1: OVERVIEW -->
-        <div id="overview" class="tab-content active space-y-8">
-            <div class="space-y-3">
-                <div class="flex items-center justify-between rounded-2xl border border-slate-200 bg-white px-5 py-4 shadow-sm">
-                    <div>
-                        <p class="text-xs font-bold uppercase tracking-[0.18em] text-slate-500">Total Revenue</p>
-                        <p class="mt-1 text-4xl font-extrabold text-slate-900">$${safeData.totalRevenue.toLocaleString()}</p>
-                    </div>
-                    <span class="rounded-lg bg-emerald-100 px-3 py-2 text-sm font-bold text-emerald-700">${revenueTrend}</span>
-                </div>
-                <div class="flex items-center justify-between rounded-2xl border border-slate-200 bg-white px-5 py-4 shadow-sm">
-                    <div>
-                        <p class="text-xs font-bold uppercase tracking-[0.18em] text-slate-500">Revenue Coverage</p>
-                        <p class="mt-1 text-4xl font-extrabold text-slate-900">${safeData.revenueCoverage}%</p>
-                    </div>
-                    <span class="rounded-lg bg-emerald-100 px-3 py-2 text-sm font-bold text-emerald-700">${coverageTrend}</span>
-                </div>
-                <div class="flex items-center justify-between rounded-2xl border border-slate-200 bg-white px-5 py-4 shadow-sm">
-                    <div>
-                        <p class="text-xs font-bold uppercase tracking-[0.18em] text-slate-500">Avg Order Value</p>
-                        <p class="mt-1 text-4xl font-extrabold text-slate-900">$${safeData.checkoutRev.toLocaleString(undefined, {minimumFractionDigits: 2})}</p>
-                    </div>
-                    <span class="rounded-lg ${checkoutDelta >= 0 ? 'bg-emerald-100 text-emerald-700' : 'bg-red-100 text-red-700'} px-3 py-2 text-sm font-bold">${aovTrend}</span>
-                </div>
-                <div class="flex items-center justify-between rounded-2xl border border-slate-200 bg-white px-5 py-4 shadow-sm">
-                    <div>
-                        <p class="text-xs font-bold uppercase tracking-[0.18em] text-slate-500">Stock Health</p>
-                        <p class="mt-1 text-4xl font-extrabold text-slate-900">${safeData.widgetUtilization}%</p>
-                    </div>
-                    <span class="rounded-lg ${stockBadgeClass} px-3 py-2 text-sm font-bold">${stockBadge}</span>
-                </div>
-            </div>
-
-            <div class="bg-white rounded-2xl border-4 border-slate-900/90 shadow-lg p-6 relative overflow-hidden">
-                <div class="absolute -right-8 -top-8 h-24 w-24 rounded-full bg-red-50"></div>
-                <div class="relative">
-                    <h2 class="text-2xl font-extrabold text-wiser-navy">Executive Summary</h2>
-                    <p class="text-gray-600 mt-2 leading-relaxed text-lg">
-                        ${safeData.storeName} is currently operating at <strong class="text-wiser-navy">${safeData.revenueCoverage}% efficiency</strong> across the digital sales funnel.
-                        Growth is primarily led by <strong class="text-emerald-700">${safeData.widget1Name}</strong>, while the next focus should be stabilizing conversion pressure points and
-                        improving widget activation where utilization sits at <strong class="text-red-600">${safeData.widgetUtilization}%</strong>.
-                    </p>
-                </div>
-            </div>
-            <div>
-                <h3 class="text-sm font-black text-slate-700 uppercase mb-4 tracking-[0.2em]">System Health Scorecard</h3>
-                <div class="grid grid-cols-1 md:grid-cols-3 gap-6">
-                    <div class="metric-card p-6 flex flex-col items-center">
-                        <h4 class="text-base font-bold text-slate-800 mb-1">Revenue Coverage</h4>
-                        <p class="text-xs text-slate-500 mb-4">Exceeded Q4 forecast</p>
-                        <div class="chart-container" style="height: 160px; max-height: 160px;"><canvas id="healthRevenueChart"></canvas></div>
-                        <p class="text-3xl font-bold text-wiser-navy mt-[-60px] z-10">${safeData.revenueCoverage}%</p>
-                        <div class="mt-8 text-center w-full border-t border-gray-100 pt-4"><span class="inline-block px-3 py-1 bg-blue-50 text-blue-700 text-xs font-semibold rounded-full mb-1">Strong Core</span><p class="text-xs text-gray-500">Driven by Product Pages.</p></div>
-                    </div>
-                    <div class="metric-card p-6 flex flex-col items-center">
-                        <h4 class="text-base font-bold text-slate-800 mb-1">Mobile Conversion</h4>
-                        <p class="text-xs text-slate-500 mb-4">Post-checkout redesign</p>
-                        <div class="chart-container" style="height: 160px; max-height: 160px;"><canvas id="healthFunnelChart"></canvas></div>
-                        <p class="text-3xl font-bold text-wiser-navy mt-[-60px] z-10">${safeData.funnelCoverage}%</p>
-                        <div class="mt-8 text-center w-full border-t border-gray-100 pt-4"><span class="inline-block px-3 py-1 bg-emerald-50 text-emerald-700 text-xs font-semibold rounded-full mb-1">Channel Leader</span><p class="text-xs text-gray-500">Collections/Search improving.</p></div>
-                    </div>
-                    <div class="metric-card p-6 flex flex-col items-center">
-                        <h4 class="text-base font-bold text-slate-800 mb-1">Stock Availability</h4>
-                        <p class="text-xs text-slate-500 mb-4">Utilization risk profile</p>
-                        <div class="chart-container" style="height: 160px; max-height: 160px;"><canvas id="healthWidgetChart"></canvas></div>
-                        <p class="text-3xl font-bold text-wiser-red mt-[-60px] z-10">${safeData.widgetUtilization}%</p>
-                        <div class="mt-8 text-center w-full border-t border-gray-100 pt-4"><span class="inline-block px-3 py-1 bg-red-50 text-red-700 text-xs font-semibold rounded-full mb-1">High Risk</span><p class="text-xs text-gray-500">FBT & Bundles missing.</p></div>
-                    </div>
-                </div>
-            </div>
-        </div>
+  const downloadBatchZip = async () => {
+    const validRows = exportableBatchRows;
+    if (validRows.length === 0) return;
 
-        <!-- TAB 2: WINS -->
-        <div id="wins" class="tab-content space-y-6">
-            <div class="flex flex-col lg:flex-row gap-6">
-                <div class="flex-1">
-                    <div class="metric-card p-6">
-                        <h2 class="text-lg font-bold text-wiser-navy mb-1">Part 1: Best Performing Areas</h2>
-                        <div class="overflow-hidden border border-gray-200 rounded-lg mt-6">
-                            <table class="min-w-full divide-y divide-gray-200">
-                                <thead class="bg-gray-50">
-                                    <tr><th class="px-6 py-3 text-left text-xs font-bold text-gray-500 uppercase">Page Type</th><th class="px-6 py-3 text-left text-xs font-bold text-gray-500 uppercase">Revenue</th><th class="px-6 py-3 text-left text-xs font-bold text-gray-500 uppercase">Status</th></tr>
-                                </thead>
-                                <tbody class="bg-white divide-y divide-gray-100">
-                                    <tr class="hover:bg-gray-50"><td class="px-6 py-3 text-sm font-medium text-gray-900">Product Page</td><td class="px-6 py-3 text-sm font-bold text-wiser-navy">$${safeData.productRev.toLocaleString(undefined, {minimumFractionDigits: 2})}</td><td class="px-6 py-3"><span class="px-2 py-1 text-xs font-bold rounded bg-green-100 text-green-800">Strong</span></td></tr>
-                                    <tr class="hover:bg-gray-50"><td class="px-6 py-3 text-sm font-medium text-gray-900">Post-Purchase</td><td class="px-6 py-3 text-sm font-bold text-wiser-navy">$${safeData.postPurchaseRev.toLocaleString(undefined, {minimumFractionDigits: 2})}</td><td class="px-6 py-3"><span class="px-2 py-1 text-xs font-bold rounded bg-green-100 text-green-800">Strong</span></td></tr>
-                                    <tr class="hover:bg-gray-50"><td class="px-6 py-3 text-sm font-medium text-gray-900">Checkout Page</td><td class="px-6 py-3 text-sm text-gray-500">$${safeData.checkoutRev.toLocaleString(undefined, {minimumFractionDigits: 2})}</td><td class="px-6 py-3"><span class="px-2 py-1 text-xs font-bold rounded bg-yellow-100 text-yellow-800">Moderate</span></td></tr>
-                                    <tr class="hover:bg-gray-50"><td class="px-6 py-3 text-sm font-medium text-gray-900">Thank You Page</td><td class="px-6 py-3 text-sm text-gray-500">$${safeData.thankYouRev.toLocaleString(undefined, {minimumFractionDigits: 2})}</td><td class="px-6 py-3"><span class="px-2 py-1 text-xs font-bold rounded bg-yellow-100 text-yellow-800">Moderate</span></td></tr>
-                                </tbody>
-                            </table>
-                        </div>
-                    </div>
-                </div>
-                <div class="w-full lg:w-1/3 metric-card p-6 flex flex-col">
-                    <h3 class="text-xs font-bold text-gray-400 uppercase mb-4 text-center">Revenue Split</h3>
-                    <div class="chart-container flex-grow" style="height: 200px;"><canvas id="revenueByPageChart"></canvas></div>
-                </div>
-            </div>
+    setIsZippingBatch(true);
+    setErrorMsg("");
 
-            <!-- Widgets Section -->
-            <div class="metric-card p-8">
-                <div class="flex justify-between items-center mb-6 border-b border-gray-100 pb-4">
-                    <h3 class="text-lg font-bold text-wiser-navy">Widget Performance Breakdown</h3>
-                    <span class="text-xs text-gray-500 bg-gray-100 px-2 py-1 rounded">Total: $${safeData.totalRevenue.toLocaleString()}</span>
-                </div>
-                
-                <div class="flex flex-col lg:flex-row gap-10">
-                    <div class="w-full lg:w-3/5"><div class="chart-container"><canvas id="topWidgetsChart"></canvas></div></div>
-                    <div class="w-full lg:w-2/5 space-y-6">
-                        <div>
-                            <div class="flex justify-between items-end mb-1">
-                                <div><p class="text-xs text-wiser-red uppercase font-bold">Top Winner</p><p class="font-bold text-gray-800 text-base">${safeData.widget1Name}</p></div>
-                                <div class="text-right"><p class="text-base text-wiser-navy font-bold">$${safeData.widget1Rev.toLocaleString()}</p><p class="text-xs text-gray-500">${w1Pct}% of Total</p></div>
-                            </div>
-                            <div class="progress-bg"><div class="progress-fill bg-wiser-red" style="width: ${w1Pct}%"></div></div>
-                        </div>
-                        <div>
-                            <div class="flex justify-between items-end mb-1">
-                                <div><p class="text-xs text-wiser-navy uppercase font-bold">High Intent</p><p class="font-bold text-gray-800 text-base">${safeData.widget2Name}</p></div>
-                                <div class="text-right"><p class="text-base text-wiser-navy font-bold">$${safeData.widget2Rev.toLocaleString()}</p><p class="text-xs text-gray-500">${w2Pct}% of Total</p></div>
-                            </div>
-                            <div class="progress-bg"><div class="progress-fill bg-wiser-navy" style="width: ${w2Pct}%"></div></div>
-                        </div>
-                        <div>
-                            <div class="flex justify-between items-end mb-1">
-                                <div><p class="text-xs text-gray-400 uppercase font-bold">Social Proof</p><p class="font-bold text-gray-800 text-base">${safeData.widget3Name}</p></div>
-                                <div class="text-right"><p class="text-base text-wiser-navy font-bold">$${safeData.widget3Rev.toLocaleString()}</p><p class="text-xs text-gray-500">${w3Pct}% of Total</p></div>
-                            </div>
-                            <div class="progress-bg"><div class="progress-fill bg-gray-400" style="width: ${w3Pct}%"></div></div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-        
-        <!-- Other tabs (Improvements, Opportunities, Action) remain static structurally but dynamic values injected if needed -->
-        <div id="improvements" class="tab-content space-y-6">
-             <div class="bg-blue-50 p-4 rounded border border-blue-100 flex items-start">
-                <span class="text-blue-500 text-xl mr-3">TIP</span>
-                <div><h2 class="text-md font-bold text-blue-800">Optimization Opportunity</h2><p class="text-sm text-blue-700">These areas are live but under-monetized. Quick fixes here can drive a <strong class="underline">10-15% Revenue Lift</strong>.</p></div>
-            </div>
-            <div class="grid grid-cols-1 md:grid-cols-3 gap-6">
-                <!-- Card 1 -->
-                <div class="metric-card flex flex-col p-0 overflow-hidden">
-                    <div class="bg-gray-50 p-4 border-b border-gray-100 flex justify-between items-center"><h3 class="font-bold text-md text-wiser-navy">Cart Page</h3><span class="text-xs font-bold text-wiser-yellow bg-yellow-50 px-2 py-1 rounded">Needs Focus</span></div>
-                    <div class="p-6 flex-grow"><p class="text-xs text-gray-400 uppercase font-bold mb-2">Strategy</p><p class="text-wiser-red font-bold text-lg mb-2">Better Placement</p><p class="text-sm text-gray-600">Move widgets <strong>above the fold</strong>. Visibility is key before checkout.</p><p class="text-xs text-gray-400 mt-4 pt-4 border-t border-gray-100">Current: $${safeData.cartRev.toLocaleString()}</p></div>
-                </div>
-                 <!-- Card 2 -->
-                <div class="metric-card flex flex-col p-0 overflow-hidden">
-                    <div class="bg-gray-50 p-4 border-b border-gray-100 flex justify-between items-center"><h3 class="font-bold text-md text-wiser-navy">Thank You Page</h3><span class="text-xs font-bold text-wiser-yellow bg-yellow-50 px-2 py-1 rounded">Needs Focus</span></div>
-                    <div class="p-6 flex-grow"><p class="text-xs text-gray-400 uppercase font-bold mb-2">Strategy</p><p class="text-wiser-red font-bold text-lg mb-2">Bundle Offers</p><p class="text-sm text-gray-600">Add <strong>multi-item recommendations</strong> to spark repeat purchases.</p><p class="text-xs text-gray-400 mt-4 pt-4 border-t border-gray-100">Current: $${safeData.thankYouRev.toLocaleString()}</p></div>
-                </div>
-                 <!-- Card 3 -->
-                <div class="metric-card flex flex-col p-0 overflow-hidden">
-                    <div class="bg-gray-50 p-4 border-b border-gray-100 flex justify-between items-center"><h3 class="font-bold text-md text-wiser-navy">Checkout Page</h3><span class="text-xs font-bold text-wiser-yellow bg-yellow-50 px-2 py-1 rounded">Needs Focus</span></div>
-                    <div class="p-6 flex-grow"><p class="text-xs text-gray-400 uppercase font-bold mb-2">Strategy</p><p class="text-wiser-red font-bold text-lg mb-2">Upsell Scaling</p><p class="text-sm text-gray-600">Increase <strong>offer value</strong>. Use logic to nudge AOV higher.</p><p class="text-xs text-gray-400 mt-4 pt-4 border-t border-gray-100">Current: $${safeData.checkoutRev.toLocaleString()}</p></div>
-                </div>
-            </div>
-        </div>
+    try {
+      const zip = new JSZip();
+      const usedNames = new Map();
+
+      for (const row of validRows) {
+        const baseName = `Wiser_Report_${toSafeFileName(row.storeName)}`;
+        const count = (usedNames.get(baseName) || 0) + 1;
+        usedNames.set(baseName, count);
+        const fileName = count > 1 ? `${baseName}_${count}.html` : `${baseName}.html`;
+        zip.file(fileName, buildReportHTML(getBatchReportData(row), { ...reportSettings, offlineAssets: reportAssets }));
+      }
 
-        <div id="opportunities" class="tab-content space-y-6">
-            <div class="bg-red-50 p-4 rounded border border-red-100 flex items-start">
-                <span class="text-wiser-red text-xl mr-3">GAP</span>
-                <div><h2 class="text-md font-bold text-red-800">Missed Opportunities (The Growth Gap)</h2><p class="text-sm text-red-700">Activating these high-traffic areas is the fastest way to unlock <strong class="underline">+15-25% Incremental Revenue</strong>.</p></div>
-            </div>
-            <div class="grid grid-cols-1 md:grid-cols-2 gap-8">
-                <div class="metric-card p-8">
-                    <h3 class="text-lg font-bold text-wiser-navy mb-6">Untapped High-Value Zones</h3>
-                    <ul class="space-y-6">
-                        <li class="flex items-start"><span class="flex-shrink-0 h-6 w-6 rounded bg-red-100 text-wiser-red flex items-center justify-center font-bold text-xs mt-1">0</span><div class="ml-4"><h4 class="text-sm font-bold text-wiser-navy">Cart Drawer & Collection Pages</h4><p class="text-sm text-gray-500 mt-1">Generating <strong>$0 Revenue</strong>. Essential for discovery.</p></div></li>
-                        <li class="flex items-start"><span class="flex-shrink-0 h-6 w-6 rounded bg-red-100 text-wiser-red flex items-center justify-center font-bold text-xs mt-1">0</span><div class="ml-4"><h4 class="text-sm font-bold text-wiser-navy">Search & Order Status Pages</h4><p class="text-sm text-gray-500 mt-1">Generating <strong>$0 Revenue</strong>. High-intent moments wasted.</p></div></li>
-                        <li class="flex items-start"><span class="flex-shrink-0 h-6 w-6 rounded bg-yellow-100 text-yellow-700 flex items-center justify-center font-bold text-xs mt-1">!</span><div class="ml-4"><h4 class="text-sm font-bold text-wiser-navy">Frequently Bought Together (FBT)</h4><p class="text-sm text-gray-500 mt-1"><strong>Not Live.</strong> Critical for AOV.</p></div></li>
-                    </ul>
-                </div>
-                <div class="metric-card p-6 flex flex-col">
-                    <h3 class="text-sm font-bold text-gray-500 uppercase mb-4">Revenue Potential Modeling</h3>
-                    <div class="chart-container flex-grow"><canvas id="projectionChart"></canvas></div>
-                    <div class="mt-4 text-center">
-                        <p class="text-gray-600 text-sm">Projected Monthly Lift</p>
-                        <p class="text-2xl font-bold text-wiser-green">+$5,000 - $8,000</p>
-                    </div>
-                </div>
-            </div>
-        </div>
+      const blob = await zip.generateAsync({ type: 'blob' });
+      triggerDownload(blob, `Wiser_Reports_${toSafeFileName(batchFileName, 'Batch')}.zip`);
+    } catch (err) {
+      setErrorMsg(
+        err instanceof Error && err.message
+          ? err.message
+          : "Failed to build the report archive."
+      );
+    } finally {
+      setIsZippingBatch(false);
+    }
+  };
 
-        <div id="action" class="tab-content space-y-6">
-             <div class="bg-white rounded-lg shadow-card border border-gray-200 overflow-hidden">
-                <div class="bg-wiser-navy p-8 text-white text-center">
-                    <h2 class="text-2xl font-bold">Strategic Roadmap</h2>
-                    <p class="text-gray-400 mt-2">Steps to move from "Growing" to "Optimized"</p>
-                </div>
-                <div class="p-8 max-w-4xl mx-auto space-y-6">
-                    <div class="flex items-center p-4 border border-gray-200 rounded-lg hover:border-wiser-red transition-colors group bg-gray-50">
-                        <div class="flex-shrink-0 h-10 w-10 bg-wiser-red rounded-full flex items-center justify-center font-bold text-white shadow-sm">1</div>
-                        <div class="ml-4 flex-grow"><h3 class="font-bold text-md text-wiser-navy">Unlock the "Growth Gap"</h3><p class="text-sm text-gray-500">Activate <strong>Cart Drawer</strong> & <strong>Collection Page</strong> widgets. Turn on FBT.</p></div>
-                        <div class="text-right"><span class="inline-block px-2 py-1 bg-green-100 text-green-800 text-xs font-bold rounded">+$5k/mo Impact</span></div>
-                    </div>
-                    <div class="flex items-center p-4 border border-gray-200 rounded-lg hover:border-wiser-navy transition-colors group bg-white">
-                        <div class="flex-shrink-0 h-10 w-10 bg-wiser-navy rounded-full flex items-center justify-center font-bold text-white shadow-sm">2</div>
-                        <div class="ml-4 flex-grow"><h3 class="font-bold text-md text-wiser-navy">Optimize Placements</h3><p class="text-sm text-gray-500">Move Cart widgets above fold. Add multi-item bundles to Thank You page.</p></div>
-                        <div class="text-right"><span class="inline-block px-2 py-1 bg-blue-100 text-blue-800 text-xs font-bold rounded">+15% Lift</span></div>
-                    </div>
-                    <div class="flex items-center p-4 border border-gray-200 rounded-lg hover:border-gray-400 transition-colors group bg-white">
-                        <div class="flex-shrink-0 h-10 w-10 bg-gray-200 text-gray-600 rounded-full flex items-center justify-center font-bold shadow-sm">3</div>
-                        <div class="ml-4 flex-grow"><h3 class="font-bold text-md text-wiser-navy">Monitor & Scale</h3><p class="text-sm text-gray-500">Review in 30 days. Scale Upsell offers based on data.</p></div>
-                    </div>
-                </div>
-            </div>
+  // UI Component helper
+  const InputGroup = ({ label, name, type = "text", prefix }) => {
+    const issues = getFieldIssues(activeValidationIssues, name);
+    return (
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+        <div className="relative">
+          {prefix && <span className="absolute left-3 top-2 text-gray-500">{prefix}</span>}
+          <input
+            type={type}
+            name={name}
+            value={activeData[name] ?? ''}
+            onChange={handleInputChange}
+            className={`w-full border rounded-md shadow-sm py-2 px-3 focus:ring-red-500 focus:border-red-500 sm:text-sm ${prefix ? 'pl-8' : ''} ${issues.length > 0 ? 'border-amber-400 bg-amber-50' : 'border-gray-300'}`}
+          />
         </div>
-    </main>
-
-    <footer class="text-center text-gray-400 mt-12 mb-8 pt-4">
-        <p class="text-xs font-medium">Generated for ${safeData.storeName} - System Version 2.1</p>
-    </footer>
-
-    <!-- JavaScript Logic -->
-    <script>
-        function switchTab(tabId) {
-            document.querySelectorAll('.tab-content').forEach(el => el.classList.remove('active'));
-            document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
-            document.getElementById(tabId).classList.add('active');
-            const buttons = document.getElementsByTagName('button');
-            for (let btn of buttons) {
-                if (btn.getAttribute('onclick') === \`switchTab('\${tabId}')\`) {
-                    btn.classList.add('active');
-                    break;
-                }
-            }
-            const chartInstances = Chart.instances instanceof Map
-                ? Array.from(Chart.instances.values())
-                : Object.values(Chart.instances || {});
-            chartInstances.forEach(chart => chart.resize());
-        }
-
-        function wrapLabel(label) {
-            if (typeof label !== 'string' || label.length <= 16) return label;
-            const words = label.split(' ');
-            const lines = [];
-            let currentLine = words[0];
-            for (let i = 1; i < words.length; i++) {
-                if (currentLine.length + 1 + words[i].length <= 16) {
-                    currentLine += ' ' + words[i];
-                } else {
-                    lines.push(currentLine);
-                    currentLine = words[i];
-                }
-            }
-            lines.push(currentLine);
-            return lines;
-        }
-
-        const commonTooltipConfig = {
-            backgroundColor: '#1F2937', padding: 12, cornerRadius: 4,
-            titleFont: { family: 'Inter', size: 13, weight: 'bold' }, bodyFont: { family: 'Inter', size: 12 },
-            callbacks: {
-                title: function(tooltipItems) {
-                    const item = tooltipItems[0];
-                    let label = item.chart.data.labels[item.dataIndex];
-                    return Array.isArray(label) ? label.join(' ') : label;
-                }
-            }
-        };
-
-        // Inject Dynamic Variables into Chart.js
-        const revenueData = [${revenueDataLiteral}];
-        const widgetData = [${widgetDataLiteral}];
-        const widgetLabels = [${widgetLabelLiteral}];
-
-        const ctxRevenue = document.getElementById('revenueByPageChart').getContext('2d');
-        new Chart(ctxRevenue, {
-            type: 'doughnut',
-            data: {
-                labels: ['Product Page', 'Post-Purchase', 'Checkout', 'Thank You', 'Cart', 'Others'].map(wrapLabel),
-                datasets: [{ data: revenueData, backgroundColor: ['#F9423A', '#1F2937', '#6B7280', '#9CA3AF', '#D1D5DB', '#E5E7EB'], borderWidth: 2, borderColor: '#ffffff', hoverOffset: 4 }]
-            },
-            options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { position: 'bottom', labels: { boxWidth: 10, usePointStyle: true, font: {size: 11, family: 'Inter'} } }, tooltip: commonTooltipConfig } }
-        });
-
-        const ctxWidgets = document.getElementById('topWidgetsChart').getContext('2d');
-        new Chart(ctxWidgets, {
-            type: 'bar',
-            data: {
-                labels: widgetLabels.map(wrapLabel),
-                datasets: [{ label: 'Revenue ($)', data: widgetData, backgroundColor: ['#F9423A', '#1F2937', '#9CA3AF'], borderRadius: 4, barThickness: 35 }]
-            },
-            options: { indexAxis: 'y', responsive: true, maintainAspectRatio: false, scales: { x: { beginAtZero: true, grid: { display: false } }, y: { grid: { display: false }, ticks: { font: { family: 'Inter', weight: 500 } } } }, plugins: { legend: { display: false }, tooltip: commonTooltipConfig } }
-        });
-
-        function createGauge(id, score, color) {
-            new Chart(document.getElementById(id).getContext('2d'), {
-                type: 'doughnut',
-                data: { labels: ['Score', 'Gap'], datasets: [{ data: [score, 100 - score], backgroundColor: [color, '#E5E7EB'], borderWidth: 0, circumference: 180, rotation: 270, cutout: '85%' }] },
-                options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { display: false }, tooltip: { enabled: false } } }
-            });
-        }
-        createGauge('healthRevenueChart', ${safeData.revenueCoverage}, '#3B82F6');
-        createGauge('healthFunnelChart', ${safeData.funnelCoverage}, '#10B981');
-        createGauge('healthWidgetChart', ${safeData.widgetUtilization}, '#EF4444');
-
-        new Chart(document.getElementById('projectionChart').getContext('2d'), {
-            type: 'bar',
-            data: {
-                labels: ['Current Monthly', 'With Optimization'],
-                datasets: [{ label: 'Revenue Estimate', data: [${safeData.projectedCurrent}, ${safeData.projectedOptimized}], backgroundColor: ['#9CA3AF', '#008060'], borderRadius: 4, barPercentage: 0.6 }]
-            },
-            options: { responsive: true, maintainAspectRatio: false, scales: { y: { beginAtZero: true, grid: { color: '#F3F4F6' } }, x: { grid: { display: false } } }, plugins: { legend: { display: false }, tooltip: commonTooltipConfig } }
-        });
-    </script>
-</body>
-</html>`;
-  }, [data]);
-
-  const downloadFile = () => {
-    const blob = new Blob([generateHTML], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    const safeFileStoreName =
-      sanitizeText(data.storeName, 'Store')
-        .replace(/[^a-zA-Z0-9_-]+/g, '_')
-        .replace(/_+/g, '_')
-        .replace(/^_+|_+$/g, '') || 'Store';
-    a.href = url;
-    a.download = `Wiser_Report_${safeFileStoreName}.html`;
-    a.click();
-    URL.revokeObjectURL(url);
+        <FieldWarnings issues={issues} />
+      </div>
+    );
   };
 
-  // UI Component helper
-  const InputGroup = ({ label, name, type = "text", prefix }) => (
-    <div className="mb-4">
-      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
-      <div className="relative">
-        {prefix && <span className="absolute left-3 top-2 text-gray-500">{prefix}</span>}
-        <input
-          type={type}
-          name={name}
-          value={data[name]}
-          onChange={handleInputChange}
-          className={`w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:ring-red-500 focus:border-red-500 sm:text-sm ${prefix ? 'pl-8' : ''}`}
-        />
+  const FieldWarnings = ({ issues }) =>
+    issues.map(issue => (
+      <p key={issue.id} className="mt-1 flex items-start text-xs text-amber-700">
+        <AlertTriangle className="w-3 h-3 mr-1 mt-0.5 shrink-0" /> {issue.message}
+      </p>
+    ));
+
+  if (access.status !== 'open') {
+    return (
+      <div className="h-screen flex items-center justify-center bg-gray-100 font-sans">
+        {access.status === 'checking' ? (
+          <Loader2 className="w-6 h-6 text-gray-400 animate-spin" />
+        ) : (
+          <form onSubmit={handleAccessCodeSubmit} className="w-full max-w-sm bg-white rounded-lg border border-gray-200 shadow-sm p-6 space-y-4">
+            <div className="flex items-center space-x-3">
+              <div className="bg-red-500 p-2 rounded-md">
+                <Lock className="w-5 h-5 text-white" />
+              </div>
+              <div>
+                <h1 className="text-lg font-bold text-gray-900">Wiser Report Generator</h1>
+                <p className="text-xs text-gray-500">Enter your team's access code to continue.</p>
+              </div>
+            </div>
+            <input
+              type="password"
+              value={accessCodeInput}
+              onChange={e => setAccessCodeInput(e.target.value)}
+              placeholder="Access code"
+              autoFocus
+              className="w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:ring-red-500 focus:border-red-500 sm:text-sm"
+            />
+            {accessError && <p className="text-xs text-red-600">{accessError}</p>}
+            <button
+              type="submit"
+              disabled={isCheckingAccessCode || !accessCodeInput.trim()}
+              className="flex items-center justify-center w-full bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-md font-medium text-sm transition-colors shadow-sm disabled:opacity-50"
+            >
+              {isCheckingAccessCode ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : null}
+              Continue
+            </button>
+          </form>
+        )}
       </div>
-    </div>
-  );
+    );
+  }
 
   return (
     <div className="h-screen flex flex-col bg-gray-100 font-sans overflow-hidden">
@@ -885,18 +1540,191 @@ IMPORTANT:
             <p className="text-xs text-gray-500">Create client performance dashboards instantly</p>
           </div>
         </div>
-        <button
-          onClick={downloadFile}
-          className="flex items-center space-x-2 bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-md font-medium text-sm transition-colors shadow-sm"
-        >
-          <Download className="w-4 h-4" />
-          <span>Download HTML Report</span>
-        </button>
+        <div className="flex items-center space-x-4">
+          <button
+            type="button"
+            onClick={() => setIsLibraryOpen(prev => !prev)}
+            className={`flex items-center space-x-2 border px-4 py-2 rounded-md font-medium text-sm transition-colors shadow-sm ${isLibraryOpen ? 'bg-gray-900 border-gray-900 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+          >
+            <Library className="w-4 h-4" />
+            <span>Library ({libraryReports.length})</span>
+          </button>
+          {access.required && (
+            <button
+              type="button"
+              onClick={() => lockAccess()}
+              className="flex items-center space-x-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 px-4 py-2 rounded-md font-medium text-sm transition-colors shadow-sm"
+              title="Forget the access code on this device"
+            >
+              <LogOut className="w-4 h-4" />
+              <span>Sign out</span>
+            </button>
+          )}
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleProjectImport}
+            ref={projectInputRef}
+            className="hidden"
+            id="project-import"
+          />
+          <label
+            htmlFor="project-import"
+            className="flex items-center space-x-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 px-4 py-2 rounded-md font-medium text-sm transition-colors shadow-sm cursor-pointer"
+            title="Open a report data file exported from this editor"
+          >
+            <FileUp className="w-4 h-4" />
+            <span>Import data</span>
+          </label>
+          <button
+            type="button"
+            onClick={exportProjectData}
+            className="flex items-center space-x-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 px-4 py-2 rounded-md font-medium text-sm transition-colors shadow-sm"
+            title="Download the report data, template, currency and branding as JSON"
+          >
+            <FileJson className="w-4 h-4" />
+            <span>Export data</span>
+          </button>
+          <label
+            className="flex items-center text-sm text-gray-700 cursor-pointer"
+            title="Inline styles, fonts and the chart runtime so the report renders without a network connection."
+          >
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={isOfflineExport}
+              onChange={e => toggleOfflineExport(e.target.checked)}
+            />
+            {isLoadingOfflineAssets ? (
+              <><Loader2 className="w-4 h-4 mr-1 animate-spin" /> Loading offline assets...</>
+            ) : (
+              <><WifiOff className="w-4 h-4 mr-1 text-gray-500" /> Offline report</>
+            )}
+          </label>
+          <button
+            onClick={downloadPdf}
+            disabled={isExportingPdf || isDownloadBlocked}
+            title={isDownloadBlocked ? 'Acknowledge the data warnings before downloading.' : undefined}
+            className="flex items-center space-x-2 bg-white border border-gray-300 hover:bg-gray-50 disabled:opacity-50 text-gray-700 px-4 py-2 rounded-md font-medium text-sm transition-colors shadow-sm"
+          >
+            {isExportingPdf ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileText className="w-4 h-4" />}
+            <span>{isExportingPdf ? 'Building PDF...' : 'Download PDF'}</span>
+          </button>
+          <button
+            onClick={downloadFile}
+            disabled={!isExportReady || isDownloadBlocked}
+            title={isDownloadBlocked ? 'Acknowledge the data warnings before downloading.' : undefined}
+            className="flex items-center space-x-2 bg-red-500 hover:bg-red-600 disabled:opacity-50 text-white px-4 py-2 rounded-md font-medium text-sm transition-colors shadow-sm"
+          >
+            <Download className="w-4 h-4" />
+            <span>Download HTML Report</span>
+          </button>
+        </div>
       </div>
 
       {/* Main Workspace */}
       <div className="flex-1 flex overflow-hidden">
-        
+
+        {/* Report Library Sidebar */}
+        {isLibraryOpen && (
+          <aside className="w-72 bg-gray-50 border-r border-gray-200 shrink-0 flex flex-col">
+            <div className="p-4 border-b border-gray-200 space-y-3">
+              <div className="flex items-center justify-between">
+                <span className="flex items-center text-gray-700 font-semibold text-sm uppercase tracking-wider">
+                  <Library className="w-4 h-4 mr-2" /> Saved Reports
+                </span>
+                <button
+                  type="button"
+                  onClick={startNewReport}
+                  className="flex items-center text-xs font-medium text-red-600 hover:underline"
+                >
+                  <FilePlus2 className="w-4 h-4 mr-1" /> New
+                </button>
+              </div>
+              <div className="relative">
+                <Search className="w-4 h-4 text-gray-400 absolute left-2 top-2" />
+                <input
+                  type="search"
+                  value={librarySearch}
+                  onChange={e => setLibrarySearch(e.target.value)}
+                  placeholder="Search store or date (2025-01-31)"
+                  className="w-full border border-gray-300 rounded-md py-1 pl-8 pr-2 text-xs"
+                />
+              </div>
+              <p className="text-xs text-gray-400">
+                {isLibraryReady ? 'Saved in this browser automatically.' : 'Loading library...'}
+              </p>
+            </div>
+            <ul className="flex-1 overflow-y-auto divide-y divide-gray-200">
+              {visibleLibraryReports.length === 0 && (
+                <li className="p-4 text-xs text-gray-500">
+                  {libraryReports.length === 0 ? 'No saved reports yet.' : 'No reports match your search.'}
+                </li>
+              )}
+              {visibleLibraryReports.map(report => (
+                <li
+                  key={report.id}
+                  className={`p-3 ${report.id === currentReport.id ? 'bg-red-50 border-l-4 border-red-400' : 'hover:bg-white'}`}
+                >
+                  {renamingReport?.id === report.id ? (
+                    <div className="flex items-center space-x-1">
+                      <input
+                        type="text"
+                        autoFocus
+                        value={renamingReport.name}
+                        onChange={e => setRenamingReport(prev => ({ ...prev, name: e.target.value }))}
+                        onKeyDown={e => {
+                          if (e.key === 'Enter') handleRenameReport();
+                          if (e.key === 'Escape') setRenamingReport(null);
+                        }}
+                        placeholder={report.storeName || 'Report name'}
+                        className="flex-1 min-w-0 border border-gray-300 rounded-md py-1 px-2 text-xs"
+                      />
+                      <button type="button" onClick={handleRenameReport} className="p-1 text-green-600 hover:text-green-800" title="Save name">
+                        <Check className="w-4 h-4" />
+                      </button>
+                      <button type="button" onClick={() => setRenamingReport(null)} className="p-1 text-gray-400 hover:text-gray-600" title="Cancel">
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  ) : (
+                    <button type="button" onClick={() => openReport(report)} className="w-full text-left">
+                      <span className="block text-sm font-semibold text-gray-900 truncate">{getReportTitle(report)}</span>
+                      {report.name && report.storeName && (
+                        <span className="block text-xs text-gray-500 truncate">{report.storeName}</span>
+                      )}
+                      <span className="block text-xs text-gray-400">{new Date(report.updatedAt).toLocaleString()}</span>
+                    </button>
+                  )}
+                  <div className="mt-2 flex items-center space-x-3 text-xs">
+                    <button
+                      type="button"
+                      onClick={() => setRenamingReport({ id: report.id, name: report.name })}
+                      className="flex items-center text-gray-500 hover:text-gray-800"
+                    >
+                      <Pencil className="w-3 h-3 mr-1" /> Rename
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDuplicateReport(report.id)}
+                      className="flex items-center text-gray-500 hover:text-gray-800"
+                    >
+                      <Copy className="w-3 h-3 mr-1" /> Duplicate
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDeleteReport(report)}
+                      className="flex items-center text-gray-500 hover:text-red-600"
+                    >
+                      <Trash2 className="w-3 h-3 mr-1" /> Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </aside>
+        )}
+
         {/* LEFT PANEL - Editor Form */}
         <div className="w-1/3 bg-white border-r border-gray-200 overflow-y-auto shrink-0 flex flex-col">
           <div className="p-4 bg-gray-50 border-b border-gray-200 flex items-center text-gray-700 font-semibold text-sm uppercase tracking-wider">
@@ -904,16 +1732,102 @@ IMPORTANT:
           </div>
           
           <div className="p-6 space-y-8">
+            {/* Data Checks */}
+            {validationIssues.length > 0 && (
+              <section className="bg-amber-50 p-4 rounded-lg border border-amber-200">
+                <h3 className="text-sm font-bold text-amber-900 mb-2 flex items-center">
+                  <AlertTriangle className="w-4 h-4 mr-2 text-amber-600" />
+                  {validationIssues.length === 1 ? '1 data warning' : `${validationIssues.length} data warnings`}
+                </h3>
+                <ul className="space-y-1 text-xs text-amber-800 list-disc pl-5">
+                  {validationIssues.map(issue => (
+                    <li key={`${issue.slot}-${issue.id}`}>{issue.title ? `${issue.title}: ` : ''}{issue.message}</li>
+                  ))}
+                </ul>
+                <div className="mt-3 flex items-center justify-between">
+                  <label className="flex items-center text-xs text-amber-900 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={requireValidationAck}
+                      onChange={e => toggleRequireValidationAck(e.target.checked)}
+                    />
+                    Block downloads until acknowledged
+                  </label>
+                  {requireValidationAck && (
+                    acknowledgedValidation === validationSignature ? (
+                      <span className="flex items-center text-xs text-green-700"><Check className="w-3 h-3 mr-1" /> Acknowledged</span>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => setAcknowledgedValidation(validationSignature)}
+                        className="px-2 py-1 text-xs font-medium rounded-md border border-amber-300 text-amber-800 bg-white hover:bg-amber-100"
+                      >
+                        Acknowledge
+                      </button>
+                    )
+                  )}
+                </div>
+              </section>
+            )}
+
+            {/* Comparison Mode */}
+            <section className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+              <label className="flex items-center text-sm font-bold text-gray-900 cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={comparison.enabled}
+                  onChange={e => toggleComparison(e.target.checked)}
+                />
+                <GitCompare className="w-4 h-4 mr-2 text-red-500" /> Compare two periods or stores
+              </label>
+              {comparison.enabled && (
+                <div className="mt-3 space-y-3">
+                  <p className="text-xs text-gray-500">Uploads and the fields below fill the selected dataset. Blank labels fall back to the store name.</p>
+                  <div className="grid grid-cols-2 gap-2">
+                    {[
+                      { slot: 'primary', title: 'Dataset A', placeholder: 'e.g. This quarter' },
+                      { slot: 'comparison', title: 'Dataset B', placeholder: 'e.g. Last quarter' }
+                    ].map(({ slot, title, placeholder }) => (
+                      <div
+                        key={slot}
+                        className={`p-3 rounded-md border ${comparison.activeSlot === slot ? 'border-red-400 bg-red-50' : 'border-gray-200 bg-white'}`}
+                      >
+                        <button
+                          type="button"
+                          onClick={() => setComparison(prev => ({ ...prev, activeSlot: slot }))}
+                          className="w-full text-left text-sm font-semibold text-gray-900"
+                        >
+                          {title}
+                          {comparison.activeSlot === slot && <span className="ml-2 text-xs font-normal text-red-600">editing</span>}
+                        </button>
+                        <input
+                          type="text"
+                          name={slot}
+                          value={comparison.labels[slot]}
+                          onChange={handleComparisonLabelChange}
+                          placeholder={placeholder}
+                          className="mt-2 w-full border border-gray-300 rounded-md py-1 px-2 text-xs"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </section>
+
             {/* AI Image Upload */}
             <section className="bg-blue-50 p-4 rounded-lg border border-blue-100">
               <h3 className="text-sm font-bold text-blue-900 mb-2 flex items-center">
                 <UploadCloud className="w-4 h-4 mr-2 text-blue-600" /> Auto-Fill via Image
               </h3>
-              <p className="text-xs text-blue-700 mb-3">Upload a screenshot of your analytics dashboard. We'll extract the data automatically.</p>
+              <p className="text-xs text-blue-700 mb-3">Upload one or more screenshots of your analytics dashboard. We'll extract and merge the data for you to review before it is applied.</p>
               
               <input 
                 type="file" 
                 accept="image/*" 
+                multiple
                 onChange={handleImageUpload} 
                 ref={fileInputRef}
                 className="hidden" 
@@ -924,12 +1838,125 @@ IMPORTANT:
                 className={`flex items-center justify-center w-full px-4 py-2 text-sm font-medium rounded-md border border-blue-300 shadow-sm cursor-pointer transition-colors ${isAnalyzing ? 'bg-blue-200 text-blue-800' : 'bg-white text-blue-700 hover:bg-blue-100'}`}
               >
                 {isAnalyzing ? (
-                  <><Loader2 className="w-4 h-4 mr-2 animate-spin" /> Analyzing Image...</>
+                  <>
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                    {analysisProgress?.total > 1 ? `Analyzing ${analysisProgress.current} of ${analysisProgress.total}...` : 'Analyzing Image...'}
+                  </>
                 ) : (
-                  <><UploadCloud className="w-4 h-4 mr-2" /> Select Image</>
+                  <><UploadCloud className="w-4 h-4 mr-2" /> Select Images</>
                 )}
               </label>
               {errorMsg && <p className="mt-2 text-xs text-red-600">{errorMsg}</p>}
+
+              {extractionReview && extractionReviewData && (
+                <div className="mt-3 bg-white rounded-md border border-blue-200 p-3 space-y-3">
+                  <div>
+                    <p className="text-xs font-bold text-blue-900">
+                      Review values from {extractionReview.sourceLabels.length === 1 ? extractionReview.sourceLabels[0] : `${extractionReview.sourceLabels.length} screenshots`}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Tick the values to apply{comparison.enabled ? ` to ${extractionReview.slot === 'comparison' ? 'Dataset B' : 'Dataset A'}` : ''}. Guessed values are left unticked{extractionReview.sourceLabels.length > 1 ? '; where screenshots disagree, pick one' : ''}.
+                    </p>
+                  </div>
+                  {extractionReview.cachedSources.length > 0 && (
+                    <div className="flex items-center justify-between bg-gray-50 border border-gray-200 rounded-md px-2 py-1.5 text-xs text-gray-600">
+                      <span>
+                        {extractionReview.cachedSources.length === extractionReview.sourceLabels.length
+                          ? 'Loaded from cache'
+                          : `${extractionReview.cachedSources.join(', ')} loaded from cache`}
+                        : these are the values extracted the last time {extractionReview.cachedSources.length === 1 ? 'this screenshot was' : 'these screenshots were'} uploaded.
+                      </span>
+                      <button
+                        type="button"
+                        onClick={reanalyzeImages}
+                        disabled={isAnalyzing}
+                        className="ml-2 shrink-0 px-2 py-1 font-medium rounded-md border border-blue-300 text-blue-700 bg-white hover:bg-blue-50 disabled:opacity-50"
+                      >
+                        Re-analyze
+                      </button>
+                    </div>
+                  )}
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="py-1 w-6"></th>
+                        <th className="py-1 font-semibold">Field</th>
+                        <th className="py-1 font-semibold">Current</th>
+                        <th className="py-1 font-semibold">Extracted</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {extractionRows.map(row => {
+                        const current = getReviewCurrentValue(extractionReviewData, row.field);
+                        const isConflict = hasFieldConflict(row.candidates);
+                        return (
+                          <tr key={row.field} className={row.status === 'estimated' ? 'bg-amber-50' : row.status === 'missing' ? 'text-gray-400' : ''}>
+                            <td className="py-1 align-top">
+                              <input
+                                type="checkbox"
+                                checked={row.accepted}
+                                disabled={row.status === 'missing'}
+                                onChange={() => toggleExtractionField(row.field)}
+                              />
+                            </td>
+                            <td className="py-1 pr-2 align-top text-gray-700">
+                              {getFieldLabel(row.field, extractionReviewData.pages)}
+                              {isConflict && <AlertTriangle className="inline w-3 h-3 ml-1 text-amber-600" />}
+                            </td>
+                            <td className="py-1 pr-2 align-top text-gray-500">
+                              {current === null || current === undefined ? '—' : formatPreviewValue(current, reportFormat)}
+                            </td>
+                            <td className="py-1 align-top">
+                              {row.status !== 'missing' && (
+                                <span className="font-semibold text-gray-900">{formatPreviewValue(row.value, reportFormat)} </span>
+                              )}
+                              <span className={`whitespace-nowrap ${row.status === 'estimated' ? 'text-amber-700' : row.status === 'missing' ? 'italic' : 'text-green-700'}`}>
+                                {row.status === 'estimated' && <AlertTriangle className="inline w-3 h-3 mr-0.5" />}
+                                {EXTRACTION_STATUS_LABELS[row.status]}
+                              </span>
+                              {isConflict ? (
+                                <select
+                                  value={row.source}
+                                  onChange={e => chooseExtractionSource(row.field, e.target.value)}
+                                  className="mt-1 w-full border border-amber-300 rounded py-0.5 px-1 text-xs"
+                                >
+                                  {row.candidates.map(candidate => (
+                                    <option key={candidate.source} value={candidate.source}>
+                                      {candidate.source}: {formatPreviewValue(candidate.value, reportFormat)}
+                                    </option>
+                                  ))}
+                                </select>
+                              ) : (
+                                extractionReview.sourceLabels.length > 1 && row.source && (
+                                  <span className="block text-gray-400">{row.source}</span>
+                                )
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+
+                  <div className="flex space-x-2">
+                    <button
+                      type="button"
+                      onClick={applyExtractionReview}
+                      disabled={!extractionRows.some(row => row.accepted)}
+                      className="flex-1 px-3 py-1.5 text-xs font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Apply {extractionRows.filter(row => row.accepted).length} Selected
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setExtractionReview(null)}
+                      className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+                    >
+                      Discard
+                    </button>
+                  </div>
+                </div>
+              )}
             </section>
 
             {/* Spreadsheet Upload */}
@@ -939,6 +1966,33 @@ IMPORTANT:
               </h3>
               <p className="text-xs text-green-700 mb-3">Upload a spreadsheet with matching column names or key/value rows for report fields.</p>
 
+              {mappingProfiles.length > 0 && (
+                <div className="mb-3">
+                  <label className="block text-xs text-green-900 mb-1">Mapping Profile</label>
+                  <div className="flex space-x-2">
+                    <select
+                      value={activeMappingProfileName}
+                      onChange={e => selectMappingProfile(e.target.value)}
+                      className="flex-1 border border-green-300 rounded-md py-1 px-2 text-xs bg-white"
+                    >
+                      <option value="">Automatic (built-in aliases)</option>
+                      {mappingProfiles.map(profile => (
+                        <option key={profile.name} value={profile.name}>{profile.name}</option>
+                      ))}
+                    </select>
+                    {activeMappingProfileName && (
+                      <button
+                        type="button"
+                        onClick={() => deleteMappingProfile(activeMappingProfileName)}
+                        className="px-2 py-1 text-xs font-medium rounded-md border border-gray-300 text-gray-600 hover:bg-gray-50"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
               <input
                 type="file"
                 accept={EXCEL_ACCEPT_TYPES}
@@ -957,6 +2011,454 @@ IMPORTANT:
                   <><UploadCloud className="w-4 h-4 mr-2" /> Select Excel/CSV</>
                 )}
               </label>
+
+              {sheetPicker && (
+                <div className="mt-3 bg-white rounded-md border border-green-200 p-3 space-y-3">
+                  <div>
+                    <p className="text-xs font-bold text-green-900">Import from {sheetPicker.fileName}</p>
+                    <p className="text-xs text-gray-500">Check how each column maps to a report field, then apply.</p>
+                  </div>
+                  {sheetPicker.sheets.length > 1 && (
+                    <div className="space-y-1">
+                      <p className="text-xs font-semibold text-gray-700">Worksheets</p>
+                      <p className="text-xs text-gray-500">Select one sheet, or several to merge their fields into one report.</p>
+                      {sheetPicker.sheets.map(sheet => {
+                        const fieldCount = Object.keys(sheetMerge?.sheetData.get(sheet.name) || {}).length;
+                        return (
+                          <label key={sheet.name} className={`flex items-center justify-between text-xs ${fieldCount === 0 ? 'text-gray-400' : 'text-gray-800'}`}>
+                            <span className="flex items-center">
+                              <input
+                                type="checkbox"
+                                className="mr-2"
+                                checked={sheetPicker.selected.includes(sheet.name)}
+                                onChange={() => toggleSheetSelection(sheet.name)}
+                              />
+                              {sheet.name}
+                            </span>
+                            <span>{fieldCount === 0 ? 'No matching fields' : `${fieldCount} fields`}</span>
+                          </label>
+                        );
+                      })}
+                    </div>
+                  )}
+
+                  <div className="space-y-1">
+                    <p className="text-xs font-semibold text-gray-700">Column Mapping</p>
+                    {sheetPicker.headers.map(header => {
+                      const headerKey = normalizeHeaderKey(header);
+                      const field = sheetPicker.mapping[headerKey] || '';
+                      return (
+                        <div key={headerKey} className="flex items-center justify-between text-xs">
+                          <span className={`truncate pr-2 ${field ? 'text-gray-800' : 'text-gray-400 line-through'}`} title={header}>{header}</span>
+                          <select
+                            value={field}
+                            onChange={e => updateColumnMapping(headerKey, e.target.value)}
+                            className={`w-1/2 border rounded py-0.5 px-1 text-xs ${field ? 'border-gray-300' : 'border-amber-300 bg-amber-50'}`}
+                          >
+                            <option value="">Skip column</option>
+                            {mappingFieldOptions.map(([fieldKey, label]) => (
+                              <option key={fieldKey} value={fieldKey}>{label}</option>
+                            ))}
+                          </select>
+                        </div>
+                      );
+                    })}
+                    <div className="flex space-x-2 pt-1">
+                      <input
+                        type="text"
+                        value={mappingProfileName}
+                        onChange={e => setMappingProfileName(e.target.value)}
+                        placeholder="Profile name, e.g. Client X monthly export"
+                        className="flex-1 border border-gray-300 rounded-md py-1 px-2 text-xs"
+                      />
+                      <button
+                        type="button"
+                        onClick={saveMappingProfile}
+                        disabled={!sanitizeText(mappingProfileName)}
+                        className="px-2 py-1 text-xs font-medium rounded-md border border-green-300 text-green-700 hover:bg-green-50 disabled:opacity-50"
+                      >
+                        Save Profile
+                      </button>
+                    </div>
+                  </div>
+
+                  {sheetPicker.selected.length > 1 && (
+                    <label className="block text-xs text-gray-700">
+                      When sheets disagree
+                      <select
+                        value={sheetPicker.policy}
+                        onChange={e => setSheetPicker(prev => ({ ...prev, policy: e.target.value, choices: {} }))}
+                        className="mt-1 w-full border border-gray-300 rounded-md py-1 px-2 text-xs"
+                      >
+                        <option value="first">Use the first selected sheet</option>
+                        <option value="last">Use the last selected sheet</option>
+                      </select>
+                    </label>
+                  )}
+
+                  {sheetMerge && Object.keys(sheetMerge.data).length > 0 && (
+                    <table className="w-full text-xs">
+                      <thead>
+                        <tr className="text-left text-gray-500">
+                          <th className="py-1 font-semibold">Field</th>
+                          <th className="py-1 font-semibold">Value</th>
+                          <th className="py-1 font-semibold">Sheet</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {Object.entries(sheetMerge.fieldSources).map(([field, candidates]) => {
+                          const isConflict = hasFieldConflict(candidates);
+                          return (
+                            <tr key={field} className={isConflict ? 'bg-amber-50' : ''}>
+                              <td className="py-1 pr-2 text-gray-700">
+                                {getFieldLabel(field, activeData.pages)}
+                                {isConflict && <AlertTriangle className="inline w-3 h-3 ml-1 text-amber-600" />}
+                              </td>
+                              <td className="py-1 pr-2 font-semibold text-gray-900">{formatPreviewValue(sheetMerge.data[field], reportFormat)}</td>
+                              <td className="py-1">
+                                {isConflict ? (
+                                  <select
+                                    value={sheetMerge.sourceByField[field]}
+                                    onChange={e => setSheetPicker(prev => ({ ...prev, choices: { ...prev.choices, [field]: e.target.value } }))}
+                                    className="w-full border border-amber-300 rounded py-0.5 px-1 text-xs"
+                                  >
+                                    {candidates.map(candidate => (
+                                      <option key={candidate.source} value={candidate.source}>
+                                        {candidate.source}: {formatPreviewValue(candidate.value, reportFormat)}
+                                      </option>
+                                    ))}
+                                  </select>
+                                ) : (
+                                  <span className="text-gray-500">{sheetMerge.sourceByField[field]}</span>
+                                )}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  )}
+
+                  <div className="flex space-x-2">
+                    <button
+                      type="button"
+                      onClick={applySheetMerge}
+                      disabled={!sheetMerge || Object.keys(sheetMerge.data).length === 0}
+                      className="flex-1 px-3 py-1.5 text-xs font-medium rounded-md bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                    >
+                      Apply to Report
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setSheetPicker(null)}
+                      className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </section>
+
+            {/* Batch Reports */}
+            <section className="bg-indigo-50 p-4 rounded-lg border border-indigo-100">
+              <h3 className="text-sm font-bold text-indigo-900 mb-2 flex items-center">
+                <Layers className="w-4 h-4 mr-2 text-indigo-600" /> Batch Reports
+              </h3>
+              <p className="text-xs text-indigo-700 mb-3">
+                Upload a spreadsheet with one row per store to generate every report at once.
+                {activeMappingProfileName && ` Columns are mapped with the "${activeMappingProfileName}" profile.`}
+              </p>
+
+              <input
+                type="file"
+                accept={EXCEL_ACCEPT_TYPES}
+                onChange={handleBatchUpload}
+                ref={batchInputRef}
+                className="hidden"
+                id="batch-upload"
+              />
+              <label
+                htmlFor="batch-upload"
+                className={`flex items-center justify-center w-full px-4 py-2 text-sm font-medium rounded-md border border-indigo-300 shadow-sm cursor-pointer transition-colors ${isParsingBatch ? 'bg-indigo-200 text-indigo-800' : 'bg-white text-indigo-700 hover:bg-indigo-100'}`}
+              >
+                {isParsingBatch ? (
+                  <><Loader2 className="w-4 h-4 mr-2 animate-spin" /> Reading Stores...</>
+                ) : (
+                  <><UploadCloud className="w-4 h-4 mr-2" /> Select Multi-Store Sheet</>
+                )}
+              </label>
+
+              {batchRows.length > 0 && (
+                <div className="mt-3">
+                  <ul className="max-h-56 overflow-y-auto divide-y divide-indigo-100 bg-white rounded-md border border-indigo-100">
+                    {batchRows.map(row => (
+                      <li key={row.rowNumber} className="px-3 py-2 text-xs">
+                        <div className="flex items-center justify-between">
+                          <span className="flex items-center font-semibold text-gray-800">
+                            {row.issues.length === 0 && !batchWarnings.get(row.rowNumber)?.length ? (
+                              <CheckCircle2 className="w-3 h-3 mr-1 text-green-600" />
+                            ) : (
+                              <AlertTriangle className="w-3 h-3 mr-1 text-amber-600" />
+                            )}
+                            {row.storeName}
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() => loadBatchRow(row)}
+                            className="text-indigo-700 hover:underline"
+                          >
+                            Load
+                          </button>
+                        </div>
+                        <p className="text-gray-400">Row {row.rowNumber}</p>
+                        {row.issues.map(issue => (
+                          <p key={issue} className="text-amber-700">{issue}</p>
+                        ))}
+                        {batchWarnings.get(row.rowNumber)?.map(issue => (
+                          <p key={issue.id} className="text-amber-700">{issue.message}</p>
+                        ))}
+                        {row.issues.length === 0 && !isBatchRowExportable(row) && (
+                          <div className="flex items-center justify-between mt-1">
+                            <p className="text-amber-700 font-medium">Left out until its data warnings are reviewed.</p>
+                            <button
+                              type="button"
+                              onClick={() => acknowledgeBatchRow(row)}
+                              className="ml-2 px-2 py-0.5 font-medium rounded-md border border-amber-300 text-amber-800 bg-white hover:bg-amber-100"
+                            >
+                              Acknowledge
+                            </button>
+                          </div>
+                        )}
+                        {requireValidationAck && row.issues.length === 0 && batchWarnings.get(row.rowNumber)?.length > 0 && isBatchRowAcknowledged(row) && (
+                          <p className="flex items-center text-green-700"><Check className="w-3 h-3 mr-1" /> Acknowledged</p>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                  <button
+                    type="button"
+                    onClick={downloadBatchZip}
+                    disabled={isZippingBatch || !isExportReady || exportableBatchRows.length === 0}
+                    className="mt-3 flex items-center justify-center w-full px-4 py-2 text-sm font-medium rounded-md bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+                  >
+                    {isZippingBatch ? (
+                      <><Loader2 className="w-4 h-4 mr-2 animate-spin" /> Building Archive...</>
+                    ) : (
+                      <><Download className="w-4 h-4 mr-2" /> Download {exportableBatchRows.length} Reports (.zip)</>
+                    )}
+                  </button>
+                  {exportableBatchRows.length < batchRows.length && (
+                    <p className="mt-2 text-xs text-amber-700">Flagged rows are left out of the archive.</p>
+                  )}
+                </div>
+              )}
+            </section>
+
+            {/* Report Template */}
+            <section>
+              <h3 className="text-md font-bold text-gray-900 mb-4 flex items-center border-b pb-2">
+                <LayoutTemplate className="w-4 h-4 mr-2 text-red-500" /> Report Template
+              </h3>
+              {comparison.enabled && (
+                <p className="text-xs text-gray-500 mb-3">Comparison mode uses its own side-by-side layout; this template applies to single-dataset reports.</p>
+              )}
+              <div className="space-y-2">
+                {REPORT_TEMPLATES.map(template => (
+                  <label
+                    key={template.id}
+                    className={`flex items-start p-3 rounded-md border cursor-pointer transition-colors ${reportSettings.templateId === template.id ? 'border-red-400 bg-red-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                  >
+                    <input
+                      type="radio"
+                      name="templateId"
+                      value={template.id}
+                      checked={reportSettings.templateId === template.id}
+                      onChange={() => setReportSettings(prev => ({ ...prev, templateId: template.id }))}
+                      className="mt-1 mr-3"
+                    />
+                    <span>
+                      <span className="block text-sm font-semibold text-gray-900">{template.label}</span>
+                      <span className="block text-xs text-gray-500">{template.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </section>
+
+            {/* Language, Currency & Locale */}
+            <section>
+              <h3 className="text-md font-bold text-gray-900 mb-4 flex items-center border-b pb-2">
+                <DollarSign className="w-4 h-4 mr-2 text-red-500" /> Language & Number Format
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">The language sets every heading and label in the generated report. Currency and number format apply to every figure and are used to read amounts from spreadsheets and screenshots.</p>
+              <div className="grid grid-cols-2 gap-4">
+                <label className="col-span-2 block text-sm font-medium text-gray-700">
+                  Report language
+                  <select
+                    value={reportSettings.language}
+                    onChange={e => setReportSettings(prev => ({ ...prev, language: e.target.value }))}
+                    className="mt-1 w-full border border-gray-300 rounded-md shadow-sm py-2 px-2 sm:text-sm"
+                  >
+                    {REPORT_LANGUAGES.map(language => (
+                      <option key={language.value} value={language.value}>{language.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block text-sm font-medium text-gray-700">
+                  Currency
+                  <select
+                    value={reportSettings.currency}
+                    onChange={e => setReportSettings(prev => ({ ...prev, currency: e.target.value }))}
+                    className="mt-1 w-full border border-gray-300 rounded-md shadow-sm py-2 px-2 sm:text-sm"
+                  >
+                    {CURRENCY_OPTIONS.map(currency => (
+                      <option key={currency} value={currency}>{currency}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="block text-sm font-medium text-gray-700">
+                  Number format
+                  <select
+                    value={reportSettings.locale}
+                    onChange={e => setReportSettings(prev => ({ ...prev, locale: e.target.value }))}
+                    className="mt-1 w-full border border-gray-300 rounded-md shadow-sm py-2 px-2 sm:text-sm"
+                  >
+                    {LOCALE_OPTIONS.map(locale => (
+                      <option key={locale.value} value={locale.value}>{locale.label}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+            </section>
+
+            {/* Branding */}
+            <section>
+              <h3 className="text-md font-bold text-gray-900 mb-4 flex items-center border-b pb-2">
+                <Palette className="w-4 h-4 mr-2 text-red-500" /> Branding
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">White-label the report with a client logo, colours, font and footer. Save a profile to reuse it on later reports.</p>
+
+              {brandingProfiles.length > 0 && (
+                <div className="mb-4">
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Branding Profile</label>
+                  <div className="flex space-x-2">
+                    <select
+                      value={activeBrandingProfileName}
+                      onChange={e => selectBrandingProfile(e.target.value)}
+                      className="flex-1 border border-gray-300 rounded-md py-1 px-2 text-xs bg-white"
+                    >
+                      <option value="">Wiser default</option>
+                      {brandingProfiles.map(profile => (
+                        <option key={profile.name} value={profile.name}>{profile.name}</option>
+                      ))}
+                    </select>
+                    {activeBrandingProfileName && (
+                      <button
+                        type="button"
+                        onClick={() => deleteBrandingProfile(activeBrandingProfileName)}
+                        className="px-2 py-1 text-xs font-medium rounded-md border border-gray-300 text-gray-600 hover:bg-gray-50"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              <div className="flex items-center gap-3 mb-4">
+                <div className="h-12 w-12 rounded-md border border-gray-200 bg-gray-50 flex items-center justify-center overflow-hidden">
+                  {reportSettings.branding.logo
+                    ? <img src={reportSettings.branding.logo} alt="Logo preview" className="h-full w-full object-contain" />
+                    : <ImagePlus className="w-5 h-5 text-gray-400" />}
+                </div>
+                <div className="flex-1">
+                  <input
+                    type="file"
+                    accept="image/png,image/jpeg,image/gif,image/webp,image/svg+xml"
+                    onChange={handleLogoUpload}
+                    ref={logoInputRef}
+                    className="block w-full text-xs text-gray-500 file:mr-3 file:py-1 file:px-3 file:rounded-md file:border-0 file:text-xs file:font-semibold file:bg-red-50 file:text-red-700 hover:file:bg-red-100"
+                  />
+                  <p className="text-xs text-gray-400 mt-1">Embedded in the report. Max {MAX_LOGO_BYTES / 1024} KB; without one the store initial is shown.</p>
+                </div>
+                {reportSettings.branding.logo && (
+                  <button
+                    type="button"
+                    onClick={() => updateBranding('logo', '')}
+                    className="text-xs text-red-600 hover:underline"
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+
+              <div className="grid grid-cols-2 gap-4 mb-4">
+                {[['primaryColor', 'Primary color'], ['accentColor', 'Accent color']].map(([field, label]) => (
+                  <label key={field} className="block text-sm font-medium text-gray-700">
+                    {label}
+                    <div className="mt-1 flex items-center gap-2">
+                      <input
+                        type="color"
+                        value={reportSettings.branding[field]}
+                        onChange={e => updateBranding(field, e.target.value)}
+                        className="h-9 w-12 border border-gray-300 rounded-md cursor-pointer"
+                      />
+                      <span className="text-xs font-mono text-gray-500">{reportSettings.branding[field].toUpperCase()}</span>
+                    </div>
+                  </label>
+                ))}
+                <label className="col-span-2 block text-sm font-medium text-gray-700">
+                  Font
+                  <select
+                    value={reportSettings.branding.font}
+                    onChange={e => updateBranding('font', e.target.value)}
+                    className="mt-1 w-full border border-gray-300 rounded-md shadow-sm py-2 px-2 sm:text-sm"
+                  >
+                    {Object.entries(BRAND_FONTS).map(([value, font]) => (
+                      <option key={value} value={value}>{font.label}</option>
+                    ))}
+                  </select>
+                  {reportSettings.branding.font !== DEFAULT_BRANDING.font && (
+                    <span className="block text-xs font-normal text-gray-400 mt-1">Offline exports embed Manrope only; other fonts use what the viewer has installed.</span>
+                  )}
+                </label>
+                <label className="col-span-2 block text-sm font-medium text-gray-700">
+                  Footer text
+                  <input
+                    type="text"
+                    value={reportSettings.branding.footerText}
+                    onChange={e => updateBranding('footerText', e.target.value)}
+                    placeholder="Generated for <store> - System Version 2.1"
+                    className="mt-1 w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 sm:text-sm"
+                  />
+                </label>
+              </div>
+
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  value={brandingProfileName}
+                  onChange={e => setBrandingProfileName(e.target.value)}
+                  placeholder="Profile name, e.g. Client X"
+                  className="flex-1 border border-gray-300 rounded-md py-1 px-2 text-xs"
+                />
+                <button
+                  type="button"
+                  onClick={saveBrandingProfile}
+                  disabled={!sanitizeText(brandingProfileName)}
+                  className="px-2 py-1 text-xs font-medium rounded-md border border-red-300 text-red-700 hover:bg-red-50 disabled:opacity-50"
+                >
+                  Save Profile
+                </button>
+                <button
+                  type="button"
+                  onClick={() => selectBrandingProfile('')}
+                  className="px-2 py-1 text-xs font-medium rounded-md border border-gray-300 text-gray-600 hover:bg-gray-50"
+                >
+                  Reset
+                </button>
+              </div>
             </section>
 
             {/* General Settings */}
@@ -966,7 +2468,7 @@ IMPORTANT:
               </h3>
               <InputGroup label="Store Name" name="storeName" />
               <InputGroup label="Optimization Coverage %" name="optimizationPercent" />
-              <InputGroup label="Total Revenue" name="totalRevenue" type="number" prefix="$" />
+              <InputGroup label="Total Revenue" name="totalRevenue" type="number" prefix={currencySymbol} />
             </section>
 
             {/* Health Scores */}
@@ -986,14 +2488,82 @@ IMPORTANT:
               <h3 className="text-md font-bold text-gray-900 mb-4 flex items-center border-b pb-2">
                 <DollarSign className="w-4 h-4 mr-2 text-red-500" /> Revenue By Page
               </h3>
-              <div className="grid grid-cols-2 gap-4">
-                <InputGroup label="Product Page" name="productRev" type="number" prefix="$" />
-                <InputGroup label="Post-Purchase" name="postPurchaseRev" type="number" prefix="$" />
-                <InputGroup label="Checkout" name="checkoutRev" type="number" prefix="$" />
-                <InputGroup label="Thank You" name="thankYouRev" type="number" prefix="$" />
-                <InputGroup label="Cart" name="cartRev" type="number" prefix="$" />
-                <InputGroup label="Other" name="otherRev" type="number" prefix="$" />
+              <p className="text-xs text-gray-500 mb-3">Status "Auto" judges each page by its revenue share; mark a page "Not live" to list it as a growth gap.</p>
+              <div className="mb-3"><FieldWarnings issues={getFieldIssues(activeValidationIssues, 'pages')} /></div>
+              <div className="space-y-3">
+                {activeData.pages.map((page, index) => (
+                  <div key={page.id} className="bg-gray-50 p-3 rounded-md border border-gray-100">
+                    <div className="flex items-center justify-between mb-2">
+                      <input
+                        type="text"
+                        value={page.label}
+                        onChange={e => updatePage(index, 'label', e.target.value)}
+                        className="flex-1 mr-2 border border-gray-300 rounded-md py-1 px-2 text-sm font-medium"
+                      />
+                      <div className="flex items-center space-x-1">
+                        <button
+                          type="button"
+                          onClick={() => moveListItem('pages', index, -1)}
+                          disabled={index === 0}
+                          className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                          title="Move up"
+                        >
+                          <ArrowUp className="w-3 h-3" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => moveListItem('pages', index, 1)}
+                          disabled={index === activeData.pages.length - 1}
+                          className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                          title="Move down"
+                        >
+                          <ArrowDown className="w-3 h-3" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => removeListItem('pages', index)}
+                          className="p-1 text-red-500 hover:text-red-700"
+                          title="Remove page"
+                        >
+                          <Trash2 className="w-3 h-3" />
+                        </button>
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                      <div className="relative">
+                        <span className="absolute left-3 top-2 text-gray-500">{currencySymbol}</span>
+                        <input
+                          type="number"
+                          value={page.revenue}
+                          onChange={e => updatePage(index, 'revenue', e.target.value)}
+                          className={`w-full border rounded-md shadow-sm py-2 px-3 pl-8 focus:ring-red-500 focus:border-red-500 sm:text-sm ${getFieldIssues(activeValidationIssues, 'pages').length > 0 ? 'border-amber-400 bg-amber-50' : 'border-gray-300'}`}
+                        />
+                      </div>
+                      <select
+                        value={page.status}
+                        onChange={e => updatePage(index, 'status', e.target.value)}
+                        className="w-full border border-gray-300 rounded-md shadow-sm py-2 px-2 sm:text-sm"
+                      >
+                        {Object.entries(PAGE_STATUSES).map(([status, label]) => (
+                          <option key={status} value={status}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                ))}
               </div>
+              <select
+                value=""
+                onChange={e => addPage(e.target.value)}
+                disabled={activeData.pages.length >= MAX_PAGES}
+                className="mt-3 w-full border border-gray-300 rounded-md py-1 px-2 text-xs text-red-600 disabled:opacity-50"
+              >
+                <option value="" disabled>+ Add page type...</option>
+                {PAGE_TYPE_PRESETS.filter(preset => !activeData.pages.some(page => page.id === preset.id)).map(preset => (
+                  <option key={preset.id} value={preset.id}>{preset.label}</option>
+                ))}
+                <option value="custom">Custom page</option>
+              </select>
             </section>
 
             {/* Top Widgets */}
@@ -1001,18 +2571,71 @@ IMPORTANT:
               <h3 className="text-md font-bold text-gray-900 mb-4 flex items-center border-b pb-2">
                 <LayoutTemplate className="w-4 h-4 mr-2 text-red-500" /> Top Widgets
               </h3>
-              <div className="bg-gray-50 p-4 rounded-md border border-gray-100 mb-4">
-                <InputGroup label="Widget 1 Name" name="widget1Name" />
-                <InputGroup label="Widget 1 Revenue" name="widget1Rev" type="number" prefix="$" />
-              </div>
-              <div className="bg-gray-50 p-4 rounded-md border border-gray-100 mb-4">
-                <InputGroup label="Widget 2 Name" name="widget2Name" />
-                <InputGroup label="Widget 2 Revenue" name="widget2Rev" type="number" prefix="$" />
-              </div>
-              <div className="bg-gray-50 p-4 rounded-md border border-gray-100">
-                <InputGroup label="Widget 3 Name" name="widget3Name" />
-                <InputGroup label="Widget 3 Revenue" name="widget3Rev" type="number" prefix="$" />
+              <div className="mb-3"><FieldWarnings issues={getFieldIssues(activeValidationIssues, 'widgets')} /></div>
+              <div className="space-y-3">
+                {activeData.widgets.map((widget, index) => (
+                  <div key={index} className="bg-gray-50 p-3 rounded-md border border-gray-100">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-xs font-semibold text-gray-500 uppercase">Widget {index + 1}</span>
+                      <div className="flex items-center space-x-1">
+                        <button
+                          type="button"
+                          onClick={() => moveListItem('widgets', index, -1)}
+                          disabled={index === 0}
+                          className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                          title="Move up"
+                        >
+                          <ArrowUp className="w-3 h-3" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => moveListItem('widgets', index, 1)}
+                          disabled={index === activeData.widgets.length - 1}
+                          className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                          title="Move down"
+                        >
+                          <ArrowDown className="w-3 h-3" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => removeListItem('widgets', index)}
+                          className="p-1 text-red-500 hover:text-red-700"
+                          title="Remove widget"
+                        >
+                          <Trash2 className="w-3 h-3" />
+                        </button>
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                      <input
+                        type="text"
+                        value={widget.name}
+                        onChange={e => updateWidget(index, 'name', e.target.value)}
+                        placeholder="Widget name"
+                        className="w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:ring-red-500 focus:border-red-500 sm:text-sm"
+                      />
+                      <div className="relative">
+                        <span className="absolute left-3 top-2 text-gray-500">{currencySymbol}</span>
+                        <input
+                          type="number"
+                          value={widget.revenue ?? ''}
+                          onChange={e => updateWidget(index, 'revenue', e.target.value)}
+                          className={`w-full border rounded-md shadow-sm py-2 px-3 pl-8 focus:ring-red-500 focus:border-red-500 sm:text-sm ${getFieldIssues(activeValidationIssues, `widgets.${index}`).length > 0 || getFieldIssues(activeValidationIssues, 'widgets').length > 0 ? 'border-amber-400 bg-amber-50' : 'border-gray-300'}`}
+                        />
+                      </div>
+                    </div>
+                    <FieldWarnings issues={getFieldIssues(activeValidationIssues, `widgets.${index}`)} />
+                  </div>
+                ))}
               </div>
+              <button
+                type="button"
+                onClick={addWidget}
+                disabled={activeData.widgets.length >= MAX_WIDGETS}
+                className="mt-3 flex items-center text-xs font-medium text-red-600 hover:underline disabled:opacity-50"
+              >
+                <Plus className="w-3 h-3 mr-1" /> Add widget
+              </button>
             </section>
 
             {/* Projections */}
@@ -1021,10 +2644,54 @@ IMPORTANT:
                 <Activity className="w-4 h-4 mr-2 text-red-500" /> Projections
               </h3>
               <div className="grid grid-cols-2 gap-4">
-                <InputGroup label="Current Monthly" name="projectedCurrent" type="number" prefix="$" />
-                <InputGroup label="With Optimization" name="projectedOptimized" type="number" prefix="$" />
+                <InputGroup label="Current Monthly" name="projectedCurrent" type="number" prefix={currencySymbol} />
+                <InputGroup label="With Optimization" name="projectedOptimized" type="number" prefix={currencySymbol} />
+              </div>
+            </section>
+
+            {/* Prior Period */}
+            <section>
+              <h3 className="text-md font-bold text-gray-900 mb-4 flex items-center border-b pb-2">
+                <Activity className="w-4 h-4 mr-2 text-red-500" /> Prior Period (optional)
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">Trend badges compare each KPI with these values. Leave a field blank to hide its badge.</p>
+              <div className="grid grid-cols-2 gap-4">
+                <InputGroup label="Prior Total Revenue" name="priorTotalRevenue" type="number" prefix={currencySymbol} />
+                <InputGroup label="Prior Revenue Coverage (%)" name="priorRevenueCoverage" type="number" />
+                <InputGroup label="Prior Avg Order Value" name="priorCheckoutRev" type="number" prefix={currencySymbol} />
+                <InputGroup label="Prior Widget Utilization (%)" name="priorWidgetUtilization" type="number" />
               </div>
             </section>
+
+            {/* Narrative Rules */}
+            <section>
+              <h3 className="text-md font-bold text-gray-900 mb-4 flex items-center border-b pb-2">
+                <SlidersHorizontal className="w-4 h-4 mr-2 text-red-500" /> Narrative Rules
+              </h3>
+              <p className="text-xs text-gray-500 mb-3">Thresholds that decide status badges, strategy cards, growth gaps and roadmap steps.</p>
+              <div className="grid grid-cols-2 gap-4">
+                {Object.entries(NARRATIVE_THRESHOLD_LABELS).map(([name, label]) => (
+                  <div key={name}>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+                    <input
+                      type="number"
+                      min="0"
+                      name={name}
+                      value={reportSettings.narrativeThresholds[name]}
+                      onChange={handleThresholdChange}
+                      className="w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:ring-red-500 focus:border-red-500 sm:text-sm"
+                    />
+                  </div>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => setReportSettings(prev => ({ ...prev, narrativeThresholds: DEFAULT_NARRATIVE_THRESHOLDS }))}
+                className="mt-3 text-xs text-red-600 hover:underline"
+              >
+                Reset to defaults
+              </button>
+            </section>
           </div>
         </div>
 
@@ -0,0 +1,150 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+
+// Optional protection for the analyze endpoint:
+// - API_ACCESS_TOKENS: comma-separated shared secrets; when set, requests need `Authorization: Bearer <token>`.
+// - RATE_LIMIT_PER_IP / RATE_LIMIT_PER_TOKEN requests per RATE_LIMIT_WINDOW_SECONDS (0 disables a limit).
+// - DAILY_REQUEST_BUDGET: model calls per UTC day across all clients (0 = unlimited).
+// - TRUST_PROXY=true reads the client address from X-Forwarded-For (Render and most PaaS proxies);
+//   a number N trusts N proxy hops. Only the entries those proxies appended are used, since the
+//   client can put anything in front of them.
+const DEFAULT_RATE_LIMIT_PER_IP = 20;
+const DEFAULT_RATE_LIMIT_PER_TOKEN = 60;
+const DEFAULT_RATE_LIMIT_WINDOW_SECONDS = 60;
+const MAX_TRACKED_KEYS = 10000;
+
+// Sent as `code` with 401 replies, so clients can tell a missing or wrong access code apart from
+// any other 401.
+export const ACCESS_DENIED_CODE = 'access_denied';
+
+const createAccessError = (message, statusCode, retryAfterSeconds) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (statusCode === 401) error.code = ACCESS_DENIED_CODE;
+  if (retryAfterSeconds) error.retryAfterSeconds = retryAfterSeconds;
+  return error;
+};
+
+const readLimit = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const digest = value => createHash('sha256').update(String(value)).digest();
+
+// Fixed-window counters; `hit` returns the seconds to wait when the key is over its limit, else 0.
+const createWindowCounter = windowMs => {
+  const windows = new Map();
+
+  const prune = now => {
+    for (const [key, entry] of windows) {
+      if (now >= entry.resetAt) windows.delete(key);
+    }
+  };
+
+  const hit = (key, limit, now) => {
+    if (windows.size > MAX_TRACKED_KEYS) prune(now);
+
+    let entry = windows.get(key);
+    if (!entry || now >= entry.resetAt) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    if (entry.count >= limit) return Math.max(1, Math.ceil((entry.resetAt - now) / 1000));
+
+    entry.count += 1;
+    return 0;
+  };
+
+  return { hit };
+};
+
+const secondsUntilNextUtcDay = now => {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((next.getTime() - now) / 1000));
+};
+
+export const createAccessControl = (getEnv, now = () => Date.now()) => {
+  const tokenDigests = String(getEnv('API_ACCESS_TOKENS') || '')
+    .split(',')
+    .map(token => token.trim())
+    .filter(Boolean)
+    .map(digest);
+  const trustProxySetting = String(getEnv('TRUST_PROXY') || '').trim();
+  const trustedHops = trustProxySetting === 'true' ? 1 : readLimit(trustProxySetting, 0);
+  const perIpLimit = readLimit(getEnv('RATE_LIMIT_PER_IP'), DEFAULT_RATE_LIMIT_PER_IP);
+  const perTokenLimit = readLimit(getEnv('RATE_LIMIT_PER_TOKEN'), DEFAULT_RATE_LIMIT_PER_TOKEN);
+  const windowMs = (readLimit(getEnv('RATE_LIMIT_WINDOW_SECONDS'), DEFAULT_RATE_LIMIT_WINDOW_SECONDS) || DEFAULT_RATE_LIMIT_WINDOW_SECONDS) * 1000;
+  const dailyBudget = readLimit(getEnv('DAILY_REQUEST_BUDGET'), 0);
+
+  const ipCounter = createWindowCounter(windowMs);
+  const tokenCounter = createWindowCounter(windowMs);
+  let budget = { day: '', used: 0 };
+
+  const isAuthRequired = tokenDigests.length > 0;
+
+  const getToken = req => /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1]?.trim() || '';
+
+  // Compares digests so the check takes the same time whatever the token's length or content.
+  const isValidToken = token => {
+    if (!token) return false;
+    const candidate = digest(token);
+    return tokenDigests.some(tokenDigest => timingSafeEqual(tokenDigest, candidate));
+  };
+
+  // With N trusted hops, the client address is the Nth entry from the end of X-Forwarded-For.
+  const getClientIp = req => {
+    const forwarded = trustedHops > 0
+      ? String(req.headers['x-forwarded-for'] || '').split(',').map(entry => entry.trim()).filter(Boolean)
+      : [];
+    const address = forwarded.length > 0 ? forwarded[Math.max(0, forwarded.length - trustedHops)] : '';
+    return address || req.socket?.remoteAddress || 'unknown';
+  };
+
+  // Every attempt counts against the address, including wrong tokens, which also slows guessing.
+  const checkIpLimit = req => {
+    if (perIpLimit === 0) return;
+    const wait = ipCounter.hit(getClientIp(req), perIpLimit, now());
+    if (wait) {
+      throw createAccessError(`Too many requests. Try again in ${wait} seconds.`, 429, wait);
+    }
+  };
+
+  const isAuthenticated = req => !isAuthRequired || isValidToken(getToken(req));
+
+  // Throws a 401 or 429 error when the request may not call the model.
+  const authorize = req => {
+    checkIpLimit(req);
+
+    if (!isAuthRequired) return;
+    const token = getToken(req);
+    if (!isValidToken(token)) {
+      throw createAccessError(token ? 'Invalid access code.' : 'An access code is required.', 401);
+    }
+
+    if (perTokenLimit === 0) return;
+    const wait = tokenCounter.hit(digest(token).toString('hex'), perTokenLimit, now());
+    if (wait) {
+      throw createAccessError(`Too many requests for this access code. Try again in ${wait} seconds.`, 429, wait);
+    }
+  };
+
+  // Call right before spending a model request, once the payload is known to be valid.
+  const consumeBudget = () => {
+    if (dailyBudget === 0) return;
+
+    const time = now();
+    const day = new Date(time).toISOString().slice(0, 10);
+    if (budget.day !== day) budget = { day, used: 0 };
+    if (budget.used >= dailyBudget) {
+      throw createAccessError(
+        'The daily analysis budget has been used up. Try again tomorrow or fill the fields manually.',
+        429,
+        secondsUntilNextUtcDay(time)
+      );
+    }
+    budget.used += 1;
+  };
+
+  return { isAuthRequired, isAuthenticated, checkIpLimit, authorize, consumeBudget };
+};
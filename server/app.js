@@ -0,0 +1,58 @@
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { createDashboardApiHandler, sendJson } from './dashboardApi.js';
+import { createStaticHandler } from './staticFiles.js';
+
+const DEFAULT_DIST_DIR = fileURLToPath(new URL('../dist/', import.meta.url));
+
+const handleHealthCheck = (req, res, next) => {
+  if (req.url === '/healthz' || req.url?.startsWith('/healthz?')) {
+    sendJson(res, 200, { status: 'ok' });
+    return;
+  }
+  next();
+};
+
+// Runs after the API handlers, so unknown API routes get a JSON 404 instead of the app shell.
+const handleUnknownApiRoute = (req, res, next) => {
+  if (req.url?.startsWith('/api/')) {
+    sendJson(res, 404, { error: 'Not found.' });
+    return;
+  }
+  next();
+};
+
+const handleNotFound = (req, res) => {
+  res.statusCode = 404;
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.end('Not found');
+};
+
+// The production web server: health check, the same analyze API the Vite plugin mounts, and the
+// built app. Returned unstarted so tests can listen on a free port.
+export const createAppServer = ({ getEnv = key => process.env[key], distDir = DEFAULT_DIST_DIR } = {}) => {
+  const middlewares = [
+    handleHealthCheck,
+    createDashboardApiHandler(getEnv),
+    handleUnknownApiRoute,
+    createStaticHandler(distDir)
+  ];
+
+  return http.createServer((req, res) => {
+    const run = index => {
+      const middleware = middlewares[index];
+      if (!middleware) {
+        handleNotFound(req, res);
+        return;
+      }
+      Promise.resolve(middleware(req, res, () => run(index + 1))).catch(error => {
+        if (res.headersSent) {
+          res.destroy(error);
+          return;
+        }
+        sendJson(res, 500, { error: 'Unexpected server error.' });
+      });
+    };
+    run(0);
+  });
+};
@@ -0,0 +1,154 @@
+import { createAiProvider } from './providers/index.js';
+import { ACCESS_DENIED_CODE, createAccessControl } from './accessControl.js';
+import { createExtractionCache } from './extractionCache.js';
+import {
+  buildExtractionPrompt,
+  EXTRACTION_PROMPT_VERSION,
+  buildExtractionSchema,
+  normalizeExtraction,
+  readPageHints
+} from './extraction.js';
+
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+const readJsonBody = req =>
+  new Promise((resolve, reject) => {
+    let size = 0;
+    let body = '';
+    let tooLarge = false;
+
+    req.on('data', chunk => {
+      if (tooLarge) return;
+
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        const error = new Error('Payload too large. Use a smaller image.');
+        error.statusCode = 413;
+        tooLarge = true;
+        reject(error);
+        return;
+      }
+
+      body += chunk.toString('utf8');
+    });
+
+    req.on('end', () => {
+      if (tooLarge) return;
+
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(new Error('Invalid JSON request body.'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+
+export const sendJson = (res, statusCode, payload) => {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+};
+
+const sendError = (res, error) => {
+  if (error?.retryAfterSeconds) {
+    res.setHeader('Retry-After', String(error.retryAfterSeconds));
+  }
+  sendJson(res, error?.statusCode || 500, {
+    error: error instanceof Error ? error.message : 'Unexpected server error.',
+    ...(error?.code === ACCESS_DENIED_CODE ? { code: ACCESS_DENIED_CODE } : {})
+  });
+};
+
+const IMAGE_MIME_TYPE_PATTERN = /^image\/(png|jpeg|webp|gif|heic|heif)$/;
+
+// Connect-style middleware for the dashboard API:
+// - GET /api/auth reports whether an access code is required and whether the request carries a valid one.
+// - POST /api/analyze-dashboard takes `{ imageBase64, mimeType, currency, locale, pages, force }`; the prompt is
+//   built here (extraction.js) and every AI provider (providers/index.js) answers with the same
+//   `{ extractedData }`. `cached` and `cachedAt` say whether it came from the extraction cache;
+//   `force: true` skips the cache lookup and re-analyzes the image.
+export const createDashboardApiHandler = getEnv => {
+  const provider = createAiProvider(getEnv);
+  const accessControl = createAccessControl(getEnv);
+  const cache = createExtractionCache(getEnv, { provider });
+
+  const handleAuthStatus = (req, res) => {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      sendJson(res, 405, { error: 'Method not allowed. Use GET.' });
+      return;
+    }
+
+    try {
+      if (req.headers.authorization) accessControl.checkIpLimit(req);
+      sendJson(res, 200, {
+        required: accessControl.isAuthRequired,
+        authenticated: accessControl.isAuthenticated(req)
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+
+  return async (req, res, next) => {
+    if (req.url === '/api/auth' || req.url?.startsWith('/api/auth?')) {
+      handleAuthStatus(req, res);
+      return;
+    }
+
+    if (!req.url?.startsWith('/api/analyze-dashboard')) {
+      next();
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      sendJson(res, 405, { error: 'Method not allowed. Use POST.' });
+      return;
+    }
+
+    try {
+      accessControl.authorize(req);
+
+      const contentLengthHeader = req.headers['content-length'];
+      const contentLength = Number(contentLengthHeader);
+      if (Number.isFinite(contentLength) && contentLength > MAX_BODY_BYTES) {
+        sendJson(res, 413, { error: 'Payload too large. Use a smaller image.' });
+        return;
+      }
+
+      const { mimeType, imageBase64, currency, locale, pages: requestedPages, force } = await readJsonBody(req);
+
+      if (typeof imageBase64 !== 'string' || imageBase64.length < 100) {
+        sendJson(res, 400, { error: 'Invalid image payload.' });
+        return;
+      }
+
+      const pages = readPageHints({ pages: requestedPages });
+      const prompt = buildExtractionPrompt({ currency, locale, pages });
+      const cacheKey = cache.createKey({ imageBase64, promptVersion: EXTRACTION_PROMPT_VERSION, prompt, pages });
+      const cached = force === true ? null : await cache.get(cacheKey);
+      if (cached) {
+        sendJson(res, 200, { extractedData: cached.extractedData, cached: true, cachedAt: cached.cachedAt });
+        return;
+      }
+
+      // Cache hits above do not call the model, so only misses count against the daily budget.
+      accessControl.consumeBudget();
+      const output = await provider.analyze({
+        prompt,
+        schema: buildExtractionSchema({ pages }),
+        mimeType: IMAGE_MIME_TYPE_PATTERN.test(mimeType) ? mimeType : 'image/png',
+        imageBase64
+      });
+      const extractedData = normalizeExtraction(output, { currency, locale, pages });
+
+      await cache.set(cacheKey, extractedData);
+      sendJson(res, 200, { extractedData, cached: false });
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+};
@@ -0,0 +1,148 @@
+import { MAX_PAGES, PAGE_TYPE_PRESETS, SCORE_FIELDS, isPageField, normalizeIncomingData, sanitizeText } from '../src/reportData.js';
+import { CURRENCY_OPTIONS, DEFAULT_FORMAT_SETTINGS, LOCALE_OPTIONS } from '../src/formatting.js';
+import { createProviderError } from './providers/shared.js';
+
+// The server owns the extraction prompt and response schema, so the endpoint only ever reads
+// dashboard screenshots into report fields. Clients send the image plus currency and locale hints
+// and the report's page list, so custom and renamed pages can be filled too.
+// Bump when the prompt, schema or normalization changes what an image extracts to; cached
+// extractions (extractionCache.js) from older versions are then ignored.
+export const EXTRACTION_PROMPT_VERSION = 1;
+
+const TEXT_FIELD_TYPES = {
+  storeName: 'string',
+  optimizationPercent: 'string, e.g. "60-65"'
+};
+
+const MAX_PAGE_LABEL_LENGTH = 60;
+
+const getExtractionFields = pages => [
+  'storeName',
+  'optimizationPercent',
+  'totalRevenue',
+  'revenueCoverage',
+  'funnelCoverage',
+  'widgetUtilization',
+  ...pages.map(page => page.id),
+  'widgets',
+  'projectedCurrent',
+  'projectedOptimized'
+];
+
+const CONFIDENCE_VALUES = ['read', 'estimated'];
+
+const SUPPORTED_LOCALES = new Set(LOCALE_OPTIONS.map(option => option.value));
+
+// Currency and locale come straight from the request and end up in the prompt, so only the
+// editor's own options are accepted; anything else falls back to the defaults.
+const readFormatHints = ({ currency, locale } = {}) => {
+  const code = typeof currency === 'string' ? currency.trim().toUpperCase() : '';
+  return {
+    currency: CURRENCY_OPTIONS.includes(code) ? code : DEFAULT_FORMAT_SETTINGS.currency,
+    locale: SUPPORTED_LOCALES.has(locale) ? locale : DEFAULT_FORMAT_SETTINGS.locale
+  };
+};
+
+// Page labels are user-typed and end up in the prompt, so they are sanitized and capped; only
+// real page ids are kept. Without a usable list the preset pages are used.
+export const readPageHints = ({ pages } = {}) => {
+  const hints = [];
+  for (const page of Array.isArray(pages) ? pages : []) {
+    if (hints.length >= MAX_PAGES) break;
+    if (!isPageField(page?.id) || hints.some(hint => hint.id === page.id)) continue;
+    const fallback = PAGE_TYPE_PRESETS.find(preset => preset.id === page.id)?.label || 'Custom Page';
+    const label = typeof page.label === 'string' ? sanitizeText(page.label.slice(0, MAX_PAGE_LABEL_LENGTH)) : '';
+    hints.push({ id: page.id, label: label || fallback });
+  }
+  return hints.length > 0 ? hints : PAGE_TYPE_PRESETS.map(({ id, label }) => ({ id, label }));
+};
+
+const describeField = (field, pages) => {
+  if (TEXT_FIELD_TYPES[field]) return TEXT_FIELD_TYPES[field];
+  if (SCORE_FIELDS.has(field)) return 'number 0-100';
+  const page = pages.find(item => item.id === field);
+  if (page) return `number, revenue from the ${page.label}`;
+  if (field === 'widgets') return 'array of { "name": string, "revenue": number }, one entry per widget shown, in the order displayed';
+  return 'number';
+};
+
+export const buildExtractionPrompt = options => {
+  const { currency, locale } = readFormatHints(options);
+  const pages = readPageHints(options);
+  return `Analyze this analytics dashboard screenshot. It may show only part of the dashboard. Extract the data and return a JSON object.
+Use EXACTLY these keys:
+${getExtractionFields(pages).map(field => `- ${field} (${describeField(field, pages)})`).join('\n')}
+- fieldConfidence (object mapping each key above to "read" or "estimated")
+
+IMPORTANT:
+1. If a value is not shown in the image, return null for it. Do not guess and do not default to 0 or "Unknown".
+2. In fieldConfidence, use "read" for values shown directly in the image and "estimated" for anything you had to calculate or infer.
+3. Amounts are in ${currency} and the dashboard formats numbers for the ${locale} locale. Return numbers as plain JSON numbers, without currency symbols or thousands separators.`;
+};
+
+// OpenAPI-style schema as accepted by Gemini's `generationConfig.responseSchema`.
+const toSchemaProperty = field => {
+  if (TEXT_FIELD_TYPES[field]) return { type: 'STRING', nullable: true };
+  if (field === 'widgets') {
+    return {
+      type: 'ARRAY',
+      nullable: true,
+      items: {
+        type: 'OBJECT',
+        properties: { name: { type: 'STRING' }, revenue: { type: 'NUMBER', nullable: true } },
+        required: ['name']
+      }
+    };
+  }
+  return { type: 'NUMBER', nullable: true };
+};
+
+export const buildExtractionSchema = options => {
+  const fields = getExtractionFields(readPageHints(options));
+  return {
+    type: 'OBJECT',
+    properties: {
+      ...Object.fromEntries(fields.map(field => [field, toSchemaProperty(field)])),
+      fieldConfidence: {
+        type: 'OBJECT',
+        properties: Object.fromEntries(fields.map(field => [field, { type: 'STRING', enum: CONFIDENCE_VALUES }]))
+      }
+    },
+    required: [...fields, 'fieldConfidence']
+  };
+};
+
+const isMissingValue = value =>
+  value === null ||
+  value === undefined ||
+  (typeof value === 'string' && !value.trim()) ||
+  (Array.isArray(value) && value.length === 0);
+
+// Keeps only report fields, normalized like any other import. Every field is present in the
+// result, null when the model could not read it; unknown keys from the model are dropped.
+export const normalizeExtraction = (output, options) => {
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    throw createProviderError('Model output was not a JSON object.');
+  }
+
+  const { locale } = readFormatHints(options);
+  const extraction = {};
+  const fieldConfidence = {};
+
+  for (const field of getExtractionFields(readPageHints(options))) {
+    const value = isMissingValue(output[field])
+      ? null
+      : normalizeIncomingData({ [field]: output[field] }, { locale })[field] ?? null;
+    extraction[field] = isMissingValue(value) ? null : value;
+
+    if (extraction[field] !== null) {
+      fieldConfidence[field] = output.fieldConfidence?.[field] === 'estimated' ? 'estimated' : 'read';
+    }
+  }
+
+  if (Object.keys(fieldConfidence).length === 0) {
+    throw createProviderError('No report values could be read from this image.', 422);
+  }
+
+  return { ...extraction, fieldConfidence };
+};
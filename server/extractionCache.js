@@ -0,0 +1,112 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, rename, stat, unlink, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// On-disk cache of normalized extractions, so re-uploading a screenshot neither spends another
+// model call nor comes back with different numbers. Entries are keyed by the image bytes plus
+// everything that shapes the answer: provider, model, prompt version, the prompt itself and the
+// requested page list.
+// - EXTRACTION_CACHE=off disables it (it is off by default for the fixture provider).
+// - EXTRACTION_CACHE_DIR (default .cache/extractions), EXTRACTION_CACHE_TTL_HOURS (default 168),
+//   EXTRACTION_CACHE_MAX_MB (default 50; the oldest entries go first).
+const DEFAULT_CACHE_DIR = '.cache/extractions';
+const DEFAULT_TTL_HOURS = 7 * 24;
+const DEFAULT_MAX_MB = 50;
+// Pruning rescans the whole directory, so it runs at most this often rather than on every write.
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const isValidEntry = entry =>
+  Boolean(entry) &&
+  typeof entry.extractedData === 'object' &&
+  entry.extractedData !== null &&
+  !Array.isArray(entry.extractedData) &&
+  Number.isFinite(entry.cachedAt);
+
+const readPositiveNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export const createExtractionCache = (getEnv, { provider }) => {
+  const setting = String(getEnv('EXTRACTION_CACHE') || '').trim().toLowerCase();
+  const enabled = setting ? setting !== 'off' && setting !== 'false' : provider.name !== 'fixture';
+  const directory = path.resolve(getEnv('EXTRACTION_CACHE_DIR') || DEFAULT_CACHE_DIR);
+  const ttlMs = readPositiveNumber(getEnv('EXTRACTION_CACHE_TTL_HOURS'), DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+  const maxBytes = readPositiveNumber(getEnv('EXTRACTION_CACHE_MAX_MB'), DEFAULT_MAX_MB) * 1024 * 1024;
+
+  const createKey = ({ imageBase64, promptVersion, prompt, pages = [] }) =>
+    createHash('sha256')
+      .update(JSON.stringify({ provider: provider.name, model: provider.model, promptVersion, prompt, pages }))
+      .update(Buffer.from(imageBase64, 'base64'))
+      .digest('hex');
+
+  const getEntryPath = key => path.join(directory, `${key}.json`);
+  let lastPrunedAt = 0;
+
+  // Resolves with `{ extractedData, cachedAt }`, or null on a miss. Expired, unreadable or
+  // malformed entries are deleted so they are not read again.
+  const get = async key => {
+    if (!enabled) return null;
+
+    const entryPath = getEntryPath(key);
+    let entry;
+    try {
+      entry = JSON.parse(await readFile(entryPath, 'utf8'));
+    } catch (error) {
+      if (error?.code !== 'ENOENT') await unlink(entryPath).catch(() => {});
+      return null;
+    }
+
+    if (!isValidEntry(entry) || Date.now() - entry.cachedAt > ttlMs) {
+      await unlink(entryPath).catch(() => {});
+      return null;
+    }
+    return { extractedData: entry.extractedData, cachedAt: entry.cachedAt };
+  };
+
+  // Drops expired entries, then the oldest ones until the cache fits its size cap.
+  const prune = async () => {
+    const now = Date.now();
+    const entries = [];
+
+    for (const file of await readdir(directory)) {
+      if (!file.endsWith('.json')) continue;
+      const filePath = path.join(directory, file);
+      const stats = await stat(filePath).catch(() => null);
+      if (!stats) continue;
+      if (now - stats.mtimeMs > ttlMs) {
+        await unlink(filePath).catch(() => {});
+      } else {
+        entries.push({ filePath, size: stats.size, mtimeMs: stats.mtimeMs });
+      }
+    }
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    for (const entry of entries.sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+      if (total <= maxBytes) break;
+      await unlink(entry.filePath).catch(() => {});
+      total -= entry.size;
+    }
+  };
+
+  // A cache that cannot be written only costs a model call, so failures are logged, not thrown.
+  const set = async (key, extractedData) => {
+    if (!enabled) return;
+
+    try {
+      await mkdir(directory, { recursive: true });
+      const entryPath = getEntryPath(key);
+      const tempPath = `${entryPath}.${process.pid}.tmp`;
+      await writeFile(tempPath, JSON.stringify({ cachedAt: Date.now(), extractedData }));
+      await rename(tempPath, entryPath);
+      if (Date.now() - lastPrunedAt >= PRUNE_INTERVAL_MS) {
+        lastPrunedAt = Date.now();
+        await prune();
+      }
+    } catch (error) {
+      console.warn(`Could not write the extraction cache: ${error instanceof Error ? error.message : error}`);
+    }
+  };
+
+  return { enabled, createKey, get, set };
+};
@@ -0,0 +1,29 @@
+import { createAppServer } from './app.js';
+
+// Production entry point (`npm start`): serves dist/ and the API without Vite.
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+const port = Number(process.env.PORT) || 3000;
+const host = process.env.HOST || '0.0.0.0';
+const server = createAppServer();
+
+server.listen(port, host, () => {
+  console.log(`Report generator listening on http://${host}:${port}`);
+});
+
+// Stop accepting connections and let in-flight analyses finish, but never hang a deploy.
+const shutdown = signal => {
+  console.log(`${signal} received, shutting down`);
+  server.close(error => {
+    if (error) console.error(error);
+    process.exit(error ? 1 : 0);
+  });
+  server.closeIdleConnections();
+  setTimeout(() => {
+    console.error('Forcing shutdown after timeout');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+};
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
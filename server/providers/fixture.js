@@ -0,0 +1,97 @@
+import { createHash } from 'node:crypto';
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createProviderError, parseModelJson } from './shared.js';
+
+// Replays recorded extractions so the upload flow works offline and in CI. Each JSON file in
+// AI_FIXTURE_DIR (default server/fixtures) is `{ image, sha256, extractedData }`, where sha256 is
+// the hash of the image bytes; `sha256sum screenshot.png` gives the key for a new recording.
+const DEFAULT_FIXTURE_DIR = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+// AI_FIXTURE_FAILURE makes requests fail the way a real model call can, to exercise client retries.
+const SIMULATED_FAILURES = {
+  'rate-limit': () => {
+    const error = createProviderError('Resource has been exhausted (simulated rate limit).', 429);
+    error.retryAfterSeconds = 1;
+    return error;
+  },
+  'malformed-json': () => {
+    try {
+      parseModelJson('{"storeName": "Wooden Ships", "totalRevenue": ');
+    } catch (error) {
+      return error;
+    }
+  },
+  'empty-candidates': () => {
+    try {
+      parseModelJson(undefined);
+    } catch (error) {
+      return error;
+    }
+  }
+};
+
+const hashImage = imageBase64 => createHash('sha256').update(Buffer.from(imageBase64, 'base64')).digest('hex');
+
+// Read on every request so new recordings are picked up without restarting the server.
+const loadFixtures = async directory => {
+  const fixtures = new Map();
+  const files = (await readdir(directory)).filter(file => file.endsWith('.json'));
+
+  for (const file of files) {
+    const fixture = JSON.parse(await readFile(path.join(directory, file), 'utf8'));
+    if (typeof fixture?.sha256 === 'string' && fixture.extractedData) {
+      fixtures.set(fixture.sha256.toLowerCase(), fixture.extractedData);
+    }
+  }
+
+  return fixtures;
+};
+
+const toNonNegativeInteger = value => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+};
+
+export const createFixtureProvider = getEnv => {
+  const directory = getEnv('AI_FIXTURE_DIR') || DEFAULT_FIXTURE_DIR;
+  const latencyMs = toNonNegativeInteger(getEnv('AI_FIXTURE_LATENCY_MS'));
+  const failure = getEnv('AI_FIXTURE_FAILURE');
+  // With a count, only the first N requests for each image fail, so retries end in a success.
+  const failureCount = toNonNegativeInteger(getEnv('AI_FIXTURE_FAILURE_COUNT'));
+  const attemptsByImage = new Map();
+
+  if (failure && !SIMULATED_FAILURES[failure]) {
+    throw new Error(`Unknown AI_FIXTURE_FAILURE "${failure}". Use one of: ${Object.keys(SIMULATED_FAILURES).join(', ')}.`);
+  }
+
+  const analyze = async ({ imageBase64 }) => {
+    const hash = hashImage(imageBase64);
+    const attempt = (attemptsByImage.get(hash) || 0) + 1;
+    attemptsByImage.set(hash, attempt);
+
+    if (latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, latencyMs));
+    }
+
+    if (failure && (failureCount === 0 || attempt <= failureCount)) {
+      throw SIMULATED_FAILURES[failure]();
+    }
+
+    let fixtures;
+    try {
+      fixtures = await loadFixtures(directory);
+    } catch (error) {
+      throw createProviderError(`Could not read fixtures from ${directory} (${error instanceof Error ? error.message : error}).`, 500);
+    }
+
+    const extractedData = fixtures.get(hash);
+    if (!extractedData) {
+      throw createProviderError(`No recorded extraction for this image (sha256 ${hash}). Add a fixture to ${directory}.`, 404);
+    }
+    return structuredClone(extractedData);
+  };
+
+  return { name: 'fixture', model: 'fixture', analyze };
+};
@@ -0,0 +1,43 @@
+import { createProviderError, readJsonResponse, parseModelJson, toUpstreamStatus } from './shared.js';
+
+export const createGeminiProvider = getEnv => {
+  const model = getEnv('GEMINI_MODEL') || 'gemini-2.5-flash';
+
+  const analyze = async ({ prompt, schema, mimeType, imageBase64 }) => {
+    const apiKey = getEnv('GEMINI_API_KEY');
+    if (!apiKey) {
+      throw createProviderError('Missing GEMINI_API_KEY. Add it to .env and restart the dev server.', 500);
+    }
+
+    const requestPayload = {
+      contents: [
+        {
+          role: 'user',
+          parts: [{ text: prompt }, { inlineData: { mimeType, data: imageBase64 } }]
+        }
+      ],
+      generationConfig: { responseMimeType: 'application/json', responseSchema: schema }
+    };
+
+    const response = await fetch(
+      `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestPayload)
+      }
+    );
+    const parsed = await readJsonResponse(response);
+
+    if (!response.ok) {
+      throw createProviderError(
+        parsed?.error?.message || parsed?.error || `Gemini request failed with status ${response.status}.`,
+        toUpstreamStatus(response.status)
+      );
+    }
+
+    return parseModelJson(parsed?.candidates?.[0]?.content?.parts?.[0]?.text);
+  };
+
+  return { name: 'gemini', model, analyze };
+};
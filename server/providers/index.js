@@ -0,0 +1,24 @@
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAiProvider } from './openai.js';
+import { createFixtureProvider } from './fixture.js';
+
+// Every provider exposes `analyze({ prompt, schema, mimeType, imageBase64 })`, resolving with the
+// model's parsed JSON (extraction.js normalizes it) or throwing an error whose `statusCode` the
+// API handler passes on.
+export const AI_PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiProvider,
+  fixture: createFixtureProvider
+};
+
+export const DEFAULT_AI_PROVIDER = 'gemini';
+
+// `getEnv(key)` reads configuration, so the same providers work under Vite's loadEnv or plain process.env.
+export const createAiProvider = getEnv => {
+  const name = (getEnv('AI_PROVIDER') || DEFAULT_AI_PROVIDER).trim().toLowerCase();
+  const createProvider = AI_PROVIDERS[name];
+  if (!createProvider) {
+    throw new Error(`Unknown AI_PROVIDER "${name}". Use one of: ${Object.keys(AI_PROVIDERS).join(', ')}.`);
+  }
+  return createProvider(getEnv);
+};
@@ -0,0 +1,56 @@
+import { createProviderError, readJsonResponse, parseModelJson, toUpstreamStatus } from './shared.js';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// Any chat-completions endpoint that accepts image_url parts: OpenAI itself, or a self-hosted
+// vision model behind an OpenAI-compatible server. Local servers usually need no API key.
+export const createOpenAiProvider = getEnv => {
+  const baseUrl = (getEnv('OPENAI_BASE_URL') || OPENAI_BASE_URL).replace(/\/+$/, '');
+  const model = getEnv('OPENAI_MODEL') || 'gpt-4o-mini';
+  // Some compatible servers reject `response_format`; OPENAI_JSON_MODE=false leaves it out. The
+  // prompt lists every key, so JSON mode is enough and the Gemini-style schema is not sent.
+  const jsonMode = getEnv('OPENAI_JSON_MODE') !== 'false';
+
+  const analyze = async ({ prompt, mimeType, imageBase64 }) => {
+    const apiKey = getEnv('OPENAI_API_KEY');
+    if (!apiKey && baseUrl === OPENAI_BASE_URL) {
+      throw createProviderError('Missing OPENAI_API_KEY. Add it to .env and restart the dev server.', 500);
+    }
+
+    const requestPayload = {
+      model,
+      temperature: 0,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            { type: 'image_url', image_url: { url: `data:${mimeType};base64,${imageBase64}` } }
+          ]
+        }
+      ],
+      ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+    };
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify(requestPayload)
+    });
+    const parsed = await readJsonResponse(response);
+
+    if (!response.ok) {
+      throw createProviderError(
+        parsed?.error?.message || parsed?.error || `Model request failed with status ${response.status}.`,
+        toUpstreamStatus(response.status)
+      );
+    }
+
+    return parseModelJson(parsed?.choices?.[0]?.message?.content);
+  };
+
+  return { name: 'openai', model, analyze };
+};
@@ -0,0 +1,33 @@
+// Errors carry the HTTP status the API handler should answer with.
+export const createProviderError = (message, statusCode = 502) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// A 401 or 403 from the model API means our own key is wrong, not the caller's access code, so
+// the client sees a bad gateway instead of a prompt for a code.
+export const toUpstreamStatus = status => (status === 401 || status === 403 ? 502 : status);
+
+export const readJsonResponse = async response => {
+  const rawText = await response.text();
+  try {
+    return rawText ? JSON.parse(rawText) : {};
+  } catch {
+    return {};
+  }
+};
+
+// Models that ignore JSON mode tend to wrap their answer in a ```json fence.
+export const parseModelJson = text => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw createProviderError('Model returned no extractable JSON content.');
+  }
+
+  const unfenced = text.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    throw createProviderError('Model output was not valid JSON.');
+  }
+};
@@ -0,0 +1,91 @@
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+// Vite fingerprints everything under assets/, so those files never change and can be cached for
+// good. index.html must be revalidated so a deploy is picked up on the next load.
+const getCacheControl = relativePath => {
+  if (relativePath.startsWith(`assets${path.sep}`)) return 'public, max-age=31536000, immutable';
+  if (relativePath === 'index.html') return 'no-cache';
+  return 'public, max-age=3600';
+};
+
+const findFile = async filePath => {
+  try {
+    const stats = await stat(filePath);
+    return stats.isFile() ? stats : null;
+  } catch {
+    return null;
+  }
+};
+
+// Serves the built app from `root`. Unknown paths without a file extension fall back to index.html.
+export const createStaticHandler = root => {
+  const rootDir = path.resolve(root);
+
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      next();
+      return;
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch {
+      res.statusCode = 400;
+      res.end('Bad request');
+      return;
+    }
+
+    let filePath = path.join(rootDir, pathname);
+    if (filePath !== rootDir && !filePath.startsWith(`${rootDir}${path.sep}`)) {
+      res.statusCode = 403;
+      res.end('Forbidden');
+      return;
+    }
+    if (pathname.endsWith('/')) filePath = path.join(filePath, 'index.html');
+
+    let stats = await findFile(filePath);
+    if (!stats && !path.extname(pathname)) {
+      filePath = path.join(rootDir, 'index.html');
+      stats = await findFile(filePath);
+    }
+    if (!stats) {
+      next();
+      return;
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream');
+    res.setHeader('Content-Length', stats.size);
+    res.setHeader('Cache-Control', getCacheControl(path.relative(rootDir, filePath)));
+    res.setHeader('Last-Modified', stats.mtime.toUTCString());
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    createReadStream(filePath)
+      .on('error', () => res.destroy())
+      .pipe(res);
+  };
+};
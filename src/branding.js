@@ -0,0 +1,42 @@
+import { sanitizeText } from './reportData.js';
+
+// White-label branding for generated reports. The primary and accent colours replace the
+// `wiser-red` / `wiser-navy` theme colours (see reportTheme.js) and the first chart colours.
+export const DEFAULT_BRANDING = {
+  logo: '',
+  primaryColor: '#F9423A',
+  accentColor: '#1F2937',
+  font: 'manrope',
+  footerText: ''
+};
+
+// `googleFamily` is the Google Fonts query used by online reports. Offline exports only embed
+// Manrope, so other fonts fall back to what the viewer has installed.
+export const BRAND_FONTS = {
+  manrope: { label: 'Manrope', stack: "'Manrope', sans-serif", googleFamily: 'Manrope:wght@400;500;600;700;800' },
+  inter: { label: 'Inter', stack: "'Inter', sans-serif", googleFamily: 'Inter:wght@400;500;600;700;800' },
+  roboto: { label: 'Roboto', stack: "'Roboto', sans-serif", googleFamily: 'Roboto:wght@400;500;700;900' },
+  lato: { label: 'Lato', stack: "'Lato', sans-serif", googleFamily: 'Lato:wght@400;700;900' },
+  merriweather: { label: 'Merriweather', stack: "'Merriweather', serif", googleFamily: 'Merriweather:wght@400;700;900' },
+  system: { label: 'System UI', stack: "system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif", googleFamily: null }
+};
+
+// Logos are embedded in the report, so keep them small enough not to bloat every export.
+export const MAX_LOGO_BYTES = 512 * 1024;
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const LOGO_DATA_URI_PATTERN = /^data:image\/(png|jpeg|gif|webp|svg\+xml);base64,[A-Za-z0-9+/]+=*$/;
+
+const normalizeColor = (value, fallback) => (HEX_COLOR_PATTERN.test(String(value ?? '').trim()) ? String(value).trim() : fallback);
+
+export const normalizeBranding = (input = {}) => ({
+  logo: typeof input?.logo === 'string' && LOGO_DATA_URI_PATTERN.test(input.logo) ? input.logo : '',
+  primaryColor: normalizeColor(input?.primaryColor, DEFAULT_BRANDING.primaryColor),
+  accentColor: normalizeColor(input?.accentColor, DEFAULT_BRANDING.accentColor),
+  font: Object.prototype.hasOwnProperty.call(BRAND_FONTS, input?.font) ? input.font : DEFAULT_BRANDING.font,
+  footerText: sanitizeText(input?.footerText, '')
+});
+
+// "#F9423A" -> "249 66 58", the channel format Tailwind's `<alpha-value>` colours expect.
+export const toRgbChannels = hex =>
+  [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16)).join(' ');
@@ -0,0 +1,84 @@
+// Per-report currency and locale. Every figure in a report goes through createReportFormatter so a
+// GBP store reads "£5,000" and a German one "5.000 €", whatever browser opens the file.
+export const DEFAULT_FORMAT_SETTINGS = { currency: 'USD', locale: 'en-US' };
+
+export const CURRENCY_OPTIONS = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'INR', 'JPY', 'BRL', 'MXN', 'ZAR'];
+
+export const LOCALE_OPTIONS = [
+  { value: 'en-US', label: 'English (United States)' },
+  { value: 'en-GB', label: 'English (United Kingdom)' },
+  { value: 'en-CA', label: 'English (Canada)' },
+  { value: 'en-AU', label: 'English (Australia)' },
+  { value: 'en-IN', label: 'English (India)' },
+  { value: 'de-DE', label: 'Deutsch (Deutschland)' },
+  { value: 'fr-FR', label: 'Français (France)' },
+  { value: 'es-ES', label: 'Español (España)' },
+  { value: 'it-IT', label: 'Italiano (Italia)' },
+  { value: 'nl-NL', label: 'Nederlands (Nederland)' },
+  { value: 'sv-SE', label: 'Svenska (Sverige)' },
+  { value: 'pl-PL', label: 'Polski (Polska)' },
+  { value: 'pt-BR', label: 'Português (Brasil)' },
+  { value: 'ja-JP', label: '日本語 (日本)' }
+];
+
+const isSupported = (locale, currency) => {
+  try {
+    new Intl.NumberFormat(locale, { style: 'currency', currency });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const normalizeFormatSettings = ({ currency, locale } = {}) => ({
+  currency: typeof currency === 'string' && isSupported(DEFAULT_FORMAT_SETTINGS.locale, currency.toUpperCase())
+    ? currency.toUpperCase()
+    : DEFAULT_FORMAT_SETTINGS.currency,
+  locale: typeof locale === 'string' && locale && isSupported(locale, DEFAULT_FORMAT_SETTINGS.currency)
+    ? locale
+    : DEFAULT_FORMAT_SETTINGS.locale
+});
+
+// Grouping and decimal characters for a locale, e.g. { group: '.', decimal: ',' } for de-DE.
+export const getNumberSeparators = (locale = DEFAULT_FORMAT_SETTINGS.locale) => {
+  const parts = new Intl.NumberFormat(normalizeFormatSettings({ locale }).locale).formatToParts(12345.6);
+  return {
+    group: parts.find(part => part.type === 'group')?.value || ',',
+    decimal: parts.find(part => part.type === 'decimal')?.value || '.'
+  };
+};
+
+export const getCurrencySymbol = settings => {
+  const { currency, locale } = normalizeFormatSettings(settings);
+  return new Intl.NumberFormat(locale, { style: 'currency', currency })
+    .formatToParts(0)
+    .find(part => part.type === 'currency')?.value || currency;
+};
+
+export const createReportFormatter = settings => {
+  const { currency, locale } = normalizeFormatSettings(settings);
+  const currencyFormat = new Intl.NumberFormat(locale, { style: 'currency', currency });
+  const wholeCurrencyFormat = new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits: 0 });
+  const percentFormat = new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 1 });
+  const trendFormat = new Intl.NumberFormat(locale, {
+    style: 'percent',
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+    signDisplay: 'exceptZero'
+  });
+
+  // Whole amounts drop the minor units, matching how the reports have always shown round figures.
+  const formatCurrency = value => (Number.isInteger(value) ? wholeCurrencyFormat : currencyFormat).format(value);
+
+  return {
+    currency: formatCurrency,
+    currencyExact: value => currencyFormat.format(value),
+    signedCurrency: value => `${value >= 0 ? '+' : '-'}${wholeCurrencyFormat.format(Math.round(Math.abs(value)))}`,
+    number: value => new Intl.NumberFormat(locale).format(value),
+    // Percent inputs are on a 0-100 scale.
+    percent: value => percentFormat.format(value / 100),
+    // Signed trend label such as "+8.3%", or null when there is no prior period to compare with.
+    trend: change => (change === null ? null : trendFormat.format(change / 100)),
+    settings: { currency, locale }
+  };
+};
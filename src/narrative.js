@@ -0,0 +1,189 @@
+import { createReportFormatter } from './formatting.js';
+import { createTranslator } from './translations/index.js';
+
+// Rules that turn normalized report numbers into badges, strategy cards, growth gaps and roadmap steps.
+// Every threshold can be overridden per report from the editor.
+export const DEFAULT_NARRATIVE_THRESHOLDS = {
+  strongPageShare: 15,
+  moderatePageShare: 2,
+  healthyScore: 60,
+  watchScore: 45,
+  maxStrategyCards: 3,
+  reviewDays: 30
+};
+
+export const NARRATIVE_THRESHOLD_LABELS = {
+  strongPageShare: 'Strong page share (% of revenue)',
+  moderatePageShare: 'Moderate page share (% of revenue)',
+  healthyScore: 'Healthy score (0-100)',
+  watchScore: 'Watchlist score (0-100)',
+  maxStrategyCards: 'Max strategy cards',
+  reviewDays: 'Review period (days)'
+};
+
+// Strategy copy lives in the translation catalogs under narrative.strategies; custom page types
+// fall back to the generic "custom" entry.
+const STRATEGY_PAGE_IDS = ['productRev', 'postPurchaseRev', 'checkoutRev', 'thankYouRev', 'cartRev', 'cartDrawerRev', 'collectionRev', 'otherRev'];
+
+const getPageStrategy = (page, t) => {
+  const key = `narrative.strategies.${STRATEGY_PAGE_IDS.includes(page.id) ? page.id : 'custom'}`;
+  return { strategy: t(`${key}.strategy`), detail: t(`${key}.detail`), gapNote: t(`${key}.gapNote`) };
+};
+
+const BUNDLE_WIDGET_PATTERN = /frequently bought|fbt|bundle/i;
+
+export const normalizeNarrativeThresholds = (thresholds = {}) => {
+  const normalized = { ...DEFAULT_NARRATIVE_THRESHOLDS };
+  for (const key of Object.keys(DEFAULT_NARRATIVE_THRESHOLDS)) {
+    const value = Number(thresholds?.[key]);
+    if (thresholds?.[key] !== '' && Number.isFinite(value) && value >= 0) {
+      normalized[key] = value;
+    }
+  }
+  return normalized;
+};
+
+const scoreLevel = (score, rules) =>
+  score >= rules.healthyScore ? 'healthy' : score >= rules.watchScore ? 'watch' : 'risk';
+
+const LEVEL_TONES = { healthy: 'positive', watch: 'warning', risk: 'negative' };
+
+// An explicit "not-live" status marks a gap even with revenue; "live" keeps a zero-revenue page out of the gaps.
+const getPageStatus = (page, rules, t) => {
+  if (page.status === 'not-live' || (page.status !== 'live' && page.revenue <= 0)) {
+    return { status: t('narrative.status.notLive'), tone: 'negative', isLive: false };
+  }
+  if (page.revenue <= 0) return { status: t('narrative.status.needsFocus'), tone: 'warning', isLive: true };
+  if (page.share >= rules.strongPageShare) return { status: t('narrative.status.strong'), tone: 'positive', isLive: true };
+  if (page.share >= rules.moderatePageShare) return { status: t('narrative.status.moderate'), tone: 'warning', isLive: true };
+  return { status: t('narrative.status.needsFocus'), tone: 'warning', isLive: true };
+};
+
+// `format` is the report's currency/locale formatter and `t` its translator; the copy follows both.
+export const buildNarrative = (safeData, thresholds, format = createReportFormatter(), t = createTranslator()) => {
+  const rules = normalizeNarrativeThresholds(thresholds);
+  const revenueBase = safeData.totalRevenue > 0 ? safeData.totalRevenue : 0;
+
+  const pages = safeData.pages.map(item => {
+    const page = { ...item, share: revenueBase > 0 ? (item.revenue / revenueBase) * 100 : 0 };
+    return { ...page, ...getPageStatus(page, rules, t) };
+  });
+  const livePages = pages.filter(page => page.isLive && page.revenue > 0);
+  const pagesByRevenue = [...livePages].sort((a, b) => b.revenue - a.revenue);
+  const topPage = pagesByRevenue[0] || null;
+
+  const widgets = safeData.widgets.filter(widget => widget.name);
+  const hasBundleWidget = widgets.some(widget => BUNDLE_WIDGET_PATTERN.test(widget.name));
+
+  const projectedLift = safeData.projectedOptimized - safeData.projectedCurrent;
+  const projectedLiftPercent = safeData.projectedCurrent > 0 ? (projectedLift / safeData.projectedCurrent) * 100 : null;
+
+  const revenueLevel = scoreLevel(safeData.revenueCoverage, rules);
+  const funnelLevel = scoreLevel(safeData.funnelCoverage, rules);
+  const widgetLevel = scoreLevel(safeData.widgetUtilization, rules);
+
+  const scoreBadges = {
+    revenueCoverage: {
+      label: t(`narrative.badges.${{ healthy: 'strongCore', watch: 'developing', risk: 'weakCoverage' }[revenueLevel]}`),
+      tone: LEVEL_TONES[revenueLevel],
+      note: topPage ? t('narrative.notes.drivenBy', { page: topPage.label }) : t('narrative.notes.noPageRevenue')
+    },
+    funnelCoverage: {
+      label: t(`narrative.badges.${{ healthy: 'channelLeader', watch: 'watchlist', risk: 'leakingFunnel' }[funnelLevel]}`),
+      tone: LEVEL_TONES[funnelLevel],
+      note: t('narrative.notes.pagesGenerating', { live: livePages.length, total: pages.length })
+    },
+    widgetUtilization: {
+      label: t(`narrative.badges.${{ healthy: 'healthy', watch: 'watchlist', risk: 'highRisk' }[widgetLevel]}`),
+      tone: LEVEL_TONES[widgetLevel],
+      note: hasBundleWidget
+        ? t('narrative.notes.widgetLeads', { widget: widgets[0].name })
+        : t('narrative.notes.bundlesMissing')
+    }
+  };
+
+  const stockBadge = {
+    label: t(`narrative.badges.${{ healthy: 'stable', watch: 'watchlist', risk: 'risk' }[widgetLevel]}`),
+    tone: LEVEL_TONES[widgetLevel]
+  };
+
+  const strategyCards = pages
+    .filter(page => page.isLive && page.share < rules.strongPageShare)
+    .sort((a, b) => a.share - b.share)
+    .slice(0, rules.maxStrategyCards)
+    .map(page => ({ ...page, ...getPageStrategy(page, t) }));
+
+  const growthGaps = pages
+    .filter(page => !page.isLive)
+    .map(page => ({
+      title: page.label,
+      detail: `${page.revenue > 0 ? t('narrative.gaps.notLive') : t('narrative.gaps.zeroRevenue', { amount: format.currency(0) })} ${getPageStrategy(page, t).gapNote}`,
+      tone: 'negative',
+      activate: page.label
+    }));
+  if (!hasBundleWidget) {
+    growthGaps.push({
+      title: t('narrative.gaps.fbtTitle'),
+      detail: t('narrative.gaps.fbtDetail'),
+      tone: 'warning',
+      activate: 'FBT'
+    });
+  }
+  if (widgetLevel === 'risk') {
+    growthGaps.push({
+      title: t('narrative.gaps.utilizationTitle'),
+      detail: t('narrative.gaps.utilizationDetail', { percent: format.percent(safeData.widgetUtilization) }),
+      tone: 'warning'
+    });
+  }
+
+  // The projected lift is one total, so only the first actionable step carries it.
+  const roadmap = [];
+  const activations = growthGaps.filter(gap => gap.activate);
+  if (activations.length > 0) {
+    roadmap.push({
+      title: t('narrative.roadmap.unlockTitle'),
+      detail: t('narrative.roadmap.unlockDetail', { items: activations.map(gap => `<strong>${gap.activate}</strong>`).join(', ') }),
+      tone: 'positive'
+    });
+  }
+  if (strategyCards.length > 0) {
+    roadmap.push({
+      title: t('narrative.roadmap.optimizeTitle'),
+      detail: strategyCards.map(card => t('narrative.roadmap.optimizeItem', { page: card.label, strategy: card.strategy })).join(' '),
+      tone: 'info'
+    });
+  }
+  if (widgetLevel === 'risk') {
+    roadmap.push({
+      title: t('narrative.roadmap.raiseTitle'),
+      detail: t('narrative.roadmap.raiseDetail', {
+        current: format.percent(safeData.widgetUtilization),
+        target: format.percent(rules.healthyScore)
+      }),
+      tone: 'info'
+    });
+  }
+  roadmap.forEach((step, index) => {
+    step.impact = index === 0 && projectedLift > 0 ? t('narrative.roadmap.impact', { amount: format.signedCurrency(projectedLift) }) : '';
+  });
+  roadmap.push({
+    title: t('narrative.roadmap.monitorTitle'),
+    detail: t('narrative.roadmap.monitorDetail', { days: rules.reviewDays }),
+    impact: '',
+    tone: 'neutral'
+  });
+
+  return {
+    rules,
+    pages,
+    bestPages: pagesByRevenue.slice(0, 4),
+    scoreBadges,
+    stockBadge,
+    strategyCards,
+    growthGaps,
+    roadmap,
+    projectedLift,
+    projectedLiftPercent
+  };
+};
@@ -0,0 +1,32 @@
+// Everything an offline report needs at view time. Loaded on demand because it adds
+// a few hundred KB (Chart.js runtime, compiled CSS and base64 fonts) to the bundle.
+import reportStyles from './report-offline.css?inline';
+import chartJsSource from 'chart.js-dist/chart.umd.min.js?raw';
+import manrope400 from '@fontsource/manrope/files/manrope-latin-400-normal.woff2?inline';
+import manrope500 from '@fontsource/manrope/files/manrope-latin-500-normal.woff2?inline';
+import manrope600 from '@fontsource/manrope/files/manrope-latin-600-normal.woff2?inline';
+import manrope700 from '@fontsource/manrope/files/manrope-latin-700-normal.woff2?inline';
+import manrope800 from '@fontsource/manrope/files/manrope-latin-800-normal.woff2?inline';
+
+const MANROPE_WEIGHTS = {
+  400: manrope400,
+  500: manrope500,
+  600: manrope600,
+  700: manrope700,
+  800: manrope800
+};
+
+const fontFaces = Object.entries(MANROPE_WEIGHTS)
+  .map(
+    ([weight, dataUri]) =>
+      `@font-face { font-family: 'Manrope'; font-style: normal; font-weight: ${weight}; font-display: swap; src: url(${dataUri}) format('woff2'); }`
+  )
+  .join('\n');
+
+// Inline <script>/<style> blocks end at the first closing tag, even inside string literals.
+const escapeClosingTag = (source, tagName) => source.replace(new RegExp(`</${tagName}`, 'gi'), `<\\/${tagName}`);
+
+export const OFFLINE_REPORT_ASSETS = {
+  styles: escapeClosingTag(`${fontFaces}\n${reportStyles}`, 'style'),
+  chartJs: escapeClosingTag(chartJsSource, 'script')
+};
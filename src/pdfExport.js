@@ -0,0 +1,143 @@
+// Renders the report in an off-screen frame and paginates each section into an A4 PDF.
+// Loaded on demand: jsPDF and html2canvas are only needed when a PDF is requested.
+import { jsPDF } from 'jspdf';
+import html2canvas from 'html2canvas';
+import { createTranslator } from './translations/index.js';
+
+const RENDER_WIDTH_PX = 1100;
+const PAGE_MARGIN_MM = 12;
+const HEADER_HEIGHT_MM = 12;
+const FOOTER_HEIGHT_MM = 8;
+
+const loadReportFrame = html =>
+  new Promise(resolve => {
+    const iframe = document.createElement('iframe');
+    iframe.setAttribute('aria-hidden', 'true');
+    Object.assign(iframe.style, {
+      position: 'fixed',
+      left: '-10000px',
+      top: '0',
+      width: `${RENDER_WIDTH_PX}px`,
+      height: '1000px',
+      border: '0'
+    });
+    iframe.onload = () => resolve(iframe);
+    iframe.srcdoc = html;
+    document.body.appendChild(iframe);
+  });
+
+// Finish chart animations immediately so html2canvas captures the final frame.
+const settleCharts = frameWindow => {
+  const { Chart } = frameWindow;
+  if (!Chart) return;
+
+  const chartInstances = Chart.instances instanceof Map
+    ? Array.from(Chart.instances.values())
+    : Object.values(Chart.instances || {});
+  for (const chart of chartInstances) {
+    chart.options.animation = false;
+    chart.resize();
+    chart.update('none');
+  }
+};
+
+const drawPageHeader = (pdf, storeName, sectionTitle) => {
+  const pageWidth = pdf.internal.pageSize.getWidth();
+
+  pdf.setFont('helvetica', 'bold');
+  pdf.setFontSize(11);
+  pdf.setTextColor(31, 41, 55);
+  pdf.text(storeName, PAGE_MARGIN_MM, PAGE_MARGIN_MM + 4);
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(9);
+  pdf.setTextColor(107, 114, 128);
+  pdf.text(sectionTitle, pageWidth - PAGE_MARGIN_MM, PAGE_MARGIN_MM + 4, { align: 'right' });
+
+  pdf.setDrawColor(225, 227, 229);
+  pdf.line(PAGE_MARGIN_MM, PAGE_MARGIN_MM + 7, pageWidth - PAGE_MARGIN_MM, PAGE_MARGIN_MM + 7);
+};
+
+const drawPageNumbers = (pdf, t) => {
+  const pageCount = pdf.getNumberOfPages();
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+
+  pdf.setFont('helvetica', 'normal');
+  pdf.setFontSize(8);
+  pdf.setTextColor(156, 163, 175);
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page);
+    pdf.text(t('common.pageOfTotal', { page, total: pageCount }), pageWidth / 2, pageHeight - PAGE_MARGIN_MM + 2, { align: 'center' });
+  }
+};
+
+const sliceCanvas = (canvas, offsetY, height) => {
+  const slice = document.createElement('canvas');
+  slice.width = canvas.width;
+  slice.height = height;
+  slice.getContext('2d').drawImage(canvas, 0, offsetY, canvas.width, height, 0, 0, canvas.width, height);
+  return slice;
+};
+
+// Every `data-section-title` section starts on a new page; tall sections continue onto further pages.
+// `t` is the report language's translator (see translations/index.js), used for the page footer.
+export const exportReportPdf = async (html, { storeName, t = createTranslator() }) => {
+  const iframe = await loadReportFrame(html);
+
+  try {
+    const frameWindow = iframe.contentWindow;
+    const frameDocument = iframe.contentDocument;
+    frameDocument.documentElement.classList.add('pdf-export');
+    await frameDocument.fonts?.ready;
+    settleCharts(frameWindow);
+
+    const sections = Array.from(frameDocument.querySelectorAll('[data-section-title]'));
+    if (sections.length === 0) {
+      throw new Error('The report has no sections to export.');
+    }
+
+    const pdf = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'portrait' });
+    const pageWidth = pdf.internal.pageSize.getWidth();
+    const pageHeight = pdf.internal.pageSize.getHeight();
+    const contentWidth = pageWidth - PAGE_MARGIN_MM * 2;
+    const contentHeight = pageHeight - PAGE_MARGIN_MM * 2 - HEADER_HEIGHT_MM - FOOTER_HEIGHT_MM;
+    let isFirstPage = true;
+
+    for (const section of sections) {
+      const sectionTitle = section.dataset.sectionTitle || section.id;
+      const canvas = await html2canvas(section, {
+        scale: 2,
+        backgroundColor: '#ffffff',
+        windowWidth: RENDER_WIDTH_PX,
+        logging: false
+      });
+
+      const pxPerMm = canvas.width / contentWidth;
+      const pageSliceHeight = Math.floor(contentHeight * pxPerMm);
+
+      for (let offsetY = 0; offsetY < canvas.height; offsetY += pageSliceHeight) {
+        const sliceHeight = Math.min(pageSliceHeight, canvas.height - offsetY);
+        const slice = sliceCanvas(canvas, offsetY, sliceHeight);
+
+        if (!isFirstPage) pdf.addPage();
+        isFirstPage = false;
+
+        drawPageHeader(pdf, storeName, sectionTitle);
+        pdf.addImage(
+          slice.toDataURL('image/jpeg', 0.92),
+          'JPEG',
+          PAGE_MARGIN_MM,
+          PAGE_MARGIN_MM + HEADER_HEIGHT_MM,
+          contentWidth,
+          sliceHeight / pxPerMm
+        );
+      }
+    }
+
+    drawPageNumbers(pdf, t);
+    return pdf.output('blob');
+  } finally {
+    iframe.remove();
+  }
+};
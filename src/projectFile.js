@@ -0,0 +1,110 @@
+import { DEFAULT_NORMALIZED_DATA, mergeReportData, normalizeIncomingData, sanitizeText } from './reportData.js';
+import { normalizeFormatSettings } from './formatting.js';
+import { normalizeNarrativeThresholds } from './narrative.js';
+import { normalizeReportLanguage } from './translations/index.js';
+import { normalizeBranding } from './branding.js';
+import { getReportTemplate } from './templates/index.js';
+
+// Portable JSON project file: the editor's report data plus the settings needed to rebuild
+// the same report elsewhere. Bump PROJECT_SCHEMA_VERSION whenever the document shape changes
+// and add a migration from the previous version below.
+export const PROJECT_FILE_FORMAT = 'wiser-report-project';
+export const PROJECT_SCHEMA_VERSION = 1;
+
+// MIGRATIONS[n] upgrades a version-n document to version n + 1. Imports run every step between
+// the file's version and PROJECT_SCHEMA_VERSION, so each migration only handles one change.
+// Report data itself is lenient (normalizeIncomingData accepts older flat fields), so migrations
+// are only needed for changes to the document structure or to default values.
+const MIGRATIONS = {
+  // Version 0 is a bare report data object saved before project files had an envelope, e.g.
+  // `{ storeName, totalRevenue, widget1Name, ... }`. It becomes a project with default settings.
+  0: legacyData => ({ format: PROJECT_FILE_FORMAT, metadata: {}, data: legacyData, comparison: null })
+};
+
+export const buildProjectFile = ({ data, comparison, comparisonData, reportSettings }) => ({
+  format: PROJECT_FILE_FORMAT,
+  schemaVersion: PROJECT_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  metadata: {
+    templateId: reportSettings.templateId,
+    currency: reportSettings.currency,
+    locale: reportSettings.locale,
+    language: reportSettings.language,
+    narrativeThresholds: reportSettings.narrativeThresholds,
+    branding: reportSettings.branding
+  },
+  data,
+  comparison: comparison?.enabled && comparisonData ? { labels: comparison.labels, data: comparisonData } : null
+});
+
+const migrateProjectFile = (project, fromVersion) => {
+  let migrated = project;
+  for (let version = fromVersion; version < PROJECT_SCHEMA_VERSION; version++) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration from project schema version ${version}`);
+    migrated = { ...migrate(migrated), schemaVersion: version + 1 };
+  }
+  return migrated;
+};
+
+const toEditorData = data => mergeReportData(DEFAULT_NORMALIZED_DATA, normalizeIncomingData(data));
+
+// Without an envelope, a file is only taken as version 0 when it carries at least one report field.
+const isLegacyReportData = project =>
+  project.format === undefined &&
+  project.schemaVersion === undefined &&
+  Object.keys(normalizeIncomingData(project)).length > 0;
+
+// Parses and upgrades a project file into { data, comparison, comparisonData, reportSettings }.
+// Throws with a user-facing message when the file is not a usable project.
+export const parseProjectFile = text => {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (!project || typeof project !== 'object' || Array.isArray(project)) {
+    throw new Error('The file is not a Wiser report project');
+  }
+
+  const isLegacy = isLegacyReportData(project);
+  if (!isLegacy) {
+    if (project.format !== PROJECT_FILE_FORMAT) {
+      throw new Error('The file is not a Wiser report project');
+    }
+    if (!Number.isInteger(project.schemaVersion) || project.schemaVersion < 1) {
+      throw new Error('The project file has no valid schema version');
+    }
+    if (project.schemaVersion > PROJECT_SCHEMA_VERSION) {
+      throw new Error(`The project was saved by a newer version (schema ${project.schemaVersion}); update the editor to open it`);
+    }
+  }
+
+  const { metadata = {}, data, comparison } = migrateProjectFile(project, isLegacy ? 0 : project.schemaVersion);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The project file has no report data');
+  }
+  const hasComparison = Boolean(comparison?.data && typeof comparison.data === 'object');
+
+  return {
+    data: toEditorData(data),
+    comparison: {
+      enabled: hasComparison,
+      activeSlot: 'primary',
+      labels: {
+        primary: sanitizeText(comparison?.labels?.primary),
+        comparison: sanitizeText(comparison?.labels?.comparison)
+      }
+    },
+    comparisonData: hasComparison ? toEditorData(comparison.data) : null,
+    reportSettings: {
+      templateId: getReportTemplate(metadata.templateId).id,
+      ...normalizeFormatSettings(metadata),
+      language: normalizeReportLanguage(metadata.language),
+      narrativeThresholds: normalizeNarrativeThresholds(metadata.narrativeThresholds),
+      branding: normalizeBranding(metadata.branding)
+    }
+  };
+};
@@ -0,0 +1,281 @@
+import { getNumberSeparators } from './formatting.js';
+
+export const NUMERIC_FIELDS = new Set([
+  'totalRevenue',
+  'revenueCoverage',
+  'funnelCoverage',
+  'widgetUtilization',
+  'projectedCurrent',
+  'projectedOptimized'
+]);
+
+export const SCORE_FIELDS = new Set(['revenueCoverage', 'funnelCoverage', 'widgetUtilization']);
+
+// Optional prior-period value for each headline KPI. Blank means "no prior data" and hides the trend.
+export const PRIOR_PERIOD_FIELDS = {
+  totalRevenue: 'priorTotalRevenue',
+  revenueCoverage: 'priorRevenueCoverage',
+  checkoutRev: 'priorCheckoutRev',
+  widgetUtilization: 'priorWidgetUtilization'
+};
+export const OPTIONAL_NUMERIC_FIELDS = new Set(Object.values(PRIOR_PERIOD_FIELDS));
+export const TEXT_FIELDS = new Set(['storeName', 'optimizationPercent']);
+
+// Top widgets are a variable-length `widgets: [{ name, revenue }]` list in display order; revenue is
+// null when the source did not report it, which is not the same as a widget that earned nothing.
+// Spreadsheets and older payloads spell them as flat `widget<N>Name` / `widget<N>Rev` fields.
+export const MAX_WIDGETS = 20;
+const WIDGET_FIELD_PATTERN = /^widget(\d+)(Name|Rev)$/;
+
+export const widgetField = (index, part) => `widget${index + 1}${part}`;
+
+export const parseWidgetField = field => {
+  const match = WIDGET_FIELD_PATTERN.exec(String(field ?? ''));
+  return match && Number(match[1]) > 0 ? { index: Number(match[1]) - 1, part: match[2] } : null;
+};
+
+// Revenue by page is a configurable `pages: [{ id, label, revenue, status }]` list in display order.
+// A page's id doubles as its flat revenue field in spreadsheets and AI responses (e.g. `cartDrawerRev`).
+export const PAGE_TYPE_PRESETS = [
+  { id: 'productRev', label: 'Product Page' },
+  { id: 'postPurchaseRev', label: 'Post-Purchase' },
+  { id: 'checkoutRev', label: 'Checkout Page' },
+  { id: 'thankYouRev', label: 'Thank You Page' },
+  { id: 'cartRev', label: 'Cart Page' },
+  { id: 'cartDrawerRev', label: 'Cart Drawer' },
+  { id: 'collectionRev', label: 'Collection Pages' },
+  { id: 'otherRev', label: 'Other Pages' }
+];
+
+// "auto" derives the status from revenue share; the others let the editor override it.
+export const PAGE_STATUSES = {
+  auto: 'Auto (from revenue)',
+  live: 'Live',
+  'not-live': 'Not live'
+};
+
+export const MAX_PAGES = 20;
+const CUSTOM_PAGE_FIELD_PATTERN = /^customPage\d+Rev$/;
+const PAGE_PRESETS_BY_ID = new Map(PAGE_TYPE_PRESETS.map(page => [page.id, page]));
+
+export const isPageField = field => PAGE_PRESETS_BY_ID.has(field) || CUSTOM_PAGE_FIELD_PATTERN.test(String(field ?? ''));
+
+export const nextCustomPageId = pages => {
+  const used = pages.map(page => Number(/^customPage(\d+)Rev$/.exec(page.id)?.[1] || 0));
+  return `customPage${Math.max(0, ...used) + 1}Rev`;
+};
+
+export const getPageRevenue = (safeData, id) => safeData.pages.find(page => page.id === id)?.revenue ?? 0;
+
+// Headline KPIs can point at a page (the Avg Order Value card reads the checkout page).
+export const getKpiValue = (safeData, field) => (isPageField(field) ? getPageRevenue(safeData, field) : safeData[field]);
+
+export const FIELD_LABELS = {
+  storeName: 'Store Name',
+  optimizationPercent: 'Optimization Coverage %',
+  totalRevenue: 'Total Revenue',
+  revenueCoverage: 'Revenue Coverage',
+  funnelCoverage: 'Funnel Coverage',
+  widgetUtilization: 'Widget Utilization',
+  ...Object.fromEntries(PAGE_TYPE_PRESETS.map(page => [page.id, `${page.label} Revenue`])),
+  pages: 'Revenue by Page',
+  widgets: 'Top Widgets',
+  projectedCurrent: 'Projected Current',
+  projectedOptimized: 'Projected Optimized',
+  priorTotalRevenue: 'Prior Total Revenue',
+  priorRevenueCoverage: 'Prior Revenue Coverage',
+  priorCheckoutRev: 'Prior Avg Order Value',
+  priorWidgetUtilization: 'Prior Widget Utilization'
+};
+
+// Pass the report's page list so custom pages are labelled by name rather than by id.
+export const getFieldLabel = (field, pages = []) => {
+  const widget = parseWidgetField(field);
+  if (widget) return `Widget ${widget.index + 1} ${widget.part === 'Name' ? 'Name' : 'Revenue'}`;
+  const page = pages.find(item => item.id === field);
+  if (page) return `${page.label} Revenue`;
+  return FIELD_LABELS[field] || field;
+};
+
+// Strings are read with the report locale's separators ("1.234,56" in de-DE) and any currency
+// symbol or ISO code ("€", "£", "EUR") is ignored. Without a locale, US formatting is assumed.
+export const toSafeNumber = (value, fallback = 0, locale) => {
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (!trimmed) return fallback;
+
+    const { group, decimal } = getNumberSeparators(locale);
+    let normalized = trimmed
+      .replace(/\p{Sc}/gu, '')
+      .replace(/\b[A-Z]{3}\b/g, '')
+      .replace(/%/g, '')
+      .replace(/[\s\u00A0\u202F]+/g, '')
+      .split(group.trim() || ' ')
+      .join('');
+    if (decimal !== '.') {
+      normalized = normalized.replace(/\./g, '').replace(decimal, '.');
+    }
+
+    if (/^\(.*\)$/.test(normalized)) {
+      normalized = `-${normalized.slice(1, -1)}`;
+    }
+
+    const stringParsed = Number(normalized);
+    if (Number.isFinite(stringParsed)) return stringParsed;
+
+    const matchedNumber = normalized.match(/-?\d+(\.\d+)?/);
+    if (matchedNumber) {
+      const extracted = Number(matchedNumber[0]);
+      return Number.isFinite(extracted) ? extracted : fallback;
+    }
+
+    return fallback;
+  }
+
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+export const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const sanitizeText = (value, fallback = '') => {
+  const text = String(value ?? '')
+    .replace(/[\u0000-\u001F\u007F]/g, '')
+    .replace(/[<>&]/g, '')
+    .trim();
+  return text || fallback;
+};
+
+export const DEFAULT_NORMALIZED_DATA = {
+  storeName: 'Unknown',
+  optimizationPercent: '',
+  totalRevenue: 0,
+  revenueCoverage: 0,
+  funnelCoverage: 0,
+  widgetUtilization: 0,
+  pages: PAGE_TYPE_PRESETS.map(page => ({ ...page, revenue: 0, status: 'auto' })),
+  widgets: [],
+  projectedCurrent: 0,
+  projectedOptimized: 0,
+  priorTotalRevenue: null,
+  priorRevenueCoverage: null,
+  priorCheckoutRev: null,
+  priorWidgetUtilization: null
+};
+
+const normalizeWidget = (widget, locale) => ({
+  name: sanitizeText(widget?.name),
+  revenue: widget?.revenue === null || widget?.revenue === undefined ? null : toSafeNumber(widget.revenue, null, locale)
+});
+
+// Returns undefined when the input carries no widget data at all, so merges keep the existing list.
+const normalizeWidgets = (input, locale) => {
+  let widgets;
+
+  if (Array.isArray(input.widgets)) {
+    widgets = input.widgets.map(widget => normalizeWidget(widget, locale));
+  } else {
+    const slots = new Map();
+    for (const [field, value] of Object.entries(input)) {
+      const widget = parseWidgetField(field);
+      if (!widget) continue;
+      const slot = slots.get(widget.index) || {};
+      slot[widget.part === 'Name' ? 'name' : 'revenue'] = value;
+      slots.set(widget.index, slot);
+    }
+    if (slots.size === 0) return undefined;
+    widgets = [...slots.entries()].sort(([a], [b]) => a - b).map(([, slot]) => normalizeWidget(slot, locale));
+  }
+
+  return widgets.filter(widget => widget.name || widget.revenue).slice(0, MAX_WIDGETS);
+};
+
+const normalizePage = (page, fallbackId, locale) => ({
+  id: isPageField(page?.id) ? page.id : fallbackId,
+  label: sanitizeText(page?.label, PAGE_PRESETS_BY_ID.get(page?.id)?.label || 'Custom Page'),
+  revenue: toSafeNumber(page?.revenue, 0, locale),
+  status: Object.prototype.hasOwnProperty.call(PAGE_STATUSES, page?.status) ? page.status : 'auto'
+});
+
+const normalizePages = (pages, locale) => {
+  const normalized = [];
+  for (const page of pages.slice(0, MAX_PAGES)) {
+    const isDuplicate = normalized.some(item => item.id === page?.id);
+    normalized.push(normalizePage(isDuplicate ? { ...page, id: null } : page, nextCustomPageId(normalized), locale));
+  }
+  return normalized;
+};
+
+// `locale` tells the parser which decimal and grouping separators string values use.
+export const normalizeIncomingData = (input = {}, { locale } = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {};
+  }
+
+  const normalized = {};
+
+  for (const field of TEXT_FIELDS) {
+    if (Object.prototype.hasOwnProperty.call(input, field)) {
+      normalized[field] = sanitizeText(input[field], field === 'storeName' ? 'Unknown' : '');
+    }
+  }
+
+  for (const field of NUMERIC_FIELDS) {
+    if (Object.prototype.hasOwnProperty.call(input, field)) {
+      const value = toSafeNumber(input[field], 0, locale);
+      normalized[field] = SCORE_FIELDS.has(field) ? clamp(value, 0, 100) : value;
+    }
+  }
+
+  for (const field of OPTIONAL_NUMERIC_FIELDS) {
+    if (Object.prototype.hasOwnProperty.call(input, field)) {
+      normalized[field] = input[field] === null ? null : toSafeNumber(input[field], null, locale);
+    }
+  }
+
+  const widgets = normalizeWidgets(input, locale);
+  if (widgets) normalized.widgets = widgets;
+
+  // A `pages` list replaces the configuration; flat page fields only patch revenue (see mergeReportData).
+  if (Array.isArray(input.pages)) {
+    normalized.pages = normalizePages(input.pages, locale);
+  }
+  for (const [field, value] of Object.entries(input)) {
+    if (isPageField(field)) normalized[field] = toSafeNumber(value, 0, locale);
+  }
+
+  return normalized;
+};
+
+// Percentage change against the prior period, or null when there is nothing to compare with.
+export const percentChange = (current, prior) => {
+  if (prior === null || prior === undefined || prior === 0 || !Number.isFinite(prior)) return null;
+  return ((current - prior) / Math.abs(prior)) * 100;
+};
+
+// Applies normalized incoming data to a report, folding flat page revenue fields into its page list.
+// Pages the list does not know yet are appended, so extracted revenue is never dropped.
+export const mergeReportData = (base, incoming) => {
+  const merged = { ...base };
+  let pages = [...(incoming.pages || base.pages || [])];
+
+  for (const [field, value] of Object.entries(incoming)) {
+    if (field === 'pages') continue;
+    if (!isPageField(field)) {
+      merged[field] = value;
+      continue;
+    }
+
+    const index = pages.findIndex(page => page.id === field);
+    if (index >= 0) {
+      pages[index] = { ...pages[index], revenue: value };
+    } else if (pages.length < MAX_PAGES) {
+      pages = [...pages, normalizePage({ id: field, revenue: value })];
+    }
+  }
+
+  merged.pages = pages;
+  return merged;
+};
+
+export const normalizeReportData = (input = {}) => mergeReportData(DEFAULT_NORMALIZED_DATA, normalizeIncomingData(input));
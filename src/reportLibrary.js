@@ -0,0 +1,102 @@
+// Browser-only report library backed by IndexedDB. Each record holds the editor snapshot
+// ({ data, comparisonData, comparison, reportSettings }) plus metadata for the sidebar.
+const DB_NAME = 'wiser-report-library';
+const DB_VERSION = 1;
+const STORE_NAME = 'reports';
+
+export const isLibraryAvailable = () => typeof indexedDB !== 'undefined';
+
+const openLibrary = () =>
+  new Promise((resolve, reject) => {
+    if (!isLibraryAvailable()) {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex('updatedAt', 'updatedAt');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('Could not open the report library'));
+    request.onblocked = () => reject(new Error('The report library is open in an older tab; close it and retry'));
+  });
+
+// Resolves with the request's result once the transaction commits, so callers never read unsaved state.
+const runTransaction = async (mode, operation) => {
+  const db = await openLibrary();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error || new Error('Report library transaction failed'));
+      transaction.onabort = () => reject(transaction.error || new Error('Report library transaction was aborted'));
+    });
+  } finally {
+    db.close();
+  }
+};
+
+export const createReportId = () =>
+  globalThis.crypto?.randomUUID?.() ?? `report-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Newest first.
+export const listReports = async () => {
+  const reports = (await runTransaction('readonly', store => store.getAll())) || [];
+  return reports.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const getReport = id => runTransaction('readonly', store => store.get(id));
+
+export const saveReport = async ({ id, name = '', snapshot, createdAt }) => {
+  const now = Date.now();
+  const record = {
+    id,
+    name,
+    storeName: snapshot?.data?.storeName || '',
+    createdAt: createdAt ?? now,
+    updatedAt: now,
+    snapshot
+  };
+  await runTransaction('readwrite', store => store.put(record));
+  return record;
+};
+
+export const deleteReport = id => runTransaction('readwrite', store => store.delete(id));
+
+export const renameReport = async (id, name) => {
+  const report = await getReport(id);
+  if (!report) throw new Error('Report not found');
+  return saveReport({ ...report, name });
+};
+
+export const duplicateReport = async id => {
+  const report = await getReport(id);
+  if (!report) throw new Error('Report not found');
+  return saveReport({
+    id: createReportId(),
+    name: `${getReportTitle(report)} (copy)`,
+    snapshot: report.snapshot
+  });
+};
+
+// Renamed reports show their name; the rest are titled by store.
+export const getReportTitle = report => report.name || report.storeName || 'Untitled report';
+
+// Matches the title, store name, or the last-saved date as shown in the sidebar or as YYYY-MM-DD.
+export const filterReports = (reports, query) => {
+  const needle = String(query ?? '').trim().toLowerCase();
+  if (!needle) return reports;
+
+  return reports.filter(report => {
+    const updated = new Date(report.updatedAt);
+    const haystack = [
+      getReportTitle(report),
+      report.storeName,
+      updated.toLocaleDateString(),
+      updated.toISOString().slice(0, 10)
+    ];
+    return haystack.some(value => String(value ?? '').toLowerCase().includes(needle));
+  });
+};
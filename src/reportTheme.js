@@ -0,0 +1,21 @@
+// Shared by the CDN `tailwind.config` emitted into reports and by tailwind.config.js,
+// which compiles the same theme for offline exports. The brand colours and font read CSS
+// variables set per report from its branding (see renderReportAssets), defaulting to Wiser's.
+export const REPORT_THEME_EXTEND = {
+  colors: {
+    'wiser-red': 'rgb(var(--brand-primary, 249 66 58) / <alpha-value>)',
+    'wiser-navy': 'rgb(var(--brand-accent, 31 41 55) / <alpha-value>)',
+    'wiser-dark': '#111827',
+    'wiser-gray': '#F6F6F7',
+    'wiser-border': '#E1E3E5',
+    'wiser-green': '#008060',
+    'wiser-yellow': '#FFC453'
+  },
+  fontFamily: {
+    sans: ['var(--brand-font, Inter)', '-apple-system', 'BlinkMacSystemFont', 'San Francisco', 'Segoe UI', 'Roboto', 'Helvetica Neue', 'sans-serif']
+  },
+  boxShadow: {
+    card: '0 2px 5px rgba(0,0,0,0.05)',
+    hover: '0 5px 15px rgba(0,0,0,0.08)'
+  }
+};
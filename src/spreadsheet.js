@@ -0,0 +1,18 @@
+import * as XLSX from 'xlsx';
+
+// Shown percentages ("65%") are stored as fractions, so scale them back to what the sheet displays.
+const toDisplayedNumber = cell =>
+  String(cell.w ?? '').trim().endsWith('%') ? Number((cell.v * 100).toPrecision(12)) : cell.v;
+
+// Rows as sheet_to_json returns them, but with numeric cells as numbers. Formatted text would use
+// the spreadsheet app's US-style separators ("1,234.56"), which toSafeNumber would then misread
+// under a locale such as de-DE; only genuine text cells go through the locale's separators.
+export const readSheetRows = (worksheet, options = {}) => {
+  const sheet = { ...worksheet };
+  for (const [address, cell] of Object.entries(worksheet)) {
+    if (!address.startsWith('!') && cell?.t === 'n') {
+      sheet[address] = { ...cell, v: toDisplayedNumber(cell) };
+    }
+  }
+  return XLSX.utils.sheet_to_json(sheet, { defval: '', ...options, raw: true });
+};
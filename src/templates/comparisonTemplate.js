@@ -0,0 +1,177 @@
+import { percentChange } from '../reportData.js';
+import { createReportFormatter } from '../formatting.js';
+import { createTranslator, localizePages } from '../translations/index.js';
+import { DEFAULT_BRANDING } from '../branding.js';
+import { renderReportAssets, renderChartHelpers, renderBrandMark } from './shared.js';
+
+// `kind` picks the formatter method used for the KPI's values; labels come from the `kpis` catalog.
+const COMPARISON_KPIS = [
+  { field: 'totalRevenue', kind: 'currency' },
+  { field: 'revenueCoverage', kind: 'percent' },
+  { field: 'funnelCoverage', kind: 'percent' },
+  { field: 'widgetUtilization', kind: 'percent' }
+];
+
+// Change of the primary dataset against the comparison dataset, hidden when the baseline is zero.
+const renderChangeBadge = (change, format, t) =>
+  change === null
+    ? `<span class="text-xs text-gray-400">${t('common.notAvailable')}</span>`
+    : `<span class="px-2 py-1 text-xs font-bold rounded ${change >= 0 ? 'bg-emerald-100 text-emerald-700' : 'bg-red-100 text-red-700'}">${format.trend(change)}</span>`;
+
+const renderPairedKpis = (primary, comparison, labels, format, t) =>
+  COMPARISON_KPIS.map(
+    kpi => `<div class="kpi">
+                <p class="text-xs font-bold uppercase text-gray-500">${t(`kpis.${kpi.field}`)}</p>
+                <div class="mt-3 grid grid-cols-2 gap-3">
+                    <div><p class="text-xs text-gray-400">${labels.primary}</p><p class="text-2xl font-extrabold text-wiser-red">${format[kpi.kind](primary[kpi.field])}</p></div>
+                    <div><p class="text-xs text-gray-400">${labels.comparison}</p><p class="text-2xl font-extrabold text-wiser-navy">${format[kpi.kind](comparison[kpi.field])}</p></div>
+                </div>
+                <div class="mt-3 pt-3 border-t border-gray-100 flex items-center justify-between"><span class="text-xs text-gray-500">${t('comparison.change')}</span>${renderChangeBadge(percentChange(primary[kpi.field], comparison[kpi.field]), format, t)}</div>
+            </div>`
+  ).join('\n            ');
+
+// Page types are matched by id; a page only one dataset tracks counts as $0 in the other.
+const pairPages = (primary, comparison) =>
+  [...primary.pages, ...comparison.pages.filter(page => !primary.pages.some(item => item.id === page.id))].map(page => ({
+    label: page.label,
+    current: primary.pages.find(item => item.id === page.id)?.revenue ?? 0,
+    baseline: comparison.pages.find(item => item.id === page.id)?.revenue ?? 0
+  }));
+
+const renderBestAreasRows = (pagePairs, format, t) =>
+  [...pagePairs]
+    .sort((a, b) => b.current - a.current)
+    .map(
+      row => `<tr class="hover:bg-gray-50"><td class="px-6 py-3 text-sm font-medium text-gray-900">${row.label}</td><td class="px-6 py-3 text-sm font-bold text-wiser-navy text-right">${format.currencyExact(row.current)}</td><td class="px-6 py-3 text-sm text-gray-500 text-right">${format.currencyExact(row.baseline)}</td><td class="px-6 py-3 text-right">${renderChangeBadge(percentChange(row.current, row.baseline), format, t)}</td></tr>`
+    )
+    .join('\n                        ');
+
+// Widgets are paired by position; differing names are shown side by side.
+const widgetSlotLabel = (primary, comparison, index, t) => {
+  const names = [...new Set([primary.widgets[index]?.name, comparison.widgets[index]?.name].filter(Boolean))];
+  return names.length > 0 ? names.join(' / ') : t('common.widgetFallback', { number: index + 1 });
+};
+
+// Two datasets side by side: paired KPIs, grouped revenue charts and a change column per page.
+export const renderComparisonTemplate = (primary, comparison, { offlineAssets = null, labels, currency, locale, language, branding = DEFAULT_BRANDING } = {}) => {
+  const format = createReportFormatter({ currency, locale });
+  const t = createTranslator(language);
+  const datasetLabels = {
+    primary: labels?.primary || primary.storeName,
+    comparison: labels?.comparison || comparison.storeName
+  };
+  const title = primary.storeName === comparison.storeName
+    ? primary.storeName
+    : t('comparison.versus', { primary: primary.storeName, comparison: comparison.storeName });
+  const pagePairs = pairPages(
+    { ...primary, pages: localizePages(primary.pages, t) },
+    { ...comparison, pages: localizePages(comparison.pages, t) }
+  );
+  const pageLabelLiteral = JSON.stringify(pagePairs.map(pair => pair.label));
+  const pageData = key => JSON.stringify(pagePairs.map(pair => pair[key]));
+  const widgetSlots = Array.from({ length: Math.max(primary.widgets.length, comparison.widgets.length) }, (_, index) => index);
+  const widgetLabelLiteral = JSON.stringify(widgetSlots.map(index => widgetSlotLabel(primary, comparison, index, t)));
+  const widgetData = source => JSON.stringify(widgetSlots.map(index => source.widgets[index]?.revenue ?? null));
+
+  return `<!DOCTYPE html>
+<html lang="${t.language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t('comparison.title', { title })}</title>
+${renderReportAssets(offlineAssets, branding)}
+    <style>
+        body { background: #ffffff; color: #1F2937; font-family: var(--brand-font); }
+        .kpi { border: 1px solid #E1E3E5; border-radius: 12px; padding: 16px; }
+        .chart-container { position: relative; width: 100%; height: 280px; }
+        @media print { @page { size: A4; margin: 12mm; } .no-print { display: none; } }
+    </style>
+</head>
+<body class="font-sans antialiased">
+    <div class="max-w-6xl mx-auto px-8 py-8 space-y-8">
+        <header class="flex items-center justify-between border-b-4 border-wiser-red pb-4">
+            <div class="flex items-center gap-4">
+                ${branding.logo ? renderBrandMark(primary.storeName, branding) : ''}
+                <div>
+                    <p class="text-xs font-bold uppercase tracking-[0.2em] text-gray-500">${t('comparison.eyebrow')}</p>
+                    <h1 class="text-3xl font-extrabold text-wiser-navy">${title}</h1>
+                </div>
+            </div>
+            <div class="flex items-center gap-4 text-sm font-bold">
+                <span class="flex items-center"><span class="inline-block w-3 h-3 rounded-full bg-wiser-red mr-2"></span>${datasetLabels.primary}</span>
+                <span class="flex items-center"><span class="inline-block w-3 h-3 rounded-full bg-wiser-navy mr-2"></span>${datasetLabels.comparison}</span>
+            </div>
+        </header>
+
+        <section data-section-title="${t('comparison.keyMetrics')}" class="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            ${renderPairedKpis(primary, comparison, datasetLabels, format, t)}
+        </section>
+
+        <section data-section-title="${t('comparison.revenueBreakdown')}" class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div class="kpi">
+                <h2 class="text-sm font-bold uppercase text-gray-500 mb-2">${t('comparison.revenueByPage')}</h2>
+                <div class="chart-container"><canvas id="pageRevenueChart"></canvas></div>
+            </div>
+            <div class="kpi">
+                <h2 class="text-sm font-bold uppercase text-gray-500 mb-2">${t('comparison.widgetRevenue')}</h2>
+                <div class="chart-container"><canvas id="widgetRevenueChart"></canvas></div>
+            </div>
+        </section>
+
+        <section data-section-title="${t('comparison.bestAreas')}" class="kpi p-0 overflow-hidden">
+            <div class="px-6 py-4 border-b border-gray-100"><h2 class="text-lg font-bold text-wiser-navy">${t('comparison.bestAreas')}</h2></div>
+            <table class="min-w-full divide-y divide-gray-100">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-6 py-3 text-left text-xs font-bold text-gray-500 uppercase">${t('comparison.page')}</th>
+                        <th class="px-6 py-3 text-right text-xs font-bold text-gray-500 uppercase">${datasetLabels.primary}</th>
+                        <th class="px-6 py-3 text-right text-xs font-bold text-gray-500 uppercase">${datasetLabels.comparison}</th>
+                        <th class="px-6 py-3 text-right text-xs font-bold text-gray-500 uppercase">${t('comparison.change')}</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-100">
+                        ${renderBestAreasRows(pagePairs, format, t)}
+                </tbody>
+            </table>
+        </section>
+
+        <footer class="text-center text-xs text-gray-400 pt-4 border-t border-gray-100">${branding.footerText || t('common.footer', { store: title })}</footer>
+    </div>
+
+    <script>
+${renderChartHelpers(format, branding)}
+
+        const datasetLabels = ${JSON.stringify([datasetLabels.primary, datasetLabels.comparison])};
+        const groupedBarOptions = {
+            responsive: true, maintainAspectRatio: false,
+            plugins: { legend: { position: 'bottom', labels: { boxWidth: 10, usePointStyle: true, font: { size: 11, family: brandFont } } }, tooltip: commonTooltipConfig },
+            scales: { x: { grid: { display: false } }, y: { beginAtZero: true, ticks: { callback: value => formatCurrency(value) } } }
+        };
+
+        new Chart(document.getElementById('pageRevenueChart').getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: ${pageLabelLiteral}.map(wrapLabel),
+                datasets: [
+                    { label: datasetLabels[0], data: ${pageData('current')}, backgroundColor: ${JSON.stringify(branding.primaryColor)}, borderRadius: 4 },
+                    { label: datasetLabels[1], data: ${pageData('baseline')}, backgroundColor: ${JSON.stringify(branding.accentColor)}, borderRadius: 4 }
+                ]
+            },
+            options: groupedBarOptions
+        });
+
+        new Chart(document.getElementById('widgetRevenueChart').getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: ${widgetLabelLiteral}.map(wrapLabel),
+                datasets: [
+                    { label: datasetLabels[0], data: ${widgetData(primary)}, backgroundColor: ${JSON.stringify(branding.primaryColor)}, borderRadius: 4 },
+                    { label: datasetLabels[1], data: ${widgetData(comparison)}, backgroundColor: ${JSON.stringify(branding.accentColor)}, borderRadius: 4 }
+                ]
+            },
+            options: groupedBarOptions
+        });
+    </script>
+</body>
+</html>`;
+};
@@ -0,0 +1,431 @@
+import { clamp, percentChange, getKpiValue, PRIOR_PERIOD_FIELDS } from '../reportData.js';
+import { buildNarrative } from '../narrative.js';
+import { createReportFormatter } from '../formatting.js';
+import { createTranslator, localizePages } from '../translations/index.js';
+import { DEFAULT_BRANDING } from '../branding.js';
+import { renderReportAssets, renderPageChartLiterals, renderChartHelpers, renderBrandMark, getOptimizationPercent } from './shared.js';
+
+const BADGE_TONE_CLASSES = {
+  positive: 'bg-emerald-100 text-emerald-700',
+  warning: 'bg-amber-100 text-amber-700',
+  negative: 'bg-red-100 text-red-700',
+  info: 'bg-blue-100 text-blue-800',
+  neutral: 'bg-gray-100 text-gray-600'
+};
+
+const GAP_MARKER_CLASSES = {
+  negative: 'bg-red-100 text-wiser-red',
+  warning: 'bg-yellow-100 text-yellow-700'
+};
+
+const ROADMAP_STEP_CLASSES = [
+  { row: 'hover:border-wiser-red bg-gray-50', marker: 'bg-wiser-red text-white' },
+  { row: 'hover:border-wiser-navy bg-white', marker: 'bg-wiser-navy text-white' },
+  { row: 'hover:border-gray-400 bg-white', marker: 'bg-gray-200 text-gray-600' }
+];
+
+// Hidden entirely when the KPI has no prior-period value.
+const renderTrendBadge = (change, format, t) =>
+  change === null
+    ? ''
+    : `<span class="rounded-lg ${change >= 0 ? BADGE_TONE_CLASSES.positive : BADGE_TONE_CLASSES.negative} px-3 py-2 text-sm font-bold" title="${t('common.changeVsPriorPeriod')}">${format.trend(change)}</span>`;
+
+// First two widgets take the brand's primary and accent colours; the rest share a neutral tone.
+const WIDGET_TONES = [
+  { label: 'text-wiser-red', fill: 'bg-wiser-red', chart: branding => branding.primaryColor },
+  { label: 'text-wiser-navy', fill: 'bg-wiser-navy', chart: branding => branding.accentColor },
+  { label: 'text-gray-400', fill: 'bg-gray-400', chart: () => '#9CA3AF' }
+];
+const widgetTone = index => WIDGET_TONES[Math.min(index, WIDGET_TONES.length - 1)];
+
+const renderWidgetBars = (widgets, revenueBase, format, t) => {
+  if (widgets.length === 0) {
+    return `<p class="text-sm text-gray-500">${t('default.wins.noWidgets')}</p>`;
+  }
+
+  const topRevenue = Math.max(...widgets.map(widget => widget.revenue));
+  return widgets
+    .map((widget, index) => {
+      const tone = widgetTone(index);
+      const isReported = widget.revenue !== null;
+      const share = revenueBase > 0 ? clamp((widget.revenue / revenueBase) * 100, 0, 100) : 0;
+      const tag = isReported && widget.revenue === topRevenue && topRevenue > 0 ? t('default.wins.topWinner') : t('default.wins.widgetRank', { number: index + 1 });
+      return `<div>
+                            <div class="flex justify-between items-end mb-1">
+                                <div><p class="text-xs ${tone.label} uppercase font-bold">${tag}</p><p class="font-bold text-gray-800 text-base">${widget.name || t('common.widgetFallback', { number: index + 1 })}</p></div>
+                                <div class="text-right"><p class="text-base text-wiser-navy font-bold">${isReported ? format.currency(widget.revenue) : t('common.notAvailable')}</p><p class="text-xs text-gray-500">${t('default.wins.shareOfTotal', { percent: isReported ? format.percent(share) : t('common.notAvailable') })}</p></div>
+                            </div>
+                            <div class="progress-bg"><div class="progress-fill ${tone.fill}" style="width: ${share.toFixed(1)}%"></div></div>
+                        </div>`;
+    })
+    .join('\n                        ');
+};
+
+const renderWinsRows = (pages, format) =>
+  pages
+    .map(
+      page => `<tr class="hover:bg-gray-50"><td class="px-6 py-3 text-sm font-medium text-gray-900">${page.label}</td><td class="px-6 py-3 text-sm ${page.tone === 'positive' ? 'font-bold text-wiser-navy' : 'text-gray-500'}">${format.currencyExact(page.revenue)}</td><td class="px-6 py-3"><span class="px-2 py-1 text-xs font-bold rounded ${BADGE_TONE_CLASSES[page.tone]}">${page.status}</span></td></tr>`
+    )
+    .join('\n                                    ');
+
+const renderStrategyCards = (cards, format, t) =>
+  cards.length === 0
+    ? `<p class="md:col-span-3 text-sm text-gray-500">${t('default.improvements.noCards')}</p>`
+    : cards
+        .map(
+          card => `<div class="metric-card flex flex-col p-0 overflow-hidden">
+                    <div class="bg-gray-50 p-4 border-b border-gray-100 flex justify-between items-center"><h3 class="font-bold text-md text-wiser-navy">${card.label}</h3><span class="text-xs font-bold text-wiser-yellow bg-yellow-50 px-2 py-1 rounded">${card.status}</span></div>
+                    <div class="p-6 flex-grow"><p class="text-xs text-gray-400 uppercase font-bold mb-2">${t('default.improvements.strategy')}</p><p class="text-wiser-red font-bold text-lg mb-2">${card.strategy}</p><p class="text-sm text-gray-600">${card.detail}</p><p class="text-xs text-gray-400 mt-4 pt-4 border-t border-gray-100">${t('default.improvements.current', { amount: format.currency(card.revenue), percent: format.percent(card.share) })}</p></div>
+                </div>`
+        )
+        .join('\n                ');
+
+const renderGrowthGaps = (gaps, t) =>
+  gaps.length === 0
+    ? `<li class="text-sm text-gray-500">${t('default.gaps.noGaps')}</li>`
+    : gaps
+        .map(
+          gap => `<li class="flex items-start"><span class="flex-shrink-0 h-6 w-6 rounded ${GAP_MARKER_CLASSES[gap.tone]} flex items-center justify-center font-bold text-xs mt-1">${gap.tone === 'negative' ? '0' : '!'}</span><div class="ml-4"><h4 class="text-sm font-bold text-wiser-navy">${gap.title}</h4><p class="text-sm text-gray-500 mt-1">${gap.detail}</p></div></li>`
+        )
+        .join('\n                        ');
+
+const renderRoadmapSteps = steps =>
+  steps
+    .map((step, index) => {
+      const stepClasses = ROADMAP_STEP_CLASSES[Math.min(index, ROADMAP_STEP_CLASSES.length - 1)];
+      const impact = step.impact
+        ? `<div class="text-right"><span class="inline-block px-2 py-1 ${BADGE_TONE_CLASSES[step.tone]} text-xs font-bold rounded">${step.impact}</span></div>`
+        : '';
+      return `<div class="flex items-center p-4 border border-gray-200 rounded-lg ${stepClasses.row} transition-colors group">
+                        <div class="flex-shrink-0 h-10 w-10 ${stepClasses.marker} rounded-full flex items-center justify-center font-bold shadow-sm">${index + 1}</div>
+                        <div class="ml-4 flex-grow"><h3 class="font-bold text-md text-wiser-navy">${step.title}</h3><p class="text-sm text-gray-500">${step.detail}</p></div>
+                        ${impact}
+                    </div>`;
+    })
+    .join('\n                    ');
+
+// The original tabbed layout: Overview, Wins, Improvements, Growth Gaps and Roadmap.
+export const renderDefaultTemplate = (reportData, { offlineAssets = null, narrativeThresholds, currency, locale, language, branding = DEFAULT_BRANDING } = {}) => {
+  const format = createReportFormatter({ currency, locale });
+  const t = createTranslator(language);
+  const safeData = { ...reportData, pages: localizePages(reportData.pages, t) };
+  const narrative = buildNarrative(safeData, narrativeThresholds, format, t);
+  // Calculate Percentages
+  const revenueBase = safeData.totalRevenue > 0 ? safeData.totalRevenue : 0;
+  const optimizationNumber = getOptimizationPercent(safeData);
+  const trends = Object.fromEntries(
+    Object.entries(PRIOR_PERIOD_FIELDS).map(([field, priorField]) => [field, percentChange(getKpiValue(safeData, field), safeData[priorField])])
+  );
+  const stockTrend = trends.widgetUtilization === null
+    ? ''
+    : `<p class="mt-1 text-xs font-bold ${trends.widgetUtilization >= 0 ? 'text-emerald-700' : 'text-red-700'}">${t('common.vsPriorPeriod', { change: format.trend(trends.widgetUtilization) })}</p>`;
+  const stockBadge = narrative.stockBadge.label;
+  const stockBadgeClass = BADGE_TONE_CLASSES[narrative.stockBadge.tone];
+  const { scoreBadges, projectedLift, projectedLiftPercent } = narrative;
+  const liftHighlight = projectedLiftPercent !== null && projectedLiftPercent > 0
+    ? t('default.improvements.percentLift', { percent: format.percent(Math.round(projectedLiftPercent)) })
+    : projectedLift > 0 ? t('default.improvements.amountLift', { amount: format.signedCurrency(projectedLift) }) : '';
+  const pageChart = renderPageChartLiterals(safeData.pages, branding);
+  const { widgets } = safeData;
+  const leadWidget = widgets.reduce((lead, widget) => (!lead || widget.revenue > lead.revenue ? widget : lead), null);
+  const widgetDataLiteral = widgets.map(widget => JSON.stringify(widget.revenue)).join(', ');
+  const widgetLabelLiteral = widgets
+    .map((widget, index) => JSON.stringify(widget.name || t('common.widgetFallback', { number: index + 1 })))
+    .join(', ');
+  const widgetColorLiteral = widgets.map((widget, index) => JSON.stringify(widgetTone(index).chart(branding))).join(', ');
+  // Horizontal bars need room per widget; the chart grows with the list instead of squashing it.
+  const widgetChartHeight = Math.max(220, widgets.length * 44 + 40);
+  const tabs = ['overview', 'wins', 'improvements', 'opportunities', 'action'];
+  const tabTitle = tab => t(`default.tabs.${tab}`);
+
+  return `<!DOCTYPE html>
+<html lang="${t.language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t('default.title', { store: safeData.storeName })}</title>
+${renderReportAssets(offlineAssets, branding)}
+    <style>
+        body { background: linear-gradient(180deg, #f3f4f6 0%, #eef2f7 100%); color: #1F2937; font-family: var(--brand-font); }
+        .chart-container { position: relative; width: 100%; max-width: 600px; margin-left: auto; margin-right: auto; height: 300px; max-height: 400px; }
+        @media (min-width: 768px) { .chart-container { height: 350px; } }
+        .metric-card { background: white; border: 1px solid #E1E3E5; border-radius: 8px; transition: all 0.2s ease; }
+        .metric-card:hover { border-color: rgb(var(--brand-primary)); box-shadow: 0 4px 12px rgba(0,0,0,0.05); }
+        .tab-content { display: none; animation: fadeIn 0.3s ease-out; }
+        .tab-content.active { display: block; }
+        .tab-btn { position: relative; color: #475569; font-weight: 700; padding: 9px 16px; border-radius: 999px; transition: all 0.2s; }
+        .tab-btn:hover { background: #e2e8f0; color: #0f172a; }
+        .tab-btn.active { color: #fff; font-weight: 700; background: #0f172a; box-shadow: 0 6px 16px rgba(15, 23, 42, 0.18); }
+        @keyframes fadeIn { from { opacity: 0; transform: translateY(5px); } to { opacity: 1; transform: translateY(0); } }
+        .progress-bg { background-color: #F1F2F3; border-radius: 4px; height: 8px; width: 100%; overflow: hidden; }
+        .progress-fill { height: 100%; border-radius: 4px; transition: width 1s ease-in-out; }
+        /* Print and the editor's PDF export show every section, not just the active tab. */
+        .pdf-export .tab-content { display: block; animation: none; margin-bottom: 2rem; }
+        @media print {
+            header { position: static !important; }
+            header button { display: none; }
+            .tab-content { display: block !important; animation: none; break-before: page; }
+            .tab-content:first-of-type { break-before: auto; }
+            .metric-card, .chart-container { break-inside: avoid; }
+        }
+    </style>
+</head>
+<body class="font-sans antialiased pb-20 flex flex-col min-h-screen">
+    <header class="bg-white border-b border-wiser-border sticky top-0 z-50 backdrop-blur">
+        <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div class="flex flex-col md:flex-row justify-between items-center py-4">
+                <div class="flex items-center space-x-3">
+                    ${renderBrandMark(safeData.storeName, branding)}
+                    <div>
+                        <h1 class="text-3xl font-extrabold text-wiser-navy leading-tight">${t('default.storeHeading', { store: safeData.storeName })}</h1>
+                        <p class="text-xs text-gray-500">${t('default.storeReview')} <span class="mx-2">-</span> <span class="bg-emerald-100 px-2 py-1 rounded-full text-emerald-700 font-semibold">${t('default.optimized', { percent: format.percent(optimizationNumber) })}</span></p>
+                    </div>
+                </div>
+                <div class="mt-4 md:mt-0 flex items-center space-x-3">
+                    <button onclick="window.print()" class="px-4 py-2 bg-white border border-slate-300 text-slate-700 text-sm font-semibold rounded-xl hover:bg-slate-50">${t('default.exportPdf')}</button>
+                    <button class="px-4 py-2 bg-slate-900 text-white text-sm font-semibold rounded-xl hover:bg-slate-700">${t('default.scanNewImage')}</button>
+                </div>
+            </div>
+            <div class="flex space-x-3 mt-4 overflow-x-auto no-scrollbar border-t border-gray-100 pt-2">
+                ${tabs.map((tab, index) => `<button onclick="switchTab('${tab}')" class="tab-btn${index === 0 ? ' active' : ''} text-sm">${tabTitle(tab)}</button>`).join('\n                ')}
+            </div>
+        </div>
+    </header>
+
+    <main class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 mt-8 flex-grow">
+        <!-- TAB 1: OVERVIEW -->
+        <div id="overview" data-section-title="${tabTitle('overview')}" class="tab-content active space-y-8">
+            <div class="space-y-3">
+                <div class="flex items-center justify-between rounded-2xl border border-slate-200 bg-white px-5 py-4 shadow-sm">
+                    <div>
+                        <p class="text-xs font-bold uppercase tracking-[0.18em] text-slate-500">${t('kpis.totalRevenue')}</p>
+                        <p class="mt-1 text-4xl font-extrabold text-slate-900">${format.currency(safeData.totalRevenue)}</p>
+                    </div>
+                    ${renderTrendBadge(trends.totalRevenue, format, t)}
+                </div>
+                <div class="flex items-center justify-between rounded-2xl border border-slate-200 bg-white px-5 py-4 shadow-sm">
+                    <div>
+                        <p class="text-xs font-bold uppercase tracking-[0.18em] text-slate-500">${t('kpis.revenueCoverage')}</p>
+                        <p class="mt-1 text-4xl font-extrabold text-slate-900">${format.percent(safeData.revenueCoverage)}</p>
+                    </div>
+                    ${renderTrendBadge(trends.revenueCoverage, format, t)}
+                </div>
+                <div class="flex items-center justify-between rounded-2xl border border-slate-200 bg-white px-5 py-4 shadow-sm">
+                    <div>
+                        <p class="text-xs font-bold uppercase tracking-[0.18em] text-slate-500">${t('kpis.avgOrderValue')}</p>
+                        <p class="mt-1 text-4xl font-extrabold text-slate-900">${format.currencyExact(getKpiValue(safeData, 'checkoutRev'))}</p>
+                    </div>
+                    ${renderTrendBadge(trends.checkoutRev, format, t)}
+                </div>
+                <div class="flex items-center justify-between rounded-2xl border border-slate-200 bg-white px-5 py-4 shadow-sm">
+                    <div>
+                        <p class="text-xs font-bold uppercase tracking-[0.18em] text-slate-500">${t('kpis.stockHealth')}</p>
+                        <p class="mt-1 text-4xl font-extrabold text-slate-900">${format.percent(safeData.widgetUtilization)}</p>
+                        ${stockTrend}
+                    </div>
+                    <span class="rounded-lg ${stockBadgeClass} px-3 py-2 text-sm font-bold">${stockBadge}</span>
+                </div>
+            </div>
+
+            <div class="bg-white rounded-2xl border-4 border-slate-900/90 shadow-lg p-6 relative overflow-hidden">
+                <div class="absolute -right-8 -top-8 h-24 w-24 rounded-full bg-red-50"></div>
+                <div class="relative">
+                    <h2 class="text-2xl font-extrabold text-wiser-navy">${t('default.summary.heading')}</h2>
+                    <p class="text-gray-600 mt-2 leading-relaxed text-lg">
+                        ${t('default.summary.intro', { store: safeData.storeName, efficiency: `<strong class="text-wiser-navy">${t('default.summary.efficiency', { percent: format.percent(safeData.revenueCoverage) })}</strong>` })}
+                        ${t(leadWidget?.name ? 'default.summary.ledBy' : 'default.summary.noLead', {
+                          widget: `<strong class="text-emerald-700">${leadWidget?.name}</strong>`,
+                          utilization: `<strong class="text-red-600">${format.percent(safeData.widgetUtilization)}</strong>`
+                        })}
+                    </p>
+                </div>
+            </div>
+            <div>
+                <h3 class="text-sm font-black text-slate-700 uppercase mb-4 tracking-[0.2em]">${t('default.scorecard.heading')}</h3>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    <div class="metric-card p-6 flex flex-col items-center">
+                        <h4 class="text-base font-bold text-slate-800 mb-1">${t('default.scorecard.revenueTitle')}</h4>
+                        <p class="text-xs text-slate-500 mb-4">${t('default.scorecard.revenueSubtitle')}</p>
+                        <div class="chart-container" style="height: 160px; max-height: 160px;"><canvas id="healthRevenueChart"></canvas></div>
+                        <p class="text-3xl font-bold text-wiser-navy mt-[-60px] z-10">${format.percent(safeData.revenueCoverage)}</p>
+                        <div class="mt-8 text-center w-full border-t border-gray-100 pt-4"><span class="inline-block px-3 py-1 ${BADGE_TONE_CLASSES[scoreBadges.revenueCoverage.tone]} text-xs font-semibold rounded-full mb-1">${scoreBadges.revenueCoverage.label}</span><p class="text-xs text-gray-500">${scoreBadges.revenueCoverage.note}</p></div>
+                    </div>
+                    <div class="metric-card p-6 flex flex-col items-center">
+                        <h4 class="text-base font-bold text-slate-800 mb-1">${t('default.scorecard.funnelTitle')}</h4>
+                        <p class="text-xs text-slate-500 mb-4">${t('default.scorecard.funnelSubtitle')}</p>
+                        <div class="chart-container" style="height: 160px; max-height: 160px;"><canvas id="healthFunnelChart"></canvas></div>
+                        <p class="text-3xl font-bold text-wiser-navy mt-[-60px] z-10">${format.percent(safeData.funnelCoverage)}</p>
+                        <div class="mt-8 text-center w-full border-t border-gray-100 pt-4"><span class="inline-block px-3 py-1 ${BADGE_TONE_CLASSES[scoreBadges.funnelCoverage.tone]} text-xs font-semibold rounded-full mb-1">${scoreBadges.funnelCoverage.label}</span><p class="text-xs text-gray-500">${scoreBadges.funnelCoverage.note}</p></div>
+                    </div>
+                    <div class="metric-card p-6 flex flex-col items-center">
+                        <h4 class="text-base font-bold text-slate-800 mb-1">${t('default.scorecard.widgetTitle')}</h4>
+                        <p class="text-xs text-slate-500 mb-4">${t('default.scorecard.widgetSubtitle')}</p>
+                        <div class="chart-container" style="height: 160px; max-height: 160px;"><canvas id="healthWidgetChart"></canvas></div>
+                        <p class="text-3xl font-bold text-wiser-red mt-[-60px] z-10">${format.percent(safeData.widgetUtilization)}</p>
+                        <div class="mt-8 text-center w-full border-t border-gray-100 pt-4"><span class="inline-block px-3 py-1 ${BADGE_TONE_CLASSES[scoreBadges.widgetUtilization.tone]} text-xs font-semibold rounded-full mb-1">${scoreBadges.widgetUtilization.label}</span><p class="text-xs text-gray-500">${scoreBadges.widgetUtilization.note}</p></div>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <!-- TAB 2: WINS -->
+        <div id="wins" data-section-title="${tabTitle('wins')}" class="tab-content space-y-6">
+            <div class="flex flex-col lg:flex-row gap-6">
+                <div class="flex-1">
+                    <div class="metric-card p-6">
+                        <h2 class="text-lg font-bold text-wiser-navy mb-1">${t('default.wins.heading')}</h2>
+                        <div class="overflow-hidden border border-gray-200 rounded-lg mt-6">
+                            <table class="min-w-full divide-y divide-gray-200">
+                                <thead class="bg-gray-50">
+                                    <tr><th class="px-6 py-3 text-left text-xs font-bold text-gray-500 uppercase">${t('default.wins.pageType')}</th><th class="px-6 py-3 text-left text-xs font-bold text-gray-500 uppercase">${t('default.wins.revenue')}</th><th class="px-6 py-3 text-left text-xs font-bold text-gray-500 uppercase">${t('default.wins.status')}</th></tr>
+                                </thead>
+                                <tbody class="bg-white divide-y divide-gray-100">
+                                    ${renderWinsRows(narrative.bestPages, format)}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+                <div class="w-full lg:w-1/3 metric-card p-6 flex flex-col">
+                    <h3 class="text-xs font-bold text-gray-400 uppercase mb-4 text-center">${t('default.wins.revenueSplit')}</h3>
+                    <div class="chart-container flex-grow" style="height: 200px;"><canvas id="revenueByPageChart"></canvas></div>
+                </div>
+            </div>
+
+            <!-- Widgets Section -->
+            <div class="metric-card p-8">
+                <div class="flex justify-between items-center mb-6 border-b border-gray-100 pb-4">
+                    <h3 class="text-lg font-bold text-wiser-navy">${t('default.wins.widgetBreakdown')}</h3>
+                    <span class="text-xs text-gray-500 bg-gray-100 px-2 py-1 rounded">${t('default.wins.total', { amount: format.currency(safeData.totalRevenue) })}</span>
+                </div>
+                
+                <div class="flex flex-col lg:flex-row gap-10">
+                    <div class="w-full lg:w-3/5"><div class="chart-container" style="height: ${widgetChartHeight}px; max-height: none;"><canvas id="topWidgetsChart"></canvas></div></div>
+                    <div class="w-full lg:w-2/5 space-y-6">
+                        ${renderWidgetBars(widgets, revenueBase, format, t)}
+                    </div>
+                </div>
+            </div>
+        </div>
+        
+        <!-- Improvements, Growth Gaps and Roadmap copy comes from the narrative rules in src/narrative.js -->
+        <div id="improvements" data-section-title="${tabTitle('improvements')}" class="tab-content space-y-6">
+             <div class="bg-blue-50 p-4 rounded border border-blue-100 flex items-start">
+                <span class="text-blue-500 text-xl mr-3">${t('default.improvements.marker')}</span>
+                <div><h2 class="text-md font-bold text-blue-800">${t('default.improvements.heading')}</h2><p class="text-sm text-blue-700">${t('default.improvements.intro')}${liftHighlight ? ` ${t('default.improvements.quickFixes', { lift: `<strong class="underline">${liftHighlight}</strong>` })}` : ''}</p></div>
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-6">
+                ${renderStrategyCards(narrative.strategyCards, format, t)}
+            </div>
+        </div>
+
+        <div id="opportunities" data-section-title="${tabTitle('opportunities')}" class="tab-content space-y-6">
+            <div class="bg-red-50 p-4 rounded border border-red-100 flex items-start">
+                <span class="text-wiser-red text-xl mr-3">${t('default.gaps.marker')}</span>
+                <div><h2 class="text-md font-bold text-red-800">${t('default.gaps.heading')}</h2><p class="text-sm text-red-700">${t('default.gaps.intro', {
+                  target: projectedLift > 0
+                    ? `<strong class="underline">${t('default.gaps.incrementalAmount', { amount: format.signedCurrency(projectedLift) })}</strong>`
+                    : t('default.gaps.incrementalRevenue')
+                })}</p></div>
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-8">
+                <div class="metric-card p-8">
+                    <h3 class="text-lg font-bold text-wiser-navy mb-6">${t('default.gaps.zones')}</h3>
+                    <ul class="space-y-6">
+                        ${renderGrowthGaps(narrative.growthGaps, t)}
+                    </ul>
+                </div>
+                <div class="metric-card p-6 flex flex-col">
+                    <h3 class="text-sm font-bold text-gray-500 uppercase mb-4">${t('default.gaps.modeling')}</h3>
+                    <div class="chart-container flex-grow"><canvas id="projectionChart"></canvas></div>
+                    <div class="mt-4 text-center">
+                        <p class="text-gray-600 text-sm">${t('default.gaps.projectedLift')}</p>
+                        <p class="text-2xl font-bold ${projectedLift >= 0 ? 'text-wiser-green' : 'text-wiser-red'}">${format.signedCurrency(projectedLift)}${projectedLiftPercent !== null ? ` (${format.trend(projectedLiftPercent)})` : ''}</p>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <div id="action" data-section-title="${tabTitle('action')}" class="tab-content space-y-6">
+             <div class="bg-white rounded-lg shadow-card border border-gray-200 overflow-hidden">
+                <div class="bg-wiser-navy p-8 text-white text-center">
+                    <h2 class="text-2xl font-bold">${t('default.roadmap.heading')}</h2>
+                    <p class="text-gray-400 mt-2">${t('default.roadmap.subheading')}</p>
+                </div>
+                <div class="p-8 max-w-4xl mx-auto space-y-6">
+                    ${renderRoadmapSteps(narrative.roadmap)}
+                </div>
+            </div>
+        </div>
+    </main>
+
+    <footer class="text-center text-gray-400 mt-12 mb-8 pt-4">
+        <p class="text-xs font-medium">${branding.footerText || t('common.footer', { store: safeData.storeName })}</p>
+    </footer>
+
+    <!-- JavaScript Logic -->
+    <script>
+        function switchTab(tabId) {
+            document.querySelectorAll('.tab-content').forEach(el => el.classList.remove('active'));
+            document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
+            document.getElementById(tabId).classList.add('active');
+            const buttons = document.getElementsByTagName('button');
+            for (let btn of buttons) {
+                if (btn.getAttribute('onclick') === \`switchTab('\${tabId}')\`) {
+                    btn.classList.add('active');
+                    break;
+                }
+            }
+            resizeCharts();
+        }
+
+${renderChartHelpers(format, branding)}
+
+        // Inject Dynamic Variables into Chart.js
+        const revenueData = ${pageChart.data};
+        const widgetData = [${widgetDataLiteral}];
+        const widgetLabels = [${widgetLabelLiteral}];
+
+        const ctxRevenue = document.getElementById('revenueByPageChart').getContext('2d');
+        new Chart(ctxRevenue, {
+            type: 'doughnut',
+            data: {
+                labels: ${pageChart.labels}.map(wrapLabel),
+                datasets: [{ data: revenueData, backgroundColor: ${pageChart.colors}, borderWidth: 2, borderColor: '#ffffff', hoverOffset: 4 }]
+            },
+            options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { position: 'bottom', labels: { boxWidth: 10, usePointStyle: true, font: {size: 11, family: brandFont} } }, tooltip: commonTooltipConfig } }
+        });
+
+        const ctxWidgets = document.getElementById('topWidgetsChart').getContext('2d');
+        new Chart(ctxWidgets, {
+            type: 'bar',
+            data: {
+                labels: widgetLabels.map(wrapLabel),
+                datasets: [{ label: ${JSON.stringify(t('charts.revenue'))}, data: widgetData, backgroundColor: [${widgetColorLiteral}], borderRadius: 4, maxBarThickness: 35 }]
+            },
+            options: { indexAxis: 'y', responsive: true, maintainAspectRatio: false, scales: { x: { beginAtZero: true, grid: { display: false }, ticks: { callback: value => formatCurrency(value) } }, y: { grid: { display: false }, ticks: { font: { family: brandFont, weight: 500 } } } }, plugins: { legend: { display: false }, tooltip: commonTooltipConfig } }
+        });
+
+        function createGauge(id, score, color) {
+            new Chart(document.getElementById(id).getContext('2d'), {
+                type: 'doughnut',
+                data: { labels: ${JSON.stringify([t('charts.score'), t('charts.gap')])}, datasets: [{ data: [score, 100 - score], backgroundColor: [color, '#E5E7EB'], borderWidth: 0, circumference: 180, rotation: 270, cutout: '85%' }] },
+                options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { display: false }, tooltip: { enabled: false } } }
+            });
+        }
+        createGauge('healthRevenueChart', ${safeData.revenueCoverage}, '#3B82F6');
+        createGauge('healthFunnelChart', ${safeData.funnelCoverage}, '#10B981');
+        createGauge('healthWidgetChart', ${safeData.widgetUtilization}, '#EF4444');
+
+        new Chart(document.getElementById('projectionChart').getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: ${JSON.stringify([t('charts.currentMonthly'), t('charts.withOptimization')])},
+                datasets: [{ label: ${JSON.stringify(t('charts.revenueEstimate'))}, data: [${safeData.projectedCurrent}, ${safeData.projectedOptimized}], backgroundColor: ['#9CA3AF', '#008060'], borderRadius: 4, barPercentage: 0.6 }]
+            },
+            options: { responsive: true, maintainAspectRatio: false, scales: { y: { beginAtZero: true, grid: { color: '#F3F4F6' }, ticks: { callback: value => formatCurrency(value) } }, x: { grid: { display: false } } }, plugins: { legend: { display: false }, tooltip: commonTooltipConfig } }
+        });
+    </script>
+</body>
+</html>`;
+};
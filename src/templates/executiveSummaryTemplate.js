@@ -0,0 +1,111 @@
+import { clamp, percentChange, getKpiValue, PRIOR_PERIOD_FIELDS } from '../reportData.js';
+import { createReportFormatter } from '../formatting.js';
+import { createTranslator, localizePages } from '../translations/index.js';
+import { DEFAULT_BRANDING } from '../branding.js';
+import { renderReportAssets, renderPageChartLiterals, renderChartHelpers, renderBrandMark, getOptimizationPercent } from './shared.js';
+
+const renderTrendNote = (safeData, field, format, t) => {
+  const change = percentChange(getKpiValue(safeData, field), safeData[PRIOR_PERIOD_FIELDS[field]]);
+  return change === null
+    ? ''
+    : `<p class="mt-1 text-xs font-bold ${change >= 0 ? 'text-emerald-700' : 'text-red-700'}">${t('common.vsPriorPeriod', { change: format.trend(change) })}</p>`;
+};
+
+// A single printable page: headline KPIs, revenue mix, top widgets and the projection.
+export const renderExecutiveSummaryTemplate = (safeData, { offlineAssets = null, currency, locale, language, branding = DEFAULT_BRANDING } = {}) => {
+  const format = createReportFormatter({ currency, locale });
+  const t = createTranslator(language);
+  const revenueBase = safeData.totalRevenue > 0 ? safeData.totalRevenue : 0;
+  const projectedLift = safeData.projectedOptimized - safeData.projectedCurrent;
+  const widgetRows = safeData.widgets
+    .map(widget => {
+      if (widget.revenue === null) {
+        return `<tr><td class="py-2 text-sm font-medium text-gray-900">${widget.name}</td><td class="py-2 text-sm text-gray-400 text-right">${t('common.notAvailable')}</td><td class="py-2 text-xs text-gray-400 text-right">${t('common.notAvailable')}</td></tr>`;
+      }
+      const share = revenueBase > 0 ? clamp((widget.revenue / revenueBase) * 100, 0, 100) : 0;
+      return `<tr><td class="py-2 text-sm font-medium text-gray-900">${widget.name}</td><td class="py-2 text-sm font-bold text-wiser-navy text-right">${format.currency(widget.revenue)}</td><td class="py-2 text-xs text-gray-500 text-right">${format.percent(share)}</td></tr>`;
+    })
+    .join('\n                            ');
+  const pageChart = renderPageChartLiterals(localizePages(safeData.pages, t), branding);
+
+  return `<!DOCTYPE html>
+<html lang="${t.language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t('executive.title', { store: safeData.storeName })}</title>
+${renderReportAssets(offlineAssets, branding)}
+    <style>
+        body { background: #ffffff; color: #1F2937; font-family: var(--brand-font); }
+        .kpi { border: 1px solid #E1E3E5; border-radius: 12px; padding: 16px; }
+        .chart-container { position: relative; width: 100%; height: 220px; }
+        @media print { @page { size: A4; margin: 12mm; } .no-print { display: none; } }
+    </style>
+</head>
+<body class="font-sans antialiased">
+    <main data-section-title="${t('executive.eyebrow')}" class="max-w-5xl mx-auto px-8 py-8 space-y-6">
+        <header class="flex items-center justify-between border-b-4 border-wiser-red pb-4">
+            <div class="flex items-center gap-4">
+                ${branding.logo ? renderBrandMark(safeData.storeName, branding) : ''}
+                <div>
+                    <p class="text-xs font-bold uppercase tracking-[0.2em] text-gray-500">${t('executive.eyebrow')}</p>
+                    <h1 class="text-3xl font-extrabold text-wiser-navy">${safeData.storeName}</h1>
+                </div>
+            </div>
+            <div class="text-right">
+                <p class="text-xs text-gray-500">${t('executive.optimizationCoverage')}</p>
+                <p class="text-2xl font-extrabold text-wiser-green">${format.percent(getOptimizationPercent(safeData))}</p>
+            </div>
+        </header>
+
+        <section class="grid grid-cols-4 gap-4">
+            <div class="kpi"><p class="text-xs font-bold uppercase text-gray-500">${t('kpis.totalRevenue')}</p><p class="mt-1 text-2xl font-extrabold text-wiser-navy">${format.currency(safeData.totalRevenue)}</p>${renderTrendNote(safeData, 'totalRevenue', format, t)}</div>
+            <div class="kpi"><p class="text-xs font-bold uppercase text-gray-500">${t('kpis.revenueCoverage')}</p><p class="mt-1 text-2xl font-extrabold text-wiser-navy">${format.percent(safeData.revenueCoverage)}</p>${renderTrendNote(safeData, 'revenueCoverage', format, t)}</div>
+            <div class="kpi"><p class="text-xs font-bold uppercase text-gray-500">${t('kpis.funnelCoverage')}</p><p class="mt-1 text-2xl font-extrabold text-wiser-navy">${format.percent(safeData.funnelCoverage)}</p></div>
+            <div class="kpi"><p class="text-xs font-bold uppercase text-gray-500">${t('kpis.widgetUtilization')}</p><p class="mt-1 text-2xl font-extrabold text-wiser-navy">${format.percent(safeData.widgetUtilization)}</p>${renderTrendNote(safeData, 'widgetUtilization', format, t)}</div>
+        </section>
+
+        <section class="grid grid-cols-2 gap-6">
+            <div class="kpi">
+                <h2 class="text-sm font-bold uppercase text-gray-500 mb-2">${t('executive.revenueByPage')}</h2>
+                <div class="chart-container"><canvas id="revenueByPageChart"></canvas></div>
+            </div>
+            <div class="kpi">
+                <h2 class="text-sm font-bold uppercase text-gray-500 mb-2">${t('executive.topWidgets')}</h2>
+                <table class="w-full divide-y divide-gray-100">
+                    <tbody class="divide-y divide-gray-100">
+                            ${widgetRows}
+                    </tbody>
+                </table>
+            </div>
+        </section>
+
+        <section class="kpi flex items-center justify-between">
+            <div>
+                <h2 class="text-sm font-bold uppercase text-gray-500">${t('executive.revenuePotential')}</h2>
+                <p class="text-sm text-gray-600 mt-1">${t('executive.potentialDetail', {
+                  current: `<strong>${format.currency(safeData.projectedCurrent)}</strong>`,
+                  optimized: `<strong>${format.currency(safeData.projectedOptimized)}</strong>`
+                })}</p>
+            </div>
+            <p class="text-3xl font-extrabold ${projectedLift >= 0 ? 'text-wiser-green' : 'text-wiser-red'}">${t('common.perMonth', { amount: format.signedCurrency(projectedLift) })}</p>
+        </section>
+
+        <footer class="text-center text-xs text-gray-400 pt-4 border-t border-gray-100">${branding.footerText || t('common.footer', { store: safeData.storeName })}</footer>
+    </main>
+
+    <script>
+${renderChartHelpers(format, branding)}
+
+        new Chart(document.getElementById('revenueByPageChart').getContext('2d'), {
+            type: 'doughnut',
+            data: {
+                labels: ${pageChart.labels},
+                datasets: [{ data: ${pageChart.data}, backgroundColor: ${pageChart.colors}, borderWidth: 2, borderColor: '#ffffff' }]
+            },
+            options: { responsive: true, maintainAspectRatio: false, plugins: { legend: { position: 'right', labels: { boxWidth: 10, usePointStyle: true, font: { size: 11, family: brandFont } } }, tooltip: commonTooltipConfig } }
+        });
+    </script>
+</body>
+</html>`;
+};
@@ -0,0 +1,40 @@
+import { normalizeReportData, sanitizeText } from '../reportData.js';
+import { normalizeBranding } from '../branding.js';
+import { renderDefaultTemplate } from './defaultTemplate.js';
+import { renderExecutiveSummaryTemplate } from './executiveSummaryTemplate.js';
+import { renderComparisonTemplate } from './comparisonTemplate.js';
+
+// Each template receives the output of normalizeReportData plus render options and returns a full HTML document.
+// Templates mark their exportable sections with `data-section-title` so PDF export can paginate them.
+export const REPORT_TEMPLATES = [
+  {
+    id: 'default',
+    label: 'Performance Review',
+    description: 'Tabbed dashboard with wins, improvements, growth gaps and roadmap.',
+    render: renderDefaultTemplate
+  },
+  {
+    id: 'executive-summary',
+    label: 'Executive Summary',
+    description: 'One printable page with headline KPIs, revenue mix and projection.',
+    render: renderExecutiveSummaryTemplate
+  }
+];
+
+export const DEFAULT_TEMPLATE_ID = 'default';
+
+export const getReportTemplate = templateId =>
+  REPORT_TEMPLATES.find(template => template.id === templateId) ||
+  REPORT_TEMPLATES.find(template => template.id === DEFAULT_TEMPLATE_ID);
+
+// --- HTML Template Builder ---
+export const buildReportHTML = (data, { templateId = DEFAULT_TEMPLATE_ID, branding, ...options } = {}) =>
+  getReportTemplate(templateId).render(normalizeReportData(data), { ...options, branding: normalizeBranding(branding) });
+
+// Comparison reports pair two datasets (two periods or two stores) in a dedicated layout.
+export const buildComparisonReportHTML = (primary, comparison, { labels = {}, branding, ...options } = {}) =>
+  renderComparisonTemplate(normalizeReportData(primary), normalizeReportData(comparison), {
+    ...options,
+    branding: normalizeBranding(branding),
+    labels: { primary: sanitizeText(labels.primary), comparison: sanitizeText(labels.comparison) }
+  });
@@ -0,0 +1,125 @@
+import { REPORT_THEME_EXTEND } from '../reportTheme.js';
+import { BRAND_FONTS, DEFAULT_BRANDING, toRgbChannels } from '../branding.js';
+import { toSafeNumber } from '../reportData.js';
+
+// Optimization coverage is free text such as "60-65"; reports show the lower bound, or revenue
+// coverage when it is blank, as a number so the formatter can localize it.
+export const getOptimizationPercent = safeData =>
+  toSafeNumber(String(safeData.optimizationPercent).split('-')[0], safeData.revenueCoverage);
+
+// The theme's brand colours and font resolve against these variables.
+const renderBrandVariables = branding => `    <style>
+        :root { --brand-primary: ${toRgbChannels(branding.primaryColor)}; --brand-accent: ${toRgbChannels(branding.accentColor)}; --brand-font: ${BRAND_FONTS[branding.font].stack}; }
+    </style>`;
+
+// Offline reports inline the compiled CSS, fonts and Chart.js runtime (see offlineAssets.js);
+// otherwise the report pulls them from CDNs when it is opened.
+export const renderReportAssets = (offlineAssets, branding = DEFAULT_BRANDING) => {
+  if (offlineAssets) {
+    return `    <style>
+${offlineAssets.styles}
+    </style>
+${renderBrandVariables(branding)}
+    <script>
+${offlineAssets.chartJs}
+    </script>`;
+  }
+
+  const { googleFamily } = BRAND_FONTS[branding.font];
+  const fontLinks = googleFamily
+    ? `    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=${googleFamily}&display=swap" rel="stylesheet">`
+    : '';
+
+  return `${fontLinks}
+${renderBrandVariables(branding)}
+    <!-- Tailwind CSS -->
+    <script src="https://cdn.tailwindcss.com"></script>
+    <!-- Chart.js -->
+    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+    
+    <script>
+        tailwind.config = {
+            theme: {
+                extend: ${JSON.stringify(REPORT_THEME_EXTEND)}
+            }
+        }
+    </script>`;
+};
+
+// Chart helpers every template's inline script can rely on: resizing, label wrapping, tooltips,
+// `formatCurrency` for axis ticks in the report's currency and locale, and the brand font.
+export const renderChartHelpers = (format, branding = DEFAULT_BRANDING) => `        const brandFont = ${JSON.stringify(BRAND_FONTS[branding.font].stack)};
+        Chart.defaults.font.family = brandFont;
+        const currencyFormatter = new Intl.NumberFormat(${JSON.stringify(format.settings.locale)}, { style: 'currency', currency: ${JSON.stringify(format.settings.currency)}, maximumFractionDigits: 0 });
+        function formatCurrency(value) {
+            return currencyFormatter.format(value);
+        }
+
+        function resizeCharts() {
+            const chartInstances = Chart.instances instanceof Map
+                ? Array.from(Chart.instances.values())
+                : Object.values(Chart.instances || {});
+            chartInstances.forEach(chart => chart.resize());
+        }
+
+        // Charts in hidden tabs are laid out at zero size; resize them once print shows every tab.
+        window.addEventListener('beforeprint', resizeCharts);
+        window.addEventListener('afterprint', resizeCharts);
+
+        function wrapLabel(label) {
+            if (typeof label !== 'string' || label.length <= 16) return label;
+            const words = label.split(' ');
+            const lines = [];
+            let currentLine = words[0];
+            for (let i = 1; i < words.length; i++) {
+                if (currentLine.length + 1 + words[i].length <= 16) {
+                    currentLine += ' ' + words[i];
+                } else {
+                    lines.push(currentLine);
+                    currentLine = words[i];
+                }
+            }
+            lines.push(currentLine);
+            return lines;
+        }
+
+        const commonTooltipConfig = {
+            backgroundColor: ${JSON.stringify(branding.accentColor)}, padding: 12, cornerRadius: 4,
+            titleFont: { family: brandFont, size: 13, weight: 'bold' }, bodyFont: { family: brandFont, size: 12 },
+            callbacks: {
+                title: function(tooltipItems) {
+                    const item = tooltipItems[0];
+                    let label = item.chart.data.labels[item.dataIndex];
+                    return Array.isArray(label) ? label.join(' ') : label;
+                },
+                label: function(tooltipItem) {
+                    const parsed = tooltipItem.parsed;
+                    const value = typeof parsed === 'number' ? parsed : tooltipItem.chart.options.indexAxis === 'y' ? parsed.x : parsed.y;
+                    return (tooltipItem.dataset.label ? tooltipItem.dataset.label + ': ' : '') + formatCurrency(value);
+                }
+            }
+        };`;
+
+// Doughnut palette for revenue by page, led by the brand colours; longer page lists cycle through it.
+const PAGE_CHART_NEUTRALS = ['#6B7280', '#9CA3AF', '#D1D5DB', '#E5E7EB', '#FCA5A5', '#374151'];
+
+export const renderPageChartLiterals = (pages, branding = DEFAULT_BRANDING) => {
+  const palette = [branding.primaryColor, branding.accentColor, ...PAGE_CHART_NEUTRALS];
+  return {
+    labels: JSON.stringify(pages.map(page => page.label)),
+    data: JSON.stringify(pages.map(page => page.revenue)),
+    colors: JSON.stringify(pages.map((page, index) => palette[index % palette.length]))
+  };
+};
+
+// Uploaded logo, or the store's initial in a brand-coloured tile when there is none.
+// sanitizeText strips tags but not quotes, so anything placed in an attribute still needs escaping.
+export const escapeHtml = value =>
+  String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+export const renderBrandMark = (storeName, branding, sizeClasses = 'h-12 w-12 text-xl') =>
+  branding.logo
+    ? `<img src="${escapeHtml(branding.logo)}" alt="${escapeHtml(storeName)}" class="${escapeHtml(sizeClasses)} object-contain">`
+    : `<div class="${escapeHtml(sizeClasses)} bg-gradient-to-br from-wiser-red to-wiser-red/70 rounded-xl flex items-center justify-center text-white font-bold shadow-sm">${escapeHtml(storeName.charAt(0) || '?')}</div>`;
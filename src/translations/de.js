@@ -0,0 +1,221 @@
+export const de = {
+  common: {
+    perMonth: '{amount}/Monat',
+    vsPriorPeriod: '{change} ggü. Vorperiode',
+    changeVsPriorPeriod: 'Veränderung ggü. Vorperiode',
+    footer: 'Erstellt für {store} - Systemversion 2.1',
+    widgetFallback: 'Widget {number}',
+    notAvailable: 'k. A.',
+    pageOfTotal: 'Seite {page} von {total}'
+  },
+  kpis: {
+    totalRevenue: 'Gesamtumsatz',
+    revenueCoverage: 'Umsatzabdeckung',
+    funnelCoverage: 'Funnel-Abdeckung',
+    widgetUtilization: 'Widget-Auslastung',
+    avgOrderValue: 'Ø Bestellwert',
+    stockHealth: 'Bestandsgesundheit'
+  },
+  pages: {
+    productRev: 'Produktseite',
+    postPurchaseRev: 'Nach dem Kauf',
+    checkoutRev: 'Checkout-Seite',
+    thankYouRev: 'Danke-Seite',
+    cartRev: 'Warenkorbseite',
+    cartDrawerRev: 'Warenkorb-Drawer',
+    collectionRev: 'Kollektionsseiten',
+    otherRev: 'Sonstige Seiten'
+  },
+  charts: {
+    revenue: 'Umsatz',
+    score: 'Wert',
+    gap: 'Lücke',
+    currentMonthly: 'Aktuell pro Monat',
+    withOptimization: 'Mit Optimierung',
+    revenueEstimate: 'Umsatzschätzung'
+  },
+  default: {
+    title: 'Wiser Performance-Review: {store}',
+    storeHeading: '{store} Insights',
+    storeReview: 'Shop-Review Q4',
+    optimized: '{percent} optimiert',
+    exportPdf: 'PDF exportieren',
+    scanNewImage: 'Neues Bild scannen',
+    tabs: {
+      overview: 'Überblick',
+      wins: 'Erfolge',
+      improvements: 'Live-Verbesserungen',
+      opportunities: 'Wachstumslücken',
+      action: 'Maßnahmenplan'
+    },
+    summary: {
+      heading: 'Zusammenfassung',
+      intro: '{store} arbeitet derzeit mit {efficiency} über den gesamten digitalen Verkaufsfunnel.',
+      efficiency: '{percent} Effizienz',
+      ledBy: 'Das Wachstum wird vor allem von {widget} getragen. Als Nächstes sollten Conversion-Engpässe stabilisiert und die Widget-Aktivierung verbessert werden, deren Auslastung bei {utilization} liegt.',
+      noLead: 'Als Nächstes sollten Conversion-Engpässe stabilisiert und die Widget-Aktivierung verbessert werden, deren Auslastung bei {utilization} liegt.'
+    },
+    scorecard: {
+      heading: 'Systemzustand',
+      revenueTitle: 'Umsatzabdeckung',
+      revenueSubtitle: 'Q4-Prognose übertroffen',
+      funnelTitle: 'Mobile Conversion',
+      funnelSubtitle: 'Neugestaltung nach dem Checkout',
+      widgetTitle: 'Verfügbarkeit',
+      widgetSubtitle: 'Risikoprofil der Auslastung'
+    },
+    wins: {
+      heading: 'Teil 1: Stärkste Bereiche',
+      pageType: 'Seitentyp',
+      revenue: 'Umsatz',
+      status: 'Status',
+      revenueSplit: 'Umsatzverteilung',
+      widgetBreakdown: 'Widget-Performance im Detail',
+      total: 'Gesamt: {amount}',
+      topWinner: 'Spitzenreiter',
+      widgetRank: 'Widget Nr. {number}',
+      shareOfTotal: '{percent} vom Gesamtumsatz',
+      noWidgets: 'Für diesen Zeitraum wurden keine Widgets erfasst.'
+    },
+    improvements: {
+      marker: 'TIPP',
+      heading: 'Optimierungspotenzial',
+      intro: 'Diese Bereiche sind live, werden aber zu wenig monetarisiert.',
+      quickFixes: 'Schnelle Anpassungen können hier zu {lift} beitragen.',
+      percentLift: '+{percent} Umsatzsteigerung',
+      amountLift: '{amount}/Monat Umsatzsteigerung',
+      strategy: 'Strategie',
+      current: 'Aktuell: {amount} ({percent} des Umsatzes)',
+      noCards: 'Alle Live-Seiten laufen stark. Derzeit sind keine schnellen Anpassungen nötig.'
+    },
+    gaps: {
+      marker: 'LÜCKE',
+      heading: 'Verpasste Chancen (die Wachstumslücke)',
+      intro: 'Die Aktivierung dieser stark besuchten Bereiche ist der schnellste Weg zu {target}.',
+      incrementalAmount: '{amount}/Monat zusätzlichem Umsatz',
+      incrementalRevenue: 'zusätzlichem Umsatz',
+      zones: 'Ungenutzte Bereiche mit hohem Wert',
+      noGaps: 'Keine ungenutzten Bereiche gefunden. Jede erfasste Seite erzielt Umsatz.',
+      modeling: 'Modellierung des Umsatzpotenzials',
+      projectedLift: 'Erwartete monatliche Steigerung'
+    },
+    roadmap: {
+      heading: 'Strategischer Fahrplan',
+      subheading: 'Schritte von „Wachsend“ zu „Optimiert“'
+    }
+  },
+  executive: {
+    title: 'Zusammenfassung: {store}',
+    eyebrow: 'Zusammenfassung',
+    optimizationCoverage: 'Optimierungsgrad',
+    revenueByPage: 'Umsatz nach Seite',
+    topWidgets: 'Top-Widgets',
+    revenuePotential: 'Umsatzpotenzial',
+    potentialDetail: 'Aktuell monatlich {current} ggü. optimiert {optimized}'
+  },
+  comparison: {
+    title: 'Vergleichsbericht: {title}',
+    eyebrow: 'Vergleichsbericht',
+    versus: '{primary} vs. {comparison}',
+    change: 'Veränderung',
+    keyMetrics: 'Kennzahlen',
+    revenueBreakdown: 'Umsatzaufteilung',
+    revenueByPage: 'Umsatz nach Seite',
+    widgetRevenue: 'Widget-Umsatz',
+    bestAreas: 'Stärkste Bereiche',
+    page: 'Seite'
+  },
+  narrative: {
+    status: {
+      notLive: 'Nicht live',
+      needsFocus: 'Braucht Fokus',
+      strong: 'Stark',
+      moderate: 'Mittel'
+    },
+    badges: {
+      strongCore: 'Starker Kern',
+      developing: 'Im Aufbau',
+      weakCoverage: 'Schwache Abdeckung',
+      channelLeader: 'Kanalführer',
+      watchlist: 'Beobachten',
+      leakingFunnel: 'Undichter Funnel',
+      healthy: 'Gesund',
+      highRisk: 'Hohes Risiko',
+      stable: 'Stabil',
+      risk: 'Risiko'
+    },
+    notes: {
+      drivenBy: 'Getragen von {page}.',
+      noPageRevenue: 'Noch kein Seitenumsatz erfasst.',
+      pagesGenerating: '{live} von {total} Seitentypen erzielen Umsatz.',
+      widgetLeads: '{widget} führt beim Widget-Umsatz.',
+      bundlesMissing: 'FBT & Bundles fehlen.'
+    },
+    strategies: {
+      productRev: {
+        strategy: 'Mehr Cross-Selling',
+        detail: 'Füge unter den Produktdetails Karussells mit <strong>ergänzenden Produkten</strong> hinzu.',
+        gapNote: 'Die meistbesuchte Seite wird nicht monetarisiert.'
+      },
+      postPurchaseRev: {
+        strategy: 'Ein-Klick-Upsells',
+        detail: 'Biete ein <strong>Add-on nach dem Kauf</strong> an, solange die Kaufbereitschaft hoch ist.',
+        gapNote: 'Kaufbereitschaft nach der Bestellung bleibt ungenutzt.'
+      },
+      checkoutRev: {
+        strategy: 'Upsells ausbauen',
+        detail: 'Erhöhe den <strong>Angebotswert</strong>. Nutze Regeln, um den Bestellwert zu steigern.',
+        gapNote: 'Letzte Chance, den Bestellwert vor der Zahlung zu erhöhen.'
+      },
+      thankYouRev: {
+        strategy: 'Bundle-Angebote',
+        detail: 'Füge <strong>Empfehlungen für mehrere Artikel</strong> hinzu, um Wiederholungskäufe anzuregen.',
+        gapNote: 'Ein Moment hoher Kaufbereitschaft nach der Bestellung bleibt ungenutzt.'
+      },
+      cartRev: {
+        strategy: 'Bessere Platzierung',
+        detail: 'Platziere Widgets <strong>im sichtbaren Bereich</strong>. Sichtbarkeit vor dem Checkout ist entscheidend.',
+        gapNote: 'Wichtig für die Produktentdeckung vor dem Checkout.'
+      },
+      cartDrawerRev: {
+        strategy: 'Add-ons im Drawer',
+        detail: 'Zeige <strong>günstige Add-ons</strong> im Drawer, damit Kunden Artikel hinzufügen, ohne die Seite zu verlassen.',
+        gapNote: 'Jeder Warenkorb-Klick öffnet den Drawer, doch er verkauft nichts.'
+      },
+      collectionRev: {
+        strategy: 'Geführtes Stöbern',
+        detail: 'Zeige <strong>Bestseller und Trendprodukte</strong> oben in den Kollektionsrastern.',
+        gapNote: 'Besucher erreichen Kollektionen ohne jede Empfehlung.'
+      },
+      otherRev: {
+        strategy: 'Abdeckung erweitern',
+        detail: 'Erweitere Empfehlungen auf <strong>Kollektions- und Suchseiten</strong>.',
+        gapNote: 'Stöberseiten tragen nicht zum Umsatz bei.'
+      },
+      custom: {
+        strategy: 'Empfehlungen hinzufügen',
+        detail: 'Platziere ein <strong>Empfehlungs-Widget</strong> dort, wo Kunden auf dieser Seite am meisten Zeit verbringen.',
+        gapNote: 'Diese Seite trägt nicht zum Umsatz bei.'
+      }
+    },
+    gaps: {
+      notLive: '<strong>Nicht live.</strong>',
+      zeroRevenue: 'Erzielt <strong>{amount} Umsatz</strong>.',
+      fbtTitle: 'Häufig zusammen gekauft (FBT)',
+      fbtDetail: '<strong>Nicht live.</strong> Entscheidend für den Bestellwert.',
+      utilizationTitle: 'Widget-Auslastung',
+      utilizationDetail: 'Nur <strong>{percent}</strong> der verfügbaren Widget-Plätze sind aktiv.'
+    },
+    roadmap: {
+      unlockTitle: 'Die „Wachstumslücke“ schließen',
+      unlockDetail: 'Aktiviere {items}.',
+      optimizeTitle: 'Platzierungen optimieren',
+      optimizeItem: '{page}: {strategy}.',
+      raiseTitle: 'Widget-Auslastung erhöhen',
+      raiseDetail: 'Steigere die Auslastung von {current} auf mindestens {target}.',
+      impact: '{amount}/Monat Wirkung',
+      monitorTitle: 'Beobachten & skalieren',
+      monitorDetail: 'Prüfe die Ergebnisse in {days} Tagen erneut. Skaliere die stärksten Angebote datenbasiert.'
+    }
+  }
+};
@@ -0,0 +1,223 @@
+// English is the reference catalog: every key the templates use lives here, and other languages
+// fall back to it for anything they leave out. `{name}` placeholders are filled in by the translator.
+export const en = {
+  common: {
+    perMonth: '{amount}/mo',
+    vsPriorPeriod: '{change} vs prior period',
+    changeVsPriorPeriod: 'Change vs prior period',
+    footer: 'Generated for {store} - System Version 2.1',
+    widgetFallback: 'Widget {number}',
+    notAvailable: 'n/a',
+    pageOfTotal: 'Page {page} of {total}'
+  },
+  kpis: {
+    totalRevenue: 'Total Revenue',
+    revenueCoverage: 'Revenue Coverage',
+    funnelCoverage: 'Funnel Coverage',
+    widgetUtilization: 'Widget Utilization',
+    avgOrderValue: 'Avg Order Value',
+    stockHealth: 'Stock Health'
+  },
+  pages: {
+    productRev: 'Product Page',
+    postPurchaseRev: 'Post-Purchase',
+    checkoutRev: 'Checkout Page',
+    thankYouRev: 'Thank You Page',
+    cartRev: 'Cart Page',
+    cartDrawerRev: 'Cart Drawer',
+    collectionRev: 'Collection Pages',
+    otherRev: 'Other Pages'
+  },
+  charts: {
+    revenue: 'Revenue',
+    score: 'Score',
+    gap: 'Gap',
+    currentMonthly: 'Current Monthly',
+    withOptimization: 'With Optimization',
+    revenueEstimate: 'Revenue Estimate'
+  },
+  default: {
+    title: 'Wiser Performance Review: {store}',
+    storeHeading: '{store} Intelligence',
+    storeReview: 'Q4 Store Review',
+    optimized: '{percent} Optimized',
+    exportPdf: 'Export PDF',
+    scanNewImage: 'Scan New Image',
+    tabs: {
+      overview: 'Overview',
+      wins: 'Performance Wins',
+      improvements: 'Live Improvements',
+      opportunities: 'Growth Gaps',
+      action: 'Action Roadmap'
+    },
+    summary: {
+      heading: 'Executive Summary',
+      intro: '{store} is currently operating at {efficiency} across the digital sales funnel.',
+      efficiency: '{percent} efficiency',
+      ledBy: 'Growth is primarily led by {widget}, while the next focus should be stabilizing conversion pressure points and improving widget activation where utilization sits at {utilization}.',
+      noLead: 'The next focus should be stabilizing conversion pressure points and improving widget activation where utilization sits at {utilization}.'
+    },
+    scorecard: {
+      heading: 'System Health Scorecard',
+      revenueTitle: 'Revenue Coverage',
+      revenueSubtitle: 'Exceeded Q4 forecast',
+      funnelTitle: 'Mobile Conversion',
+      funnelSubtitle: 'Post-checkout redesign',
+      widgetTitle: 'Stock Availability',
+      widgetSubtitle: 'Utilization risk profile'
+    },
+    wins: {
+      heading: 'Part 1: Best Performing Areas',
+      pageType: 'Page Type',
+      revenue: 'Revenue',
+      status: 'Status',
+      revenueSplit: 'Revenue Split',
+      widgetBreakdown: 'Widget Performance Breakdown',
+      total: 'Total: {amount}',
+      topWinner: 'Top Winner',
+      widgetRank: 'Widget #{number}',
+      shareOfTotal: '{percent} of Total',
+      noWidgets: 'No widgets recorded for this period.'
+    },
+    improvements: {
+      marker: 'TIP',
+      heading: 'Optimization Opportunity',
+      intro: 'These areas are live but under-monetized.',
+      quickFixes: 'Quick fixes here can contribute to a {lift}.',
+      percentLift: '+{percent} Revenue Lift',
+      amountLift: '{amount}/mo Revenue Lift',
+      strategy: 'Strategy',
+      current: 'Current: {amount} ({percent} of revenue)',
+      noCards: 'Every live page is performing strongly. No quick fixes needed right now.'
+    },
+    gaps: {
+      marker: 'GAP',
+      heading: 'Missed Opportunities (The Growth Gap)',
+      intro: 'Activating these high-traffic areas is the fastest way to unlock {target}.',
+      incrementalAmount: '{amount}/mo Incremental Revenue',
+      incrementalRevenue: 'incremental revenue',
+      zones: 'Untapped High-Value Zones',
+      noGaps: 'No untapped zones detected. Every tracked page is generating revenue.',
+      modeling: 'Revenue Potential Modeling',
+      projectedLift: 'Projected Monthly Lift'
+    },
+    roadmap: {
+      heading: 'Strategic Roadmap',
+      subheading: 'Steps to move from "Growing" to "Optimized"'
+    }
+  },
+  executive: {
+    title: 'Executive Summary: {store}',
+    eyebrow: 'Executive Summary',
+    optimizationCoverage: 'Optimization Coverage',
+    revenueByPage: 'Revenue by Page',
+    topWidgets: 'Top Widgets',
+    revenuePotential: 'Revenue Potential',
+    potentialDetail: 'Current monthly {current} vs. optimized {optimized}'
+  },
+  comparison: {
+    title: 'Comparison Report: {title}',
+    eyebrow: 'Comparison Report',
+    versus: '{primary} vs {comparison}',
+    change: 'Change',
+    keyMetrics: 'Key Metrics',
+    revenueBreakdown: 'Revenue Breakdown',
+    revenueByPage: 'Revenue by Page',
+    widgetRevenue: 'Widget Revenue',
+    bestAreas: 'Best Performing Areas',
+    page: 'Page'
+  },
+  narrative: {
+    status: {
+      notLive: 'Not Live',
+      needsFocus: 'Needs Focus',
+      strong: 'Strong',
+      moderate: 'Moderate'
+    },
+    badges: {
+      strongCore: 'Strong Core',
+      developing: 'Developing',
+      weakCoverage: 'Weak Coverage',
+      channelLeader: 'Channel Leader',
+      watchlist: 'Watchlist',
+      leakingFunnel: 'Leaking Funnel',
+      healthy: 'Healthy',
+      highRisk: 'High Risk',
+      stable: 'Stable',
+      risk: 'Risk'
+    },
+    notes: {
+      drivenBy: 'Driven by {page}.',
+      noPageRevenue: 'No page revenue recorded yet.',
+      pagesGenerating: '{live} of {total} page types generating revenue.',
+      widgetLeads: '{widget} leads widget revenue.',
+      bundlesMissing: 'FBT & Bundles missing.'
+    },
+    strategies: {
+      productRev: {
+        strategy: 'Cross-Sell Depth',
+        detail: 'Add <strong>complementary product</strong> carousels below the main product details.',
+        gapNote: 'The highest-traffic page is not monetized.'
+      },
+      postPurchaseRev: {
+        strategy: 'One-Click Upsells',
+        detail: 'Offer a <strong>post-purchase add-on</strong> while buying intent is still high.',
+        gapNote: 'Post-purchase intent is being left on the table.'
+      },
+      checkoutRev: {
+        strategy: 'Upsell Scaling',
+        detail: 'Increase <strong>offer value</strong>. Use logic to nudge AOV higher.',
+        gapNote: 'Last chance to lift AOV before payment.'
+      },
+      thankYouRev: {
+        strategy: 'Bundle Offers',
+        detail: 'Add <strong>multi-item recommendations</strong> to spark repeat purchases.',
+        gapNote: 'High-intent moment wasted after the order.'
+      },
+      cartRev: {
+        strategy: 'Better Placement',
+        detail: 'Move widgets <strong>above the fold</strong>. Visibility is key before checkout.',
+        gapNote: 'Essential for discovery before checkout.'
+      },
+      cartDrawerRev: {
+        strategy: 'Drawer Add-Ons',
+        detail: 'Show <strong>low-cost add-ons</strong> in the drawer so shoppers add items without leaving the page.',
+        gapNote: 'Every add-to-cart opens the drawer, yet it sells nothing.'
+      },
+      collectionRev: {
+        strategy: 'Guided Browsing',
+        detail: 'Surface <strong>best sellers and trending picks</strong> at the top of collection grids.',
+        gapNote: 'Browsing traffic reaches collections without any recommendations.'
+      },
+      otherRev: {
+        strategy: 'Broaden Coverage',
+        detail: 'Extend recommendations to <strong>collection and search</strong> pages.',
+        gapNote: 'Browsing pages are not contributing revenue.'
+      },
+      custom: {
+        strategy: 'Add Recommendations',
+        detail: 'Place a <strong>recommendation widget</strong> where shoppers spend the most time on this page.',
+        gapNote: 'This page is not contributing revenue.'
+      }
+    },
+    gaps: {
+      notLive: '<strong>Not Live.</strong>',
+      zeroRevenue: 'Generating <strong>{amount} Revenue</strong>.',
+      fbtTitle: 'Frequently Bought Together (FBT)',
+      fbtDetail: '<strong>Not Live.</strong> Critical for AOV.',
+      utilizationTitle: 'Widget Utilization',
+      utilizationDetail: 'Only <strong>{percent}</strong> of available widget slots are active.'
+    },
+    roadmap: {
+      unlockTitle: 'Unlock the "Growth Gap"',
+      unlockDetail: 'Activate {items}.',
+      optimizeTitle: 'Optimize Placements',
+      optimizeItem: '{page}: {strategy}.',
+      raiseTitle: 'Raise Widget Utilization',
+      raiseDetail: 'Bring utilization from {current} to at least {target}.',
+      impact: '{amount}/mo Impact',
+      monitorTitle: 'Monitor & Scale',
+      monitorDetail: 'Review in {days} days. Scale the strongest offers based on data.'
+    }
+  }
+};
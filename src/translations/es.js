@@ -0,0 +1,221 @@
+export const es = {
+  common: {
+    perMonth: '{amount}/mes',
+    vsPriorPeriod: '{change} vs. periodo anterior',
+    changeVsPriorPeriod: 'Cambio vs. periodo anterior',
+    footer: 'Generado para {store} - Versión del sistema 2.1',
+    widgetFallback: 'Widget {number}',
+    notAvailable: 'n/d',
+    pageOfTotal: 'Página {page} de {total}'
+  },
+  kpis: {
+    totalRevenue: 'Ingresos totales',
+    revenueCoverage: 'Cobertura de ingresos',
+    funnelCoverage: 'Cobertura del embudo',
+    widgetUtilization: 'Uso de widgets',
+    avgOrderValue: 'Valor medio del pedido',
+    stockHealth: 'Salud del inventario'
+  },
+  pages: {
+    productRev: 'Página de producto',
+    postPurchaseRev: 'Poscompra',
+    checkoutRev: 'Página de pago',
+    thankYouRev: 'Página de agradecimiento',
+    cartRev: 'Página del carrito',
+    cartDrawerRev: 'Carrito lateral',
+    collectionRev: 'Páginas de colección',
+    otherRev: 'Otras páginas'
+  },
+  charts: {
+    revenue: 'Ingresos',
+    score: 'Puntuación',
+    gap: 'Brecha',
+    currentMonthly: 'Mensual actual',
+    withOptimization: 'Con optimización',
+    revenueEstimate: 'Ingresos estimados'
+  },
+  default: {
+    title: 'Revisión de rendimiento Wiser: {store}',
+    storeHeading: '{store} Intelligence',
+    storeReview: 'Revisión de tienda T4',
+    optimized: '{percent} optimizado',
+    exportPdf: 'Exportar PDF',
+    scanNewImage: 'Escanear nueva imagen',
+    tabs: {
+      overview: 'Resumen',
+      wins: 'Logros',
+      improvements: 'Mejoras activas',
+      opportunities: 'Brechas de crecimiento',
+      action: 'Plan de acción'
+    },
+    summary: {
+      heading: 'Resumen ejecutivo',
+      intro: '{store} opera actualmente con {efficiency} en todo el embudo de ventas digital.',
+      efficiency: 'un {percent} de eficiencia',
+      ledBy: 'El crecimiento lo impulsa principalmente {widget}; el siguiente paso es estabilizar los puntos críticos de conversión y mejorar la activación de widgets, cuyo uso se sitúa en {utilization}.',
+      noLead: 'El siguiente paso es estabilizar los puntos críticos de conversión y mejorar la activación de widgets, cuyo uso se sitúa en {utilization}.'
+    },
+    scorecard: {
+      heading: 'Estado de salud del sistema',
+      revenueTitle: 'Cobertura de ingresos',
+      revenueSubtitle: 'Previsión del T4 superada',
+      funnelTitle: 'Conversión móvil',
+      funnelSubtitle: 'Rediseño tras el pago',
+      widgetTitle: 'Disponibilidad de inventario',
+      widgetSubtitle: 'Perfil de riesgo de uso'
+    },
+    wins: {
+      heading: 'Parte 1: Áreas con mejor rendimiento',
+      pageType: 'Tipo de página',
+      revenue: 'Ingresos',
+      status: 'Estado',
+      revenueSplit: 'Reparto de ingresos',
+      widgetBreakdown: 'Rendimiento detallado de widgets',
+      total: 'Total: {amount}',
+      topWinner: 'Líder',
+      widgetRank: 'Widget n.º {number}',
+      shareOfTotal: '{percent} del total',
+      noWidgets: 'No hay widgets registrados para este periodo.'
+    },
+    improvements: {
+      marker: 'CONSEJO',
+      heading: 'Oportunidad de optimización',
+      intro: 'Estas áreas están activas pero poco monetizadas.',
+      quickFixes: 'Unos ajustes rápidos aquí pueden aportar {lift}.',
+      percentLift: '+{percent} de ingresos',
+      amountLift: '{amount}/mes de ingresos adicionales',
+      strategy: 'Estrategia',
+      current: 'Actual: {amount} ({percent} de los ingresos)',
+      noCards: 'Todas las páginas activas rinden bien. No hacen falta ajustes rápidos por ahora.'
+    },
+    gaps: {
+      marker: 'BRECHA',
+      heading: 'Oportunidades perdidas (la brecha de crecimiento)',
+      intro: 'Activar estas áreas de mucho tráfico es la forma más rápida de conseguir {target}.',
+      incrementalAmount: '{amount}/mes de ingresos adicionales',
+      incrementalRevenue: 'ingresos adicionales',
+      zones: 'Zonas de alto valor sin explotar',
+      noGaps: 'No se han detectado zonas sin explotar. Todas las páginas registradas generan ingresos.',
+      modeling: 'Modelo de potencial de ingresos',
+      projectedLift: 'Aumento mensual previsto'
+    },
+    roadmap: {
+      heading: 'Hoja de ruta estratégica',
+      subheading: 'Pasos para pasar de «En crecimiento» a «Optimizado»'
+    }
+  },
+  executive: {
+    title: 'Resumen ejecutivo: {store}',
+    eyebrow: 'Resumen ejecutivo',
+    optimizationCoverage: 'Cobertura de optimización',
+    revenueByPage: 'Ingresos por página',
+    topWidgets: 'Widgets principales',
+    revenuePotential: 'Potencial de ingresos',
+    potentialDetail: 'Mensual actual {current} vs. optimizado {optimized}'
+  },
+  comparison: {
+    title: 'Informe comparativo: {title}',
+    eyebrow: 'Informe comparativo',
+    versus: '{primary} vs. {comparison}',
+    change: 'Cambio',
+    keyMetrics: 'Métricas clave',
+    revenueBreakdown: 'Desglose de ingresos',
+    revenueByPage: 'Ingresos por página',
+    widgetRevenue: 'Ingresos por widget',
+    bestAreas: 'Áreas con mejor rendimiento',
+    page: 'Página'
+  },
+  narrative: {
+    status: {
+      notLive: 'Inactiva',
+      needsFocus: 'Requiere atención',
+      strong: 'Fuerte',
+      moderate: 'Moderada'
+    },
+    badges: {
+      strongCore: 'Núcleo sólido',
+      developing: 'En desarrollo',
+      weakCoverage: 'Cobertura débil',
+      channelLeader: 'Canal líder',
+      watchlist: 'En observación',
+      leakingFunnel: 'Embudo con fugas',
+      healthy: 'Saludable',
+      highRisk: 'Riesgo alto',
+      stable: 'Estable',
+      risk: 'Riesgo'
+    },
+    notes: {
+      drivenBy: 'Impulsado por {page}.',
+      noPageRevenue: 'Aún no hay ingresos por página registrados.',
+      pagesGenerating: '{live} de {total} tipos de página generan ingresos.',
+      widgetLeads: '{widget} lidera los ingresos por widget.',
+      bundlesMissing: 'Faltan FBT y packs.'
+    },
+    strategies: {
+      productRev: {
+        strategy: 'Venta cruzada',
+        detail: 'Añade carruseles de <strong>productos complementarios</strong> bajo los detalles del producto.',
+        gapNote: 'La página con más tráfico no está monetizada.'
+      },
+      postPurchaseRev: {
+        strategy: 'Upsells en un clic',
+        detail: 'Ofrece un <strong>complemento poscompra</strong> mientras la intención de compra sigue alta.',
+        gapNote: 'Se desaprovecha la intención de compra tras el pedido.'
+      },
+      checkoutRev: {
+        strategy: 'Escalar upsells',
+        detail: 'Aumenta el <strong>valor de la oferta</strong>. Usa reglas para subir el valor medio del pedido.',
+        gapNote: 'Última oportunidad de subir el valor medio antes del pago.'
+      },
+      thankYouRev: {
+        strategy: 'Ofertas en pack',
+        detail: 'Añade <strong>recomendaciones de varios artículos</strong> para impulsar compras repetidas.',
+        gapNote: 'Se pierde un momento de alta intención tras el pedido.'
+      },
+      cartRev: {
+        strategy: 'Mejor ubicación',
+        detail: 'Coloca los widgets <strong>en la parte visible</strong>. La visibilidad es clave antes del pago.',
+        gapNote: 'Esencial para descubrir productos antes del pago.'
+      },
+      cartDrawerRev: {
+        strategy: 'Complementos en el carrito lateral',
+        detail: 'Muestra <strong>complementos de bajo coste</strong> en el carrito lateral para añadir artículos sin salir de la página.',
+        gapNote: 'Cada añadido al carrito abre el carrito lateral, pero no vende nada.'
+      },
+      collectionRev: {
+        strategy: 'Navegación guiada',
+        detail: 'Destaca <strong>los más vendidos y las tendencias</strong> al inicio de las colecciones.',
+        gapNote: 'El tráfico llega a las colecciones sin ninguna recomendación.'
+      },
+      otherRev: {
+        strategy: 'Ampliar cobertura',
+        detail: 'Extiende las recomendaciones a las páginas de <strong>colección y búsqueda</strong>.',
+        gapNote: 'Las páginas de navegación no aportan ingresos.'
+      },
+      custom: {
+        strategy: 'Añadir recomendaciones',
+        detail: 'Coloca un <strong>widget de recomendaciones</strong> donde los clientes pasan más tiempo en esta página.',
+        gapNote: 'Esta página no aporta ingresos.'
+      }
+    },
+    gaps: {
+      notLive: '<strong>Inactiva.</strong>',
+      zeroRevenue: 'Genera <strong>{amount} de ingresos</strong>.',
+      fbtTitle: 'Comprados juntos con frecuencia (FBT)',
+      fbtDetail: '<strong>Inactivo.</strong> Clave para el valor medio del pedido.',
+      utilizationTitle: 'Uso de widgets',
+      utilizationDetail: 'Solo el <strong>{percent}</strong> de los espacios de widget disponibles está activo.'
+    },
+    roadmap: {
+      unlockTitle: 'Cerrar la «brecha de crecimiento»',
+      unlockDetail: 'Activa {items}.',
+      optimizeTitle: 'Optimizar ubicaciones',
+      optimizeItem: '{page}: {strategy}.',
+      raiseTitle: 'Aumentar el uso de widgets',
+      raiseDetail: 'Lleva el uso del {current} a al menos el {target}.',
+      impact: 'Impacto de {amount}/mes',
+      monitorTitle: 'Medir y escalar',
+      monitorDetail: 'Revisa en {days} días. Escala las ofertas más fuertes según los datos.'
+    }
+  }
+};
@@ -0,0 +1,221 @@
+export const fr = {
+  common: {
+    perMonth: '{amount}/mois',
+    vsPriorPeriod: '{change} vs période précédente',
+    changeVsPriorPeriod: 'Évolution vs période précédente',
+    footer: 'Généré pour {store} - Version du système 2.1',
+    widgetFallback: 'Widget {number}',
+    notAvailable: 'n.d.',
+    pageOfTotal: 'Page {page} sur {total}'
+  },
+  kpis: {
+    totalRevenue: "Chiffre d'affaires total",
+    revenueCoverage: 'Couverture du CA',
+    funnelCoverage: 'Couverture du tunnel',
+    widgetUtilization: 'Utilisation des widgets',
+    avgOrderValue: 'Panier moyen',
+    stockHealth: 'Santé du stock'
+  },
+  pages: {
+    productRev: 'Page produit',
+    postPurchaseRev: 'Après-achat',
+    checkoutRev: 'Page de paiement',
+    thankYouRev: 'Page de remerciement',
+    cartRev: 'Page panier',
+    cartDrawerRev: 'Panier latéral',
+    collectionRev: 'Pages collection',
+    otherRev: 'Autres pages'
+  },
+  charts: {
+    revenue: "Chiffre d'affaires",
+    score: 'Score',
+    gap: 'Écart',
+    currentMonthly: 'Mensuel actuel',
+    withOptimization: 'Avec optimisation',
+    revenueEstimate: 'CA estimé'
+  },
+  default: {
+    title: 'Bilan de performance Wiser : {store}',
+    storeHeading: '{store} Intelligence',
+    storeReview: 'Bilan boutique T4',
+    optimized: '{percent} optimisé',
+    exportPdf: 'Exporter en PDF',
+    scanNewImage: 'Analyser une nouvelle image',
+    tabs: {
+      overview: "Vue d'ensemble",
+      wins: 'Réussites',
+      improvements: 'Améliorations en ligne',
+      opportunities: 'Leviers de croissance',
+      action: "Plan d'action"
+    },
+    summary: {
+      heading: 'Synthèse',
+      intro: "{store} fonctionne actuellement à {efficiency} sur l'ensemble du tunnel de vente en ligne.",
+      efficiency: "{percent} d'efficacité",
+      ledBy: "La croissance est principalement portée par {widget} ; la priorité est désormais de stabiliser les points de friction de conversion et d'améliorer l'activation des widgets, dont l'utilisation atteint {utilization}.",
+      noLead: "La priorité est désormais de stabiliser les points de friction de conversion et d'améliorer l'activation des widgets, dont l'utilisation atteint {utilization}."
+    },
+    scorecard: {
+      heading: 'Bilan de santé du système',
+      revenueTitle: 'Couverture du CA',
+      revenueSubtitle: 'Prévisions T4 dépassées',
+      funnelTitle: 'Conversion mobile',
+      funnelSubtitle: 'Refonte après paiement',
+      widgetTitle: 'Disponibilité du stock',
+      widgetSubtitle: "Profil de risque d'utilisation"
+    },
+    wins: {
+      heading: 'Partie 1 : zones les plus performantes',
+      pageType: 'Type de page',
+      revenue: "Chiffre d'affaires",
+      status: 'Statut',
+      revenueSplit: 'Répartition du CA',
+      widgetBreakdown: 'Performance détaillée des widgets',
+      total: 'Total : {amount}',
+      topWinner: 'En tête',
+      widgetRank: 'Widget n° {number}',
+      shareOfTotal: '{percent} du total',
+      noWidgets: 'Aucun widget enregistré pour cette période.'
+    },
+    improvements: {
+      marker: 'ASTUCE',
+      heading: "Opportunité d'optimisation",
+      intro: 'Ces zones sont en ligne mais sous-monétisées.',
+      quickFixes: 'Des ajustements rapides peuvent y générer {lift}.',
+      percentLift: '+{percent} de CA',
+      amountLift: '{amount}/mois de CA supplémentaire',
+      strategy: 'Stratégie',
+      current: 'Actuel : {amount} ({percent} du CA)',
+      noCards: 'Toutes les pages en ligne performent bien. Aucun ajustement rapide nécessaire pour le moment.'
+    },
+    gaps: {
+      marker: 'ÉCART',
+      heading: 'Opportunités manquées (le levier de croissance)',
+      intro: 'Activer ces zones à fort trafic est le moyen le plus rapide de débloquer {target}.',
+      incrementalAmount: '{amount}/mois de CA supplémentaire',
+      incrementalRevenue: 'du CA supplémentaire',
+      zones: 'Zones à forte valeur inexploitées',
+      noGaps: 'Aucune zone inexploitée détectée. Chaque page suivie génère du CA.',
+      modeling: 'Modélisation du potentiel de CA',
+      projectedLift: 'Hausse mensuelle projetée'
+    },
+    roadmap: {
+      heading: 'Feuille de route stratégique',
+      subheading: 'Les étapes pour passer de « En croissance » à « Optimisé »'
+    }
+  },
+  executive: {
+    title: 'Synthèse : {store}',
+    eyebrow: 'Synthèse',
+    optimizationCoverage: "Taux d'optimisation",
+    revenueByPage: 'CA par page',
+    topWidgets: 'Meilleurs widgets',
+    revenuePotential: 'Potentiel de CA',
+    potentialDetail: 'Mensuel actuel {current} vs optimisé {optimized}'
+  },
+  comparison: {
+    title: 'Rapport comparatif : {title}',
+    eyebrow: 'Rapport comparatif',
+    versus: '{primary} vs {comparison}',
+    change: 'Évolution',
+    keyMetrics: 'Indicateurs clés',
+    revenueBreakdown: 'Répartition du CA',
+    revenueByPage: 'CA par page',
+    widgetRevenue: 'CA des widgets',
+    bestAreas: 'Zones les plus performantes',
+    page: 'Page'
+  },
+  narrative: {
+    status: {
+      notLive: 'Inactif',
+      needsFocus: 'À travailler',
+      strong: 'Fort',
+      moderate: 'Modéré'
+    },
+    badges: {
+      strongCore: 'Socle solide',
+      developing: 'En progression',
+      weakCoverage: 'Couverture faible',
+      channelLeader: 'Canal leader',
+      watchlist: 'À surveiller',
+      leakingFunnel: 'Tunnel qui fuit',
+      healthy: 'Sain',
+      highRisk: 'Risque élevé',
+      stable: 'Stable',
+      risk: 'Risque'
+    },
+    notes: {
+      drivenBy: 'Porté par {page}.',
+      noPageRevenue: 'Aucun CA par page enregistré pour le moment.',
+      pagesGenerating: '{live} types de page sur {total} génèrent du CA.',
+      widgetLeads: '{widget} domine le CA des widgets.',
+      bundlesMissing: 'FBT et lots absents.'
+    },
+    strategies: {
+      productRev: {
+        strategy: 'Ventes croisées',
+        detail: 'Ajoutez des carrousels de <strong>produits complémentaires</strong> sous la fiche produit.',
+        gapNote: "La page la plus visitée n'est pas monétisée."
+      },
+      postPurchaseRev: {
+        strategy: 'Upsells en un clic',
+        detail: "Proposez un <strong>complément après achat</strong> tant que l'intention d'achat est forte.",
+        gapNote: "L'intention d'achat après commande n'est pas exploitée."
+      },
+      checkoutRev: {
+        strategy: 'Upsells renforcés',
+        detail: "Augmentez la <strong>valeur de l'offre</strong>. Utilisez des règles pour faire monter le panier moyen.",
+        gapNote: 'Dernière occasion de hausser le panier moyen avant le paiement.'
+      },
+      thankYouRev: {
+        strategy: 'Offres groupées',
+        detail: 'Ajoutez des <strong>recommandations multi-articles</strong> pour susciter des achats répétés.',
+        gapNote: "Un moment de forte intention perdu après la commande."
+      },
+      cartRev: {
+        strategy: 'Meilleur placement',
+        detail: 'Placez les widgets <strong>au-dessus de la ligne de flottaison</strong>. La visibilité est essentielle avant le paiement.',
+        gapNote: 'Essentiel pour la découverte avant le paiement.'
+      },
+      cartDrawerRev: {
+        strategy: 'Compléments dans le panier latéral',
+        detail: 'Affichez des <strong>compléments à petit prix</strong> dans le panier latéral pour ajouter des articles sans quitter la page.',
+        gapNote: "Chaque ajout au panier ouvre le panier latéral, qui ne vend pourtant rien."
+      },
+      collectionRev: {
+        strategy: 'Navigation guidée',
+        detail: 'Mettez en avant les <strong>meilleures ventes et tendances</strong> en haut des grilles de collection.',
+        gapNote: 'Les visiteurs arrivent sur les collections sans aucune recommandation.'
+      },
+      otherRev: {
+        strategy: 'Élargir la couverture',
+        detail: 'Étendez les recommandations aux pages <strong>collection et recherche</strong>.',
+        gapNote: 'Les pages de navigation ne génèrent pas de CA.'
+      },
+      custom: {
+        strategy: 'Ajouter des recommandations',
+        detail: "Placez un <strong>widget de recommandation</strong> là où les visiteurs passent le plus de temps sur cette page.",
+        gapNote: 'Cette page ne génère pas de CA.'
+      }
+    },
+    gaps: {
+      notLive: '<strong>Inactif.</strong>',
+      zeroRevenue: 'Génère <strong>{amount} de CA</strong>.',
+      fbtTitle: 'Souvent achetés ensemble (FBT)',
+      fbtDetail: '<strong>Inactif.</strong> Essentiel pour le panier moyen.',
+      utilizationTitle: 'Utilisation des widgets',
+      utilizationDetail: 'Seuls <strong>{percent}</strong> des emplacements de widget disponibles sont actifs.'
+    },
+    roadmap: {
+      unlockTitle: 'Débloquer le « levier de croissance »',
+      unlockDetail: 'Activez {items}.',
+      optimizeTitle: 'Optimiser les placements',
+      optimizeItem: '{page} : {strategy}.',
+      raiseTitle: "Augmenter l'utilisation des widgets",
+      raiseDetail: "Faites passer l'utilisation de {current} à au moins {target}.",
+      impact: 'Impact de {amount}/mois',
+      monitorTitle: 'Suivre et développer',
+      monitorDetail: 'Faites le point dans {days} jours. Développez les offres les plus performantes selon les données.'
+    }
+  }
+};
@@ -0,0 +1,42 @@
+import { PAGE_TYPE_PRESETS } from '../reportData.js';
+import { en } from './en.js';
+import { de } from './de.js';
+import { fr } from './fr.js';
+import { es } from './es.js';
+
+// Report output languages. The editor UI stays English; only the generated report is translated.
+export const REPORT_LANGUAGES = [
+  { value: 'en', label: 'English', catalog: en },
+  { value: 'de', label: 'Deutsch', catalog: de },
+  { value: 'fr', label: 'Français', catalog: fr },
+  { value: 'es', label: 'Español', catalog: es }
+];
+
+export const DEFAULT_REPORT_LANGUAGE = 'en';
+
+export const normalizeReportLanguage = language =>
+  REPORT_LANGUAGES.some(option => option.value === language) ? language : DEFAULT_REPORT_LANGUAGE;
+
+const lookup = (catalog, key) => {
+  const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+  return typeof value === 'string' ? value : undefined;
+};
+
+// `t('default.wins.total', { amount })` reads the report language's catalog, then English, then the key itself.
+export const createTranslator = language => {
+  const code = normalizeReportLanguage(language);
+  const { catalog } = REPORT_LANGUAGES.find(option => option.value === code);
+  const t = (key, params = {}) =>
+    (lookup(catalog, key) ?? lookup(en, key) ?? key).replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] === undefined ? match : String(params[name])
+    );
+  t.language = code;
+  return t;
+};
+
+const PRESET_LABELS = new Map(PAGE_TYPE_PRESETS.map(page => [page.id, page.label]));
+
+// Preset pages still carrying their English default label are shown in the report language;
+// labels the editor renamed are the user's own text and are kept as typed.
+export const localizePages = (pages, t) =>
+  pages.map(page => (PRESET_LABELS.get(page.id) === page.label ? { ...page, label: t(`pages.${page.id}`) } : page));
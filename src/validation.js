@@ -0,0 +1,59 @@
+import { normalizeReportData } from './reportData.js';
+import { createReportFormatter } from './formatting.js';
+
+// Cross-field checks on report data. normalizeIncomingData only validates single fields;
+// these catch numbers that disagree with each other and would otherwise be hidden by the
+// report's clamped percentages. Each issue lists the editor fields it concerns: plain field
+// names, "pages" / "widgets" for a whole list, or "widgets.<index>" for one entry.
+
+// Small overshoots are usually rounding in the source dashboard, not bad data.
+const exceeds = (value, limit) => value - limit > Math.max(1, Math.abs(limit) * 0.005);
+
+const sumRevenue = items => items.reduce((total, item) => total + (item.revenue ?? 0), 0);
+
+export const validateReportData = (input, format = createReportFormatter()) => {
+  const data = normalizeReportData(input);
+  const issues = [];
+
+  const pageTotal = sumRevenue(data.pages);
+  if (exceeds(pageTotal, data.totalRevenue)) {
+    issues.push({
+      id: 'pages-exceed-total',
+      fields: ['totalRevenue', 'pages'],
+      message: `Page revenues add up to ${format.currency(pageTotal)}, more than the total revenue of ${format.currency(data.totalRevenue)}.`
+    });
+  }
+
+  const oversizedWidgets = data.widgets
+    .map((widget, index) => ({ ...widget, index }))
+    .filter(widget => widget.revenue !== null && exceeds(widget.revenue, data.totalRevenue));
+  oversizedWidgets.forEach(widget => {
+    issues.push({
+      id: `widget-exceeds-total-${widget.index}`,
+      fields: ['totalRevenue', `widgets.${widget.index}`],
+      message: `${widget.name || `Widget ${widget.index + 1}`} earns ${format.currency(widget.revenue)}, more than the total revenue of ${format.currency(data.totalRevenue)}. Its share of revenue will be capped at 100%.`
+    });
+  });
+
+  // Only worth a separate warning when no single widget already explains the overshoot.
+  const widgetTotal = sumRevenue(data.widgets);
+  if (oversizedWidgets.length === 0 && exceeds(widgetTotal, data.totalRevenue)) {
+    issues.push({
+      id: 'widgets-exceed-total',
+      fields: ['totalRevenue', 'widgets'],
+      message: `Widget revenues add up to ${format.currency(widgetTotal)}, more than the total revenue of ${format.currency(data.totalRevenue)}.`
+    });
+  }
+
+  if (data.projectedOptimized < data.projectedCurrent) {
+    issues.push({
+      id: 'projection-below-current',
+      fields: ['projectedCurrent', 'projectedOptimized'],
+      message: `The optimized projection (${format.currency(data.projectedOptimized)}) is lower than current monthly revenue (${format.currency(data.projectedCurrent)}), so the report will show a negative lift.`
+    });
+  }
+
+  return issues;
+};
+
+export const getFieldIssues = (issues, field) => issues.filter(issue => issue.fields.includes(field));
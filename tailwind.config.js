@@ -0,0 +1,10 @@
+import { REPORT_THEME_EXTEND } from './src/reportTheme.js';
+
+// Only compiles the classes used by the generated report (see src/report-offline.css).
+// The editor UI itself still uses the Tailwind CDN from index.html.
+export default {
+  content: ['./src/templates/**/*.js'],
+  theme: {
+    extend: REPORT_THEME_EXTEND
+  }
+};
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ACCESS_DENIED_CODE, createAccessControl } from '../server/accessControl.js';
+import { toUpstreamStatus } from '../server/providers/shared.js';
+
+const createClock = start => {
+  const clock = { time: start, now: () => clock.time };
+  return clock;
+};
+
+const createRequest = ({ ip = '203.0.113.1', token = '', forwardedFor } = {}) => ({
+  headers: {
+    ...(token ? { authorization: `Bearer ${token}` } : {}),
+    ...(forwardedFor ? { 'x-forwarded-for': forwardedFor } : {})
+  },
+  socket: { remoteAddress: ip }
+});
+
+const expectStatus = (fn, statusCode) => assert.throws(fn, error => error.statusCode === statusCode);
+
+test('per-IP limit blocks the address until the window resets', () => {
+  const clock = createClock(Date.UTC(2026, 0, 1, 12));
+  const access = createAccessControl(key => ({ RATE_LIMIT_PER_IP: '2', RATE_LIMIT_WINDOW_SECONDS: '60' })[key], clock.now);
+
+  access.authorize(createRequest());
+  access.authorize(createRequest());
+  assert.throws(() => access.authorize(createRequest()), error => error.statusCode === 429 && error.retryAfterSeconds === 60);
+  access.authorize(createRequest({ ip: '203.0.113.2' }));
+
+  clock.time += 60 * 1000;
+  access.authorize(createRequest());
+});
+
+test('a spoofed X-Forwarded-For entry does not escape the per-IP limit behind a trusted proxy', () => {
+  const access = createAccessControl(key => ({ RATE_LIMIT_PER_IP: '2', TRUST_PROXY: 'true' })[key]);
+  // The proxy appends the address it saw, so only the last entry is trustworthy.
+  const fromClient = spoofed => createRequest({ ip: '10.0.0.1', forwardedFor: `${spoofed}, 198.51.100.7` });
+
+  access.authorize(fromClient('192.0.2.1'));
+  access.authorize(fromClient('192.0.2.2'));
+  expectStatus(() => access.authorize(fromClient('192.0.2.3')), 429);
+  access.authorize(createRequest({ ip: '10.0.0.1', forwardedFor: '198.51.100.8' }));
+});
+
+test('TRUST_PROXY with a hop count reads the address the outermost trusted proxy saw', () => {
+  const access = createAccessControl(key => ({ RATE_LIMIT_PER_IP: '1', TRUST_PROXY: '2' })[key]);
+
+  access.authorize(createRequest({ forwardedFor: '192.0.2.1, 198.51.100.7, 10.0.0.2' }));
+  expectStatus(() => access.authorize(createRequest({ forwardedFor: '192.0.2.9, 198.51.100.7, 10.0.0.2' })), 429);
+});
+
+test('X-Forwarded-For is ignored unless TRUST_PROXY is set', () => {
+  const access = createAccessControl(key => ({ RATE_LIMIT_PER_IP: '1' })[key]);
+
+  access.authorize(createRequest({ forwardedFor: '192.0.2.1' }));
+  expectStatus(() => access.authorize(createRequest({ forwardedFor: '192.0.2.2' })), 429);
+});
+
+test('per-token limit applies across addresses', () => {
+  const clock = createClock(Date.UTC(2026, 0, 1, 12));
+  const access = createAccessControl(
+    key => ({ API_ACCESS_TOKENS: 'alpha, beta', RATE_LIMIT_PER_IP: '0', RATE_LIMIT_PER_TOKEN: '1' })[key],
+    clock.now
+  );
+
+  access.authorize(createRequest({ ip: '203.0.113.1', token: 'alpha' }));
+  expectStatus(() => access.authorize(createRequest({ ip: '203.0.113.2', token: 'alpha' })), 429);
+  access.authorize(createRequest({ token: 'beta' }));
+
+  clock.time += 60 * 1000;
+  access.authorize(createRequest({ token: 'alpha' }));
+});
+
+test('missing or invalid tokens are rejected with 401', () => {
+  const access = createAccessControl(key => ({ API_ACCESS_TOKENS: 'alpha' })[key]);
+
+  assert.equal(access.isAuthRequired, true);
+  assert.throws(() => access.authorize(createRequest()), { statusCode: 401, message: 'An access code is required.' });
+  assert.throws(() => access.authorize(createRequest({ token: 'wrong' })), { statusCode: 401, message: 'Invalid access code.' });
+  assert.equal(access.isAuthenticated(createRequest({ token: 'wrong' })), false);
+  assert.equal(access.isAuthenticated(createRequest({ token: 'alpha' })), true);
+});
+
+test('no tokens configured leaves the endpoint open', () => {
+  const access = createAccessControl(() => undefined);
+
+  assert.equal(access.isAuthRequired, false);
+  assert.equal(access.isAuthenticated(createRequest()), true);
+  access.authorize(createRequest());
+});
+
+test('daily budget runs out and resets on the next UTC day', () => {
+  const clock = createClock(Date.UTC(2026, 0, 1, 23, 59, 30));
+  const access = createAccessControl(key => ({ DAILY_REQUEST_BUDGET: '2' })[key], clock.now);
+
+  access.consumeBudget();
+  access.consumeBudget();
+  assert.throws(() => access.consumeBudget(), error => error.statusCode === 429 && error.retryAfterSeconds === 30);
+
+  clock.time = Date.UTC(2026, 0, 2, 0, 0, 1);
+  access.consumeBudget();
+});
+
+test('access-code rejections carry a code that other 401s do not', () => {
+  const access = createAccessControl(key => ({ API_ACCESS_TOKENS: 'alpha' })[key]);
+  assert.throws(() => access.authorize(createRequest({ token: 'wrong' })), { statusCode: 401, code: ACCESS_DENIED_CODE });
+});
+
+test('upstream 401 and 403 replies become a bad gateway', () => {
+  assert.equal(toUpstreamStatus(401), 502);
+  assert.equal(toUpstreamStatus(403), 502);
+  assert.equal(toUpstreamStatus(429), 429);
+});
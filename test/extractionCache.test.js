@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { mkdir, mkdtemp, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createExtractionCache } from '../server/extractionCache.js';
+import { createAppServer } from '../server/app.js';
+
+const IMAGE_BASE64 = Buffer.from('not really a png, but long enough for the payload check. '.repeat(4)).toString('base64');
+const FIXTURE_PROVIDER = { name: 'fixture', model: 'fixture' };
+
+const withTempDir = async run => {
+  const directory = await mkdtemp(path.join(tmpdir(), 'extraction-cache-'));
+  try {
+    await run(directory);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+};
+
+const createCache = directory =>
+  createExtractionCache(key => ({ EXTRACTION_CACHE: 'on', EXTRACTION_CACHE_DIR: directory })[key], { provider: FIXTURE_PROVIDER });
+
+test('returns null on a miss and the stored entry on a hit', () =>
+  withTempDir(async directory => {
+    const cache = createCache(directory);
+    const key = cache.createKey({ imageBase64: IMAGE_BASE64, promptVersion: 1, prompt: 'prompt' });
+
+    assert.equal(await cache.get(key), null);
+    await cache.set(key, { storeName: 'Wooden Ships', totalRevenue: 31371 });
+
+    const entry = await cache.get(key);
+    assert.deepEqual(entry.extractedData, { storeName: 'Wooden Ships', totalRevenue: 31371 });
+    assert.equal(typeof entry.cachedAt, 'number');
+    assert.notEqual(key, cache.createKey({ imageBase64: IMAGE_BASE64, promptVersion: 2, prompt: 'prompt' }));
+    assert.notEqual(key, cache.createKey({ imageBase64: IMAGE_BASE64, promptVersion: 1, prompt: 'prompt', pages: [{ id: 'customPage1Rev', label: 'Quiz' }] }));
+  }));
+
+test('treats corrupt or malformed entries as misses and deletes them', () =>
+  withTempDir(async directory => {
+    const cache = createCache(directory);
+    const entries = {
+      unparsable: '{"cachedAt": ',
+      noData: JSON.stringify({ cachedAt: Date.now() }),
+      noTimestamp: JSON.stringify({ extractedData: { storeName: 'Wooden Ships' } }),
+      arrayData: JSON.stringify({ cachedAt: Date.now(), extractedData: [] })
+    };
+
+    for (const [key, contents] of Object.entries(entries)) {
+      await writeFile(path.join(directory, `${key}.json`), contents);
+      assert.equal(await cache.get(key), null, key);
+    }
+    assert.deepEqual(await readdir(directory), []);
+  }));
+
+test('force re-analyzes the image instead of answering from the cache', () =>
+  withTempDir(async directory => {
+    const fixtureDir = path.join(directory, 'fixtures');
+    const cacheDir = path.join(directory, 'cache');
+    const sha256 = createHash('sha256').update(Buffer.from(IMAGE_BASE64, 'base64')).digest('hex');
+    const writeFixture = storeName =>
+      writeFile(path.join(fixtureDir, 'sample.json'), JSON.stringify({ sha256, extractedData: { storeName, totalRevenue: 1200 } }));
+
+    await mkdir(fixtureDir);
+    await writeFixture('Before');
+
+    const env = { AI_PROVIDER: 'fixture', AI_FIXTURE_DIR: fixtureDir, EXTRACTION_CACHE: 'on', EXTRACTION_CACHE_DIR: cacheDir };
+    const server = createAppServer({ getEnv: key => env[key], distDir: directory });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const analyze = async (force = false) => {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/analyze-dashboard`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mimeType: 'image/png', imageBase64: IMAGE_BASE64, force })
+      });
+      assert.equal(response.status, 200);
+      return response.json();
+    };
+
+    try {
+      const first = await analyze();
+      assert.equal(first.cached, false);
+      assert.equal(first.extractedData.storeName, 'Before');
+
+      await writeFixture('After');
+      const cached = await analyze();
+      assert.equal(cached.cached, true);
+      assert.equal(cached.extractedData.storeName, 'Before');
+
+      const forced = await analyze(true);
+      assert.equal(forced.cached, false);
+      assert.equal(forced.extractedData.storeName, 'After');
+
+      const refreshed = await analyze();
+      assert.equal(refreshed.cached, true);
+      assert.equal(refreshed.extractedData.storeName, 'After');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  }));
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROJECT_FILE_FORMAT, PROJECT_SCHEMA_VERSION, buildProjectFile, parseProjectFile } from '../src/projectFile.js';
+import { normalizeReportData } from '../src/reportData.js';
+import { DEFAULT_NARRATIVE_THRESHOLDS } from '../src/narrative.js';
+import { normalizeBranding } from '../src/branding.js';
+
+const REPORT_SETTINGS = {
+  templateId: 'executive-summary',
+  currency: 'EUR',
+  locale: 'de-DE',
+  language: 'de',
+  narrativeThresholds: DEFAULT_NARRATIVE_THRESHOLDS,
+  branding: normalizeBranding({})
+};
+
+const data = normalizeReportData({
+  storeName: 'Wooden Ships',
+  totalRevenue: 31371,
+  productRev: 24499,
+  widgets: [{ name: 'Upsell', revenue: 1200 }]
+});
+
+test('a project file round-trips data, comparison and settings', () => {
+  const comparisonData = normalizeReportData({ storeName: 'Wooden Ships', totalRevenue: 28000 });
+  const file = buildProjectFile({
+    data,
+    comparison: { enabled: true, labels: { primary: 'March', comparison: 'February' } },
+    comparisonData,
+    reportSettings: REPORT_SETTINGS
+  });
+
+  assert.equal(file.format, PROJECT_FILE_FORMAT);
+  assert.equal(file.schemaVersion, PROJECT_SCHEMA_VERSION);
+
+  const project = parseProjectFile(JSON.stringify(file));
+  assert.deepEqual(project.data, data);
+  assert.deepEqual(project.comparisonData, comparisonData);
+  assert.deepEqual(project.comparison, { enabled: true, activeSlot: 'primary', labels: { primary: 'March', comparison: 'February' } });
+  assert.deepEqual(project.reportSettings, REPORT_SETTINGS);
+});
+
+test('a version 0 file of bare report data migrates to a project with default settings', () => {
+  const project = parseProjectFile(
+    JSON.stringify({ storeName: 'Wooden Ships', totalRevenue: '31371', productRev: 24499, widget1Name: 'Upsell', widget1Rev: 1200 })
+  );
+
+  assert.deepEqual(project.data, data);
+  assert.equal(project.comparison.enabled, false);
+  assert.equal(project.comparisonData, null);
+  assert.equal(project.reportSettings.templateId, 'default');
+  assert.equal(project.reportSettings.currency, 'USD');
+});
+
+const INVALID_FILES = [
+  { name: 'invalid JSON', text: '{"format": ', message: /not valid JSON/ },
+  { name: 'an array', text: '[]', message: /not a Wiser report project/ },
+  { name: 'an object without report fields', text: '{"hello": "world"}', message: /not a Wiser report project/ },
+  { name: 'another format', text: JSON.stringify({ format: 'other', schemaVersion: 1, data: {} }), message: /not a Wiser report project/ },
+  { name: 'a missing schema version', text: JSON.stringify({ format: PROJECT_FILE_FORMAT, data: {} }), message: /no valid schema version/ },
+  {
+    name: 'a newer schema version',
+    text: JSON.stringify({ format: PROJECT_FILE_FORMAT, schemaVersion: PROJECT_SCHEMA_VERSION + 1, data: {} }),
+    message: /saved by a newer version/
+  },
+  { name: 'no report data', text: JSON.stringify({ format: PROJECT_FILE_FORMAT, schemaVersion: 1 }), message: /no report data/ }
+];
+
+for (const { name, text, message } of INVALID_FILES) {
+  test(`rejects ${name}`, () => {
+    assert.throws(() => parseProjectFile(text), message);
+  });
+}
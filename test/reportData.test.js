@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeReportData, toSafeNumber } from '../src/reportData.js';
+import { validateReportData } from '../src/validation.js';
+import { normalizeExtraction } from '../server/extraction.js';
+
+const LOCALE_CASES = [
+  { locale: 'en-US', text: '1,234.56' },
+  { locale: 'de-DE', text: '1.234,56' },
+  { locale: 'fr-FR', text: '1 234,56' },
+  { locale: 'es-ES', text: '1.234,56' }
+];
+
+for (const { locale, text } of LOCALE_CASES) {
+  test(`toSafeNumber reads ${locale} text with its own separators`, () => {
+    assert.equal(toSafeNumber(text, 0, locale), 1234.56);
+    assert.equal(toSafeNumber(`€${text}`, 0, locale), 1234.56);
+    assert.equal(toSafeNumber(`(${text})`, 0, locale), -1234.56);
+  });
+
+  test(`toSafeNumber keeps numbers as they are under ${locale}`, () => {
+    assert.equal(toSafeNumber(1234.56, 0, locale), 1234.56);
+    assert.equal(toSafeNumber(0.5, 0, locale), 0.5);
+  });
+}
+
+test('toSafeNumber falls back for blank or unreadable values', () => {
+  assert.equal(toSafeNumber('', 7), 7);
+  assert.equal(toSafeNumber('n/a', 7), 7);
+  assert.equal(toSafeNumber(undefined, 7), 7);
+});
+
+test('widget revenue that was not reported stays null instead of becoming 0', () => {
+  const { widgets } = normalizeReportData({
+    widgets: [
+      { name: 'Missing', revenue: null },
+      { name: 'Absent' },
+      { name: 'Blank', revenue: '' },
+      { name: 'Zero', revenue: 0 },
+      { name: 'Text', revenue: '1,200' }
+    ]
+  });
+
+  assert.deepEqual(widgets.map(widget => widget.revenue), [null, null, null, 0, 1200]);
+});
+
+test('extraction keeps unreported widget revenue null', () => {
+  const extraction = normalizeExtraction({ widgets: [{ name: 'Upsell', revenue: null }, { name: 'Bundle', revenue: 0 }] });
+  assert.deepEqual(extraction.widgets, [{ name: 'Upsell', revenue: null }, { name: 'Bundle', revenue: 0 }]);
+});
+
+test('validation ignores widgets without reported revenue', () => {
+  const issues = validateReportData({ totalRevenue: 100, widgets: [{ name: 'Upsell', revenue: null }, { name: 'Bundle', revenue: 50 }] });
+  assert.deepEqual(issues, []);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import { readSheetRows } from '../src/spreadsheet.js';
+import { normalizeIncomingData } from '../src/reportData.js';
+
+// Round-trips through an .xlsx buffer so cells carry the formatted text a real upload has.
+const readWorksheet = rows => {
+  const worksheet = XLSX.utils.aoa_to_sheet(rows);
+  worksheet.B3.z = '0%';
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Report');
+  const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  const parsed = XLSX.read(buffer, { type: 'buffer' });
+  return parsed.Sheets[parsed.SheetNames[0]];
+};
+
+const LOCALE_TEXT = {
+  'en-US': '2,500.75',
+  'de-DE': '2.500,75',
+  'fr-FR': '2 500,75',
+  'es-ES': '2.500,75'
+};
+
+for (const [locale, text] of Object.entries(LOCALE_TEXT)) {
+  test(`numeric cells are not re-read with ${locale} separators`, () => {
+    const worksheet = readWorksheet([
+      ['storeName', 'Harbor'],
+      ['totalRevenue', 1234.56],
+      ['revenueCoverage', 0.65],
+      ['productRev', text]
+    ]);
+    const data = Object.fromEntries(readSheetRows(worksheet, { header: 1 }).map(([field, value]) => [field, value]));
+    const normalized = normalizeIncomingData(data, { locale });
+
+    assert.equal(normalized.totalRevenue, 1234.56);
+    assert.equal(normalized.revenueCoverage, 65);
+    assert.equal(normalized.productRev, 2500.75);
+  });
+}
+
+test('table rows keep headers and numeric cells', () => {
+  const worksheet = readWorksheet([
+    ['storeName', 'totalRevenue'],
+    ['Harbor', 1234.56],
+    ['Bay', 0.25]
+  ]);
+  assert.deepEqual(readSheetRows(worksheet), [
+    { storeName: 'Harbor', totalRevenue: 1234.56 },
+    { storeName: 'Bay', totalRevenue: 25 }
+  ]);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, renderBrandMark } from '../src/templates/shared.js';
+import { renderExecutiveSummaryTemplate } from '../src/templates/executiveSummaryTemplate.js';
+import { normalizeBranding } from '../src/branding.js';
+import { createTranslator } from '../src/translations/index.js';
+import { normalizeReportData, sanitizeText } from '../src/reportData.js';
+
+const LOGO = 'data:image/png;base64,iVBORw0KGgo=';
+
+test('escapeHtml escapes markup and both quote styles', () => {
+  assert.equal(escapeHtml(`a"b'c<d>&`), 'a&quot;b&#39;c&lt;d&gt;&amp;');
+});
+
+test('renderBrandMark keeps a quoted store name inside the alt attribute', () => {
+  const storeName = sanitizeText('Shop" onerror="alert(1)');
+  const html = renderBrandMark(storeName, normalizeBranding({ logo: LOGO }));
+
+  assert.equal(html, `<img src="${LOGO}" alt="Shop&quot; onerror=&quot;alert(1)" class="h-12 w-12 text-xl object-contain">`);
+});
+
+test('renderBrandMark escapes the initial when there is no logo', () => {
+  const html = renderBrandMark(`"Quoted`, normalizeBranding({}));
+  assert.match(html, />&quot;<\/div>$/);
+});
+
+test('executive summary shows n/a for a widget without reported revenue', () => {
+  const data = normalizeReportData({ totalRevenue: 1000, widgets: [{ name: 'Upsell', revenue: null }, { name: 'Bundle', revenue: 0 }] });
+  const html = renderExecutiveSummaryTemplate(data, { currency: 'USD', locale: 'en-US' });
+
+  assert.match(html, /Upsell<\/td><td[^>]*>n\/a<\/td>/);
+  assert.match(html, /Bundle<\/td><td[^>]*>\$0<\/td>/);
+});
+
+test('executive summary formats optimization coverage for the report locale', () => {
+  const range = normalizeReportData({ optimizationPercent: '60-65', revenueCoverage: 40 });
+  const blank = normalizeReportData({ revenueCoverage: 65 });
+  const text = data => renderExecutiveSummaryTemplate(data, { currency: 'EUR', locale: 'de-DE' }).match(/text-wiser-green">([^<]*)</)[1];
+
+  assert.equal(text(range), new Intl.NumberFormat('de-DE', { style: 'percent' }).format(0.6));
+  assert.equal(text(blank), new Intl.NumberFormat('de-DE', { style: 'percent' }).format(0.65));
+});
+
+test('the PDF page footer label is translated for every report language', () => {
+  const labels = ['en', 'de', 'fr', 'es'].map(language => createTranslator(language)('common.pageOfTotal', { page: 2, total: 5 }));
+  assert.deepEqual(labels, ['Page 2 of 5', 'Seite 2 von 5', 'Page 2 sur 5', 'Página 2 de 5']);
+});